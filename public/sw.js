@@ -0,0 +1,274 @@
+// UniTracker service worker. Serves the app shell offline and delivers
+// deadline reminders from the schedule the page publishes
+// (src/lib/notifications.js), remembering which ones it has already shown.
+// API calls and the handbook JSON are left to the page, which keeps its own
+// versioned copy (src/lib/handbookCache.js).
+
+const SHELL_CACHE = 'unitracker-shell-v1'
+const SHELL_URL = '/index.html'
+const SHELL_EXTRAS = ['/manifest.webmanifest', '/icons/icon.svg', '/icons/icon-192.png']
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com']
+
+const REMINDER_CACHE = 'unitracker-reminders'
+const REMINDER_SCHEDULE_URL = '/__reminders/schedule.json'
+const REMINDER_SENT_URL = '/__reminders/sent.json'
+// Reminders missed by more than this (browser closed) are dropped instead of
+// arriving in a burst.
+const REMINDER_GRACE_MS = 12 * 60 * 60 * 1000
+const DAY_MS = 24 * 60 * 60 * 1000
+const DIGEST_PREVIEW_LIMIT = 3
+
+// Stores index.html together with the hashed bundles it references, and drops
+// bundles from older builds.
+const cacheShell = async (response) => {
+  const html = await response.clone().text()
+  const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((match) => match[1])
+  const cache = await caches.open(SHELL_CACHE)
+  await cache.put(SHELL_URL, response)
+  await Promise.all(
+    assets.map(async (url) => {
+      if (await cache.match(url)) return
+      const asset = await fetch(url)
+      if (asset.ok) await cache.put(url, asset)
+    }),
+  )
+  const keep = new Set(assets)
+  const requests = await cache.keys()
+  await Promise.all(
+    requests
+      .filter((request) => {
+        const { pathname } = new URL(request.url)
+        return pathname.startsWith('/assets/') && !keep.has(pathname)
+      })
+      .map((request) => cache.delete(request)),
+  )
+}
+
+const precacheShell = async () => {
+  try {
+    const response = await fetch('/', { cache: 'no-cache' })
+    if (response.ok) await cacheShell(response)
+    const cache = await caches.open(SHELL_CACHE)
+    await Promise.all(SHELL_EXTRAS.map((url) => cache.add(url).catch(() => {})))
+  } catch {
+    // Installed while offline; the next navigation fills the cache.
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()))
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith('unitracker-shell-') && name !== SHELL_CACHE)
+            .map((name) => caches.delete(name)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  )
+})
+
+// Network first so a deploy shows up on the next load; the cached shell only
+// answers when the network does not.
+const handleNavigation = async (event) => {
+  try {
+    const response = await fetch(event.request)
+    if (response.ok && response.headers.get('Content-Type')?.includes('text/html')) {
+      event.waitUntil(cacheShell(response.clone()).catch(() => {}))
+    }
+    return response
+  } catch (error) {
+    const cached = await caches.match(SHELL_URL)
+    if (cached) return cached
+    throw error
+  }
+}
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request)
+  if (cached) return cached
+  const response = await fetch(request)
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(SHELL_CACHE)
+    await cache.put(request, response.clone())
+  }
+  return response
+}
+
+const staleWhileRevalidate = async (event) => {
+  const cache = await caches.open(SHELL_CACHE)
+  const cached = await cache.match(event.request)
+  const refresh = fetch(event.request).then((response) => {
+    if (response.ok) return cache.put(event.request, response.clone()).then(() => response)
+    return response
+  })
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}))
+    return cached
+  }
+  return refresh
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request))
+    return
+  }
+  if (url.origin !== self.location.origin) return
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(event))
+    return
+  }
+  if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request))
+    return
+  }
+  if (SHELL_EXTRAS.includes(url.pathname) || url.pathname.startsWith('/icons/')) {
+    event.respondWith(staleWhileRevalidate(event))
+  }
+})
+
+const readJson = async (cache, url, fallback) => {
+  const response = await cache.match(url)
+  if (!response) return fallback
+  try {
+    return await response.json()
+  } catch {
+    return fallback
+  }
+}
+
+let checking = Promise.resolve()
+
+const toDateKey = (date) =>
+  [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map((part) => String(part).padStart(2, '0'))
+    .join('-')
+
+// Digests for yesterday and today at the chosen local time, each listing what
+// was overdue (by up to `windowDays`) and what fell due within `windowDays`
+// at that moment.
+const getDigestEntries = (digest, now) => {
+  if (!digest) return []
+  const [hours, minutes] = String(digest.time || '08:00').split(':').map(Number)
+  const windowDays = Number(digest.windowDays) || 7
+  const windowMs = windowDays * DAY_MS
+  const items = (digest.items || [])
+    .map((item) => ({ ...item, dueAt: new Date(item.dueAt).getTime() }))
+    .filter((item) => Number.isFinite(item.dueAt))
+  return [-1, 0].map((dayOffset) => {
+    const digestAt = new Date(now)
+    digestAt.setDate(digestAt.getDate() + dayOffset)
+    digestAt.setHours(hours || 0, minutes || 0, 0, 0)
+    const at = digestAt.getTime()
+    const overdue = items.filter((item) => item.dueAt < at && item.dueAt >= at - windowMs)
+    const dueSoon = items.filter((item) => item.dueAt >= at && item.dueAt <= at + windowMs)
+    const preview = [...overdue, ...dueSoon]
+      .slice(0, DIGEST_PREVIEW_LIMIT)
+      .map((item) => item.label)
+    const remaining = overdue.length + dueSoon.length - preview.length
+    return {
+      id: `digest:${toDateKey(digestAt)}`,
+      at: digestAt.toISOString(),
+      title: `${overdue.length} overdue · ${dueSoon.length} due in ${windowDays} days`,
+      body: [...preview, remaining > 0 ? `+${remaining} more` : ''].filter(Boolean).join('\n'),
+      tag: 'unitracker-digest',
+      empty: !overdue.length && !dueSoon.length,
+    }
+  })
+}
+
+const runReminderCheck = async () => {
+  // Settings sync across devices, so a schedule can arrive on one that never
+  // allowed notifications.
+  if (typeof Notification !== 'undefined' && Notification.permission !== 'granted') return
+  const cache = await caches.open(REMINDER_CACHE)
+  const schedule = await readJson(cache, REMINDER_SCHEDULE_URL, { entries: [] })
+  const sent = await readJson(cache, REMINDER_SENT_URL, {})
+  const now = Date.now()
+  const entries = [...(schedule.entries || []), ...getDigestEntries(schedule.digest, now)]
+  const live = new Set(entries.map((entry) => entry.id))
+  let changed = false
+
+  for (const entry of entries) {
+    const at = new Date(entry.at).getTime()
+    if (
+      entry.empty ||
+      sent[entry.id] ||
+      !Number.isFinite(at) ||
+      at > now ||
+      now - at > REMINDER_GRACE_MS
+    ) {
+      continue
+    }
+    // Only a reminder that was shown counts as sent; a failed one is retried
+    // on the next check and does not stop the rest.
+    try {
+      await self.registration.showNotification(entry.title, {
+        body: entry.body,
+        tag: entry.tag || entry.id,
+        icon: '/icons/icon-192.png',
+        data: { url: entry.url || '/' },
+      })
+      sent[entry.id] = now
+      changed = true
+    } catch {
+      // Left unsent.
+    }
+  }
+
+  Object.keys(sent).forEach((id) => {
+    if (!live.has(id)) {
+      delete sent[id]
+      changed = true
+    }
+  })
+
+  if (changed) {
+    await cache.put(
+      REMINDER_SENT_URL,
+      new Response(JSON.stringify(sent), { headers: { 'Content-Type': 'application/json' } }),
+    )
+  }
+}
+
+// Checks are chained so a tab tick and a background sync never both show the
+// same reminder.
+const checkReminders = () => {
+  checking = checking.then(runReminderCheck, runReminderCheck)
+  return checking
+}
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'reminders:check') {
+    event.waitUntil(checkReminders())
+  }
+})
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === 'unitracker-reminders') {
+    event.waitUntil(checkReminders())
+  }
+})
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  const targetUrl = new URL(event.notification.data?.url || '/', self.location.origin).href
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const existing = windows.find((client) => client.url.startsWith(self.location.origin))
+      if (existing) return existing.focus()
+      return self.clients.openWindow(targetUrl)
+    }),
+  )
+})
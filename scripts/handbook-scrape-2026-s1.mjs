@@ -188,13 +188,11 @@ const parseAssessmentTables = ($, semesterLabel = 'Semester 1') => {
   return tables
 }
 
-const parseSemesterEmails = ($, semesterLabel = 'Semester 1') => {
-  const emails = new Set()
-  if (!semesterLabel) {
-    extractEmails($.root().text()).forEach((email) => emails.add(email))
-    return [...emails]
-  }
-
+// Nodes between the study period's h5 heading and the next heading, or the
+// whole page when no period is being filtered on.
+const getSemesterNodes = ($, semesterLabel) => {
+  if (!semesterLabel) return [$.root()]
+  const nodes = []
   const semesterHeading = $('h5')
     .filter((_, el) =>
       $(el).text().toLowerCase().includes(semesterLabel.toLowerCase()),
@@ -204,13 +202,96 @@ const parseSemesterEmails = ($, semesterLabel = 'Semester 1') => {
     let node = semesterHeading.next()
     while (node.length) {
       if (node.is('h5') || node.is('h3') || node.is('h2')) break
-      extractEmails(node.text()).forEach((email) => emails.add(email))
+      nodes.push(node)
       node = node.next()
     }
   }
+  return nodes
+}
+
+const parseSemesterEmails = ($, semesterLabel = 'Semester 1') => {
+  const emails = new Set()
+  getSemesterNodes($, semesterLabel).forEach((node) => {
+    extractEmails(node.text()).forEach((email) => emails.add(email))
+  })
   return [...emails]
 }
 
+// Header text -> class row field. "Weeks" is tested before "day" so a
+// "Weekday" column is not read as weeks.
+const CLASS_COLUMNS = [
+  ['weeks', /^weeks?\b/i],
+  ['day', /day/i],
+  ['start', /start|^time$/i],
+  ['end', /end|finish/i],
+  ['location', /location|venue|room/i],
+  ['activity', /activity|class|type|description/i],
+]
+
+const parseClassTable = ($, table) => {
+  const headers = table
+    .find('tr')
+    .first()
+    .find('th, td')
+    .map((_, cell) => cleanText($(cell).text()))
+    .get()
+  const columns = {}
+  headers.forEach((header, index) => {
+    const match = CLASS_COLUMNS.find(
+      ([key, pattern]) => columns[key] === undefined && pattern.test(header),
+    )
+    if (match) columns[match[0]] = index
+  })
+  if (columns.day === undefined || columns.start === undefined) return []
+
+  return table
+    .find('tr')
+    .slice(1)
+    .map((_, row) => {
+      const cells = $(row)
+        .find('th, td')
+        .map((__, cell) => cleanText($(cell).text()))
+        .get()
+      const entry = {}
+      CLASS_COLUMNS.forEach(([key]) => {
+        entry[key] = columns[key] === undefined ? '' : cells[columns[key]] || ''
+      })
+      return entry
+    })
+    .get()
+    .filter((entry) => entry.day && entry.start)
+}
+
+// Contact hours and any class activity table for the study period. The
+// contact hours row sometimes sits in the page-wide time commitment table
+// rather than under the period.
+const parseDatesTimes = ($, semesterLabel = 'Semester 1') => {
+  const findContactHours = (root) => {
+    let text = ''
+    root.find('tr').each((_, row) => {
+      const label = cleanText($(row).find('th, td').first().text())
+      if (!text && /contact\s+hours/i.test(label)) {
+        text = cleanText($(row).find('td').last().text())
+      }
+    })
+    return text
+  }
+
+  const nodes = getSemesterNodes($, semesterLabel)
+  let contactHours = ''
+  const classes = []
+  nodes.forEach((node) => {
+    if (!contactHours) contactHours = findContactHours(node)
+    const tables = node.is('table') ? node : node.find('table')
+    tables.each((_, table) => {
+      parseClassTable($, $(table)).forEach((entry) => classes.push(entry))
+    })
+  })
+  if (!contactHours) contactHours = findContactHours($.root())
+
+  return { contactHours, classes }
+}
+
 const buildUrl = (href) => new URL(href, baseUrl).toString()
 
 const asyncPool = async (limit, list, iterator) => {
@@ -312,16 +393,20 @@ const run = async () => {
       console.warn(`Failed to fetch assessment ${item.code}:`, error.message)
     }
 
-    if (!instructorEmails.length) {
-      const datesUrl = `${subjectUrl.replace(/\/$/, '')}/dates-times`
-      try {
-        await sleep(delayMs)
-        const datesHtml = await fetchWithRetry(datesUrl)
-        const $dates = cheerio.load(datesHtml)
+    // Dates & times carries the class activities, and the coordinator's
+    // email when the assessment page has none.
+    const datesUrl = `${subjectUrl.replace(/\/$/, '')}/dates-times`
+    let datesTimes = null
+    try {
+      await sleep(delayMs)
+      const datesHtml = await fetchWithRetry(datesUrl)
+      const $dates = cheerio.load(datesHtml)
+      datesTimes = parseDatesTimes($dates, semesterFilter)
+      if (!instructorEmails.length) {
         instructorEmails = parseSemesterEmails($dates, semesterFilter)
-      } catch (error) {
-        console.warn(`Failed to fetch dates-times ${item.code}:`, error.message)
       }
+    } catch (error) {
+      console.warn(`Failed to fetch dates-times ${item.code}:`, error.message)
     }
 
     results.push({
@@ -336,9 +421,11 @@ const run = async () => {
       },
       instructorEmails,
       availability,
+      datesTimes,
       source: {
         subjectUrl,
         assessmentUrl,
+        datesUrl,
       },
     })
 
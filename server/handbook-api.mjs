@@ -3,6 +3,26 @@ import path from 'node:path'
 import crypto from 'node:crypto'
 import { spawn } from 'node:child_process'
 import fs from 'node:fs/promises'
+import { buildCalendar, getCalendarEvents } from '../src/lib/ics.js'
+import {
+  HANDBOOK_SEARCH_LIMIT,
+  buildHandbookSearchIndex,
+  getHandbookSearchFacets,
+  searchHandbook,
+} from '../src/lib/handbookSearch.js'
+import { normalizeTeachingCalendar } from '../src/lib/teachingCalendar.js'
+import {
+  StoreError,
+  authenticate,
+  findUserByCalendarToken,
+  getCalendarToken,
+  getStorePath,
+  readDocument,
+  signIn,
+  signOut,
+  signUp,
+  writeDocument,
+} from './user-store.mjs'
 
 const PORT = Number(process.env.HANDBOOK_API_PORT || 5174)
 const DATA_PATH =
@@ -12,25 +32,215 @@ const REFRESH_TOKEN = process.env.HANDBOOK_REFRESH_TOKEN || ''
 const SCRIPT_PATH =
   process.env.HANDBOOK_SCRAPER_PATH ||
   path.join(process.cwd(), 'scripts', 'handbook-scrape-2026-s1.mjs')
+const TEACHING_CALENDAR_PATH =
+  process.env.TEACHING_CALENDAR_PATH ||
+  path.join(process.cwd(), 'public', 'teaching-calendars.json')
+const HISTORY_PATH =
+  process.env.HANDBOOK_HISTORY_PATH || path.join(process.cwd(), 'data', 'handbook-history.json')
+// Versions a client can still ask for a delta from; older ones get 410.
+const HISTORY_LIMIT = 20
+// Registration is closed unless the operator opens it.
+const ALLOW_SIGNUP = process.env.USER_DATA_ALLOW_SIGNUP === 'true'
+const MAX_BODY_BYTES = 5 * 1024 * 1024
 
 let cache = {
   mtimeMs: 0,
   payload: null,
   version: null,
+  hashes: {},
 }
 let refreshPromise = null
+let history = null
 
-const sendJson = (res, status, payload) => {
+const sendJson = (res, status, payload, headers = {}) => {
   res.writeHead(status, {
     'Content-Type': 'application/json; charset=utf-8',
+    ...headers,
   })
   res.end(JSON.stringify(payload))
 }
 
+const toEtag = (value) => `"${value}"`
+
+const matchesEtag = (req, etag) => {
+  const header = req.headers['if-none-match']
+  if (!header) return false
+  return header
+    .split(',')
+    .map((value) => value.trim().replace(/^W\//, ''))
+    .some((value) => value === '*' || value === etag)
+}
+
+// Sends 304 when the client already has this representation.
+const sendCachedJson = (req, res, etag, payload) => {
+  const headers = { ETag: etag, 'Cache-Control': 'no-cache' }
+  if (matchesEtag(req, etag)) {
+    res.writeHead(304, headers)
+    res.end()
+    return
+  }
+  sendJson(res, 200, payload, headers)
+}
+
 const withCors = (res) => {
   res.setHeader('Access-Control-Allow-Origin', '*')
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS')
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type,X-Handbook-Token')
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,OPTIONS')
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'Content-Type,X-Handbook-Token,Authorization,If-Match,If-None-Match',
+  )
+  res.setHeader('Access-Control-Expose-Headers', 'ETag')
+}
+
+const readJsonBody = (req) =>
+  new Promise((resolve, reject) => {
+    let size = 0
+    const chunks = []
+    req.on('data', (chunk) => {
+      size += chunk.length
+      if (size > MAX_BODY_BYTES) {
+        reject(new StoreError(413, 'Request body too large.'))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => {
+      try {
+        const raw = Buffer.concat(chunks).toString('utf8')
+        resolve(raw ? JSON.parse(raw) : {})
+      } catch {
+        reject(new StoreError(400, 'Invalid JSON body.'))
+      }
+    })
+    req.on('error', reject)
+  })
+
+// Credentials must arrive as a JSON object; `null` or an array is a bad request.
+const readCredentials = async (req) => {
+  const body = await readJsonBody(req)
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new StoreError(400, 'Expected a JSON object with email and password.')
+  }
+  return body
+}
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || ''
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : ''
+}
+
+const handleAuthRoute = async (req, res, url) => {
+  if (req.method === 'POST' && url.pathname === '/api/auth/sign-up') {
+    if (!ALLOW_SIGNUP) {
+      sendJson(res, 403, { error: 'Sign-up is disabled on this server.' })
+      return
+    }
+    sendJson(res, 201, await signUp(await readCredentials(req)))
+    return
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/auth/sign-in') {
+    sendJson(res, 200, await signIn(await readCredentials(req)))
+    return
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/auth/sign-out') {
+    await signOut(getBearerToken(req))
+    res.writeHead(204)
+    res.end()
+    return
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/auth/me') {
+    const user = await authenticate(getBearerToken(req))
+    if (!user) {
+      sendJson(res, 401, { error: 'Unauthorized' })
+      return
+    }
+    sendJson(res, 200, { user })
+    return
+  }
+
+  sendJson(res, 404, { error: 'Not found' })
+}
+
+const CALENDAR_FEED_PATTERN = /^\/api\/calendar\/([A-Za-z0-9_-]+)\.ics$/
+
+const handleCalendarRoute = async (req, res, url) => {
+  const feedMatch = CALENDAR_FEED_PATTERN.exec(url.pathname)
+  if (req.method === 'GET' && feedMatch) {
+    const owner = await findUserByCalendarToken(feedMatch[1])
+    if (!owner) {
+      sendJson(res, 404, { error: 'Not found' })
+      return
+    }
+    const { data } = await readDocument(owner.id)
+    const body = buildCalendar({
+      name: 'UniTracker assessments',
+      events: getCalendarEvents({
+        courses: data?.courses || [],
+        assessments: data?.assessments || [],
+      }),
+    })
+    res.writeHead(200, {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Cache-Control': 'no-cache',
+    })
+    res.end(body)
+    return
+  }
+
+  const user = await authenticate(getBearerToken(req))
+  if (!user) {
+    sendJson(res, 401, { error: 'Unauthorized' })
+    return
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/calendar/feed') {
+    const token = await getCalendarToken(user.id)
+    sendJson(res, 200, { path: `/api/calendar/${token}.ics` })
+    return
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/calendar/feed/rotate') {
+    const token = await getCalendarToken(user.id, { rotate: true })
+    sendJson(res, 200, { path: `/api/calendar/${token}.ics` })
+    return
+  }
+
+  sendJson(res, 404, { error: 'Not found' })
+}
+
+const handleUserDataRoute = async (req, res) => {
+  const user = await authenticate(getBearerToken(req))
+  if (!user) {
+    sendJson(res, 401, { error: 'Unauthorized' })
+    return
+  }
+
+  if (req.method === 'GET') {
+    sendJson(res, 200, await readDocument(user.id))
+    return
+  }
+
+  if (req.method === 'PUT') {
+    const body = await readJsonBody(req)
+    if (!body?.data || typeof body.data !== 'object' || Array.isArray(body.data)) {
+      sendJson(res, 400, { error: 'Expected { data } with the user document.' })
+      return
+    }
+    const ifMatch = req.headers['if-match']
+    const expectedRevision = ifMatch === undefined ? null : Number(ifMatch)
+    if (expectedRevision !== null && !Number.isInteger(expectedRevision)) {
+      sendJson(res, 400, { error: 'If-Match must be a revision number.' })
+      return
+    }
+    sendJson(res, 200, await writeDocument(user.id, body.data, expectedRevision))
+    return
+  }
+
+  sendJson(res, 405, { error: 'Method not allowed' })
 }
 
 const computeVersion = (payload) => {
@@ -38,6 +248,42 @@ const computeVersion = (payload) => {
   return crypto.createHash('sha256').update(json).digest('hex').slice(0, 12)
 }
 
+const hashItems = (items) =>
+  Object.fromEntries(
+    (items || [])
+      .filter((item) => item?.code)
+      .map((item) => [
+        item.code,
+        crypto.createHash('sha256').update(JSON.stringify(item)).digest('hex').slice(0, 16),
+      ]),
+  )
+
+// Per-subject hashes of recent versions, kept on disk so deltas survive a
+// restart of the API.
+const loadHistory = async () => {
+  if (history) return history
+  try {
+    history = JSON.parse(await fs.readFile(HISTORY_PATH, 'utf8'))
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn('Ignoring unreadable handbook history', error)
+    history = { versions: [] }
+  }
+  return history
+}
+
+const recordVersion = async (version, hashes) => {
+  const current = await loadHistory()
+  if (current.versions.some((entry) => entry.version === version)) return
+  current.versions = [
+    ...current.versions,
+    { version, recordedAt: new Date().toISOString(), hashes },
+  ].slice(-HISTORY_LIMIT)
+  await fs.mkdir(path.dirname(HISTORY_PATH), { recursive: true })
+  const tempPath = `${HISTORY_PATH}.${process.pid}.tmp`
+  await fs.writeFile(tempPath, JSON.stringify(current))
+  await fs.rename(tempPath, HISTORY_PATH)
+}
+
 const loadData = async () => {
   const stat = await fs.stat(DATA_PATH)
   if (cache.payload && stat.mtimeMs === cache.mtimeMs) {
@@ -46,14 +292,79 @@ const loadData = async () => {
   const raw = await fs.readFile(DATA_PATH, 'utf8')
   const payload = JSON.parse(raw)
   const version = payload.version || computeVersion(payload)
+  const hashes = hashItems(payload.items)
   cache = {
     mtimeMs: stat.mtimeMs,
     payload: { ...payload, version },
     version,
+    hashes,
   }
+  await recordVersion(version, hashes)
   return cache.payload
 }
 
+let teachingCalendarCache = { mtimeMs: 0, payload: null }
+
+// Calendars that fail to normalize are dropped rather than sent to clients.
+const loadTeachingCalendars = async () => {
+  const stat = await fs.stat(TEACHING_CALENDAR_PATH)
+  if (teachingCalendarCache.payload && stat.mtimeMs === teachingCalendarCache.mtimeMs) {
+    return teachingCalendarCache.payload
+  }
+  const raw = JSON.parse(await fs.readFile(TEACHING_CALENDAR_PATH, 'utf8'))
+  const calendars = (raw.calendars || []).map(normalizeTeachingCalendar).filter(Boolean)
+  const payload = {
+    version: raw.version || computeVersion(calendars),
+    source: raw.source || null,
+    calendars,
+  }
+  teachingCalendarCache = { mtimeMs: stat.mtimeMs, payload }
+  return payload
+}
+
+let searchIndex = { version: null, entries: [] }
+
+const getSearchIndex = (payload) => {
+  if (searchIndex.version !== payload.version) {
+    searchIndex = { version: payload.version, entries: buildHandbookSearchIndex(payload.items) }
+  }
+  return searchIndex.entries
+}
+
+const MAX_SEARCH_LIMIT = 50
+
+// Search results carry a summary of each subject; the full record comes from
+// /api/handbook?code=.
+const toSearchResult = (result) => ({
+  code: result.subject.code,
+  name: result.subject.name,
+  creditPoints: result.subject.creditPoints ?? null,
+  level: result.level,
+  studyPeriods: result.studyPeriods,
+  score: result.score,
+  highlights: result.highlights,
+})
+
+// Subjects added or changed since `since`, plus the codes that were dropped.
+// Returns null when that version is no longer in the history.
+const buildDelta = async (payload, since) => {
+  const { versions } = await loadHistory()
+  const previous = versions.find((entry) => entry.version === since)
+  if (!previous) return null
+  const changed = (payload.items || []).filter(
+    (item) => item?.code && previous.hashes[item.code] !== cache.hashes[item.code],
+  )
+  const removed = Object.keys(previous.hashes).filter((code) => !(code in cache.hashes))
+  return {
+    version: payload.version,
+    since,
+    generatedAt: payload.generatedAt || null,
+    source: payload.source || null,
+    changed,
+    removed,
+  }
+}
+
 const runRefresh = async () => {
   if (refreshPromise) return refreshPromise
   refreshPromise = new Promise((resolve, reject) => {
@@ -64,7 +375,7 @@ const runRefresh = async () => {
     proc.on('error', reject)
     proc.on('exit', (code) => {
       if (code === 0) {
-        cache = { mtimeMs: 0, payload: null, version: null }
+        cache = { mtimeMs: 0, payload: null, version: null, hashes: {} }
         resolve()
       } else {
         reject(new Error(`Scraper exited with code ${code}`))
@@ -88,15 +399,31 @@ const server = http.createServer(async (req, res) => {
   }
 
   const url = new URL(req.url || '/', `http://${req.headers.host}`)
-  if (!url.pathname.startsWith('/api/handbook')) {
-    sendJson(res, 404, { error: 'Not found' })
-    return
-  }
 
   try {
+    if (url.pathname.startsWith('/api/auth/')) {
+      await handleAuthRoute(req, res, url)
+      return
+    }
+
+    if (url.pathname.startsWith('/api/calendar/')) {
+      await handleCalendarRoute(req, res, url)
+      return
+    }
+
+    if (url.pathname === '/api/user-data') {
+      await handleUserDataRoute(req, res)
+      return
+    }
+
+    if (!url.pathname.startsWith('/api/handbook')) {
+      sendJson(res, 404, { error: 'Not found' })
+      return
+    }
+
     if (req.method === 'GET' && url.pathname === '/api/handbook/meta') {
       const payload = await loadData()
-      sendJson(res, 200, {
+      sendCachedJson(req, res, toEtag(`meta-${payload.version}`), {
         version: payload.version,
         generatedAt: payload.generatedAt || null,
         count: payload.items?.length || 0,
@@ -104,19 +431,88 @@ const server = http.createServer(async (req, res) => {
       return
     }
 
+    if (req.method === 'GET' && url.pathname === '/api/handbook/delta') {
+      const payload = await loadData()
+      const since = url.searchParams.get('since') || ''
+      const etag = toEtag(`${payload.version}-since-${since}`)
+      if (since === payload.version) {
+        sendCachedJson(req, res, etag, {
+          version: payload.version,
+          since,
+          generatedAt: payload.generatedAt || null,
+          source: payload.source || null,
+          changed: [],
+          removed: [],
+        })
+        return
+      }
+      const delta = await buildDelta(payload, since)
+      if (!delta) {
+        sendJson(res, 410, {
+          error: 'That version is no longer available. Download the full dataset.',
+          version: payload.version,
+        })
+        return
+      }
+      sendCachedJson(req, res, etag, delta)
+      return
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/handbook/teaching-calendar') {
+      const payload = await loadTeachingCalendars()
+      const year = Number(url.searchParams.get('year')) || null
+      const studyPeriod = url.searchParams.get('studyPeriod') || ''
+      const calendars = payload.calendars.filter(
+        (calendar) =>
+          (!year || calendar.year === year) &&
+          (!studyPeriod || calendar.studyPeriod === studyPeriod),
+      )
+      sendCachedJson(
+        req,
+        res,
+        toEtag(`calendar-${payload.version}-${year || ''}-${encodeURIComponent(studyPeriod)}`),
+        { ...payload, calendars },
+      )
+      return
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/handbook/search') {
+      const payload = await loadData()
+      const query = (url.searchParams.get('q') || '').trim()
+      const filters = {
+        creditPoints: url.searchParams.get('creditPoints') || '',
+        studyPeriod: url.searchParams.get('studyPeriod') || '',
+        level: url.searchParams.get('level') || '',
+      }
+      const limit = Math.min(
+        Math.max(Number(url.searchParams.get('limit')) || HANDBOOK_SEARCH_LIMIT, 1),
+        MAX_SEARCH_LIMIT,
+      )
+      const index = getSearchIndex(payload)
+      const results = searchHandbook(index, query, filters, limit)
+      const queryHash = crypto.createHash('sha1').update(url.search).digest('hex').slice(0, 12)
+      sendCachedJson(req, res, toEtag(`${payload.version}-search-${queryHash}`), {
+        version: payload.version,
+        query,
+        facets: getHandbookSearchFacets(index),
+        items: results.map(toSearchResult),
+      })
+      return
+    }
+
     if (req.method === 'GET' && url.pathname === '/api/handbook') {
       const payload = await loadData()
       const code = (url.searchParams.get('code') || '').toUpperCase()
       if (code) {
         const item = payload.items?.find((entry) => entry.code === code) || null
-        sendJson(res, 200, {
+        sendCachedJson(req, res, toEtag(`${payload.version}-${code}`), {
           version: payload.version,
           generatedAt: payload.generatedAt || null,
           item,
         })
         return
       }
-      sendJson(res, 200, payload)
+      sendCachedJson(req, res, toEtag(payload.version), payload)
       return
     }
 
@@ -140,6 +536,10 @@ const server = http.createServer(async (req, res) => {
 
     sendJson(res, 404, { error: 'Not found' })
   } catch (error) {
+    if (error instanceof StoreError) {
+      sendJson(res, error.status, { error: error.message })
+      return
+    }
     console.error('API error', error)
     sendJson(res, 500, { error: 'Server error' })
   }
@@ -148,4 +548,7 @@ const server = http.createServer(async (req, res) => {
 server.listen(PORT, () => {
   console.log(`Handbook API listening on http://127.0.0.1:${PORT}`)
   console.log(`Data file: ${DATA_PATH}`)
+  console.log(`History file: ${HISTORY_PATH}`)
+  console.log(`Teaching calendars: ${TEACHING_CALENDAR_PATH}`)
+  console.log(`User store: ${getStorePath()}`)
 })
@@ -0,0 +1,198 @@
+import path from 'node:path'
+import crypto from 'node:crypto'
+import fs from 'node:fs/promises'
+
+// JSON file store for self-hosted accounts. Passwords are scrypt hashes and
+// session tokens are only kept as SHA-256 digests, so the file alone is not
+// enough to sign in as anyone.
+
+const STORE_PATH =
+  process.env.USER_DATA_PATH || path.join(process.cwd(), 'data', 'user-store.json')
+const SESSION_TTL_MS = Number(process.env.USER_SESSION_TTL_DAYS || 30) * 24 * 60 * 60 * 1000
+
+let store = null
+let writeChain = Promise.resolve()
+// Calendar token digest -> user id, rebuilt on load so feed lookups match by
+// hash like sessions do instead of comparing tokens directly.
+let calendarTokenIndex = new Map()
+
+const emptyStore = () => ({ users: {}, sessions: {}, documents: {} })
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+const hashPassword = (password, salt = crypto.randomBytes(16).toString('hex')) =>
+  new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (error, derived) => {
+      if (error) reject(error)
+      else resolve(`${salt}:${derived.toString('hex')}`)
+    })
+  })
+
+const verifyPassword = async (password, stored) => {
+  const [salt, expected] = String(stored || '').split(':')
+  if (!salt || !expected) return false
+  const actual = Buffer.from((await hashPassword(password, salt)).split(':')[1], 'hex')
+  const expectedBuffer = Buffer.from(expected, 'hex')
+  // A corrupt or hand-edited hash is a failed sign-in, not a server error.
+  if (actual.length !== expectedBuffer.length) return false
+  return crypto.timingSafeEqual(actual, expectedBuffer)
+}
+
+const loadStore = async () => {
+  if (store) return store
+  try {
+    const raw = await fs.readFile(STORE_PATH, 'utf8')
+    store = { ...emptyStore(), ...JSON.parse(raw) }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+    store = emptyStore()
+  }
+  calendarTokenIndex = new Map(
+    Object.values(store.users)
+      .filter((user) => user.calendarToken)
+      .map((user) => [hashToken(user.calendarToken), user.id]),
+  )
+  return store
+}
+
+// Writes go through a temp file and rename, one at a time.
+const persist = () => {
+  writeChain = writeChain.then(async () => {
+    await fs.mkdir(path.dirname(STORE_PATH), { recursive: true })
+    const tempPath = `${STORE_PATH}.${process.pid}.tmp`
+    await fs.writeFile(tempPath, JSON.stringify(store, null, 2))
+    await fs.rename(tempPath, STORE_PATH)
+  })
+  return writeChain
+}
+
+const toPublicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  createdAt: user.createdAt,
+  lastSignInAt: user.lastSignInAt || null,
+})
+
+const issueSession = async (user) => {
+  const token = crypto.randomBytes(32).toString('base64url')
+  const now = Date.now()
+  user.lastSignInAt = new Date(now).toISOString()
+  store.sessions[hashToken(token)] = {
+    userId: user.id,
+    createdAt: user.lastSignInAt,
+    expiresAt: new Date(now + SESSION_TTL_MS).toISOString(),
+  }
+  await persist()
+  return { token, user: toPublicUser(user) }
+}
+
+export class StoreError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase()
+
+export const getStorePath = () => STORE_PATH
+
+export const signUp = async ({ email, password }) => {
+  await loadStore()
+  const normalized = normalizeEmail(email)
+  if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(normalized)) {
+    throw new StoreError(400, 'Enter a valid email address.')
+  }
+  if (String(password || '').length < 6) {
+    throw new StoreError(400, 'Password must be at least 6 characters.')
+  }
+  const exists = Object.values(store.users).some((user) => user.email === normalized)
+  if (exists) {
+    throw new StoreError(409, 'An account already exists for this email.')
+  }
+  const user = {
+    id: crypto.randomUUID(),
+    email: normalized,
+    passwordHash: await hashPassword(password),
+    createdAt: new Date().toISOString(),
+  }
+  store.users[user.id] = user
+  return issueSession(user)
+}
+
+export const signIn = async ({ email, password }) => {
+  await loadStore()
+  const normalized = normalizeEmail(email)
+  const user = Object.values(store.users).find((entry) => entry.email === normalized)
+  if (!user || !(await verifyPassword(String(password || ''), user.passwordHash))) {
+    throw new StoreError(401, 'Email or password is incorrect.')
+  }
+  return issueSession(user)
+}
+
+export const authenticate = async (token) => {
+  if (!token) return null
+  await loadStore()
+  const key = hashToken(token)
+  const session = store.sessions[key]
+  if (!session) return null
+  if (new Date(session.expiresAt).getTime() < Date.now()) {
+    delete store.sessions[key]
+    await persist()
+    return null
+  }
+  const user = store.users[session.userId]
+  return user ? toPublicUser(user) : null
+}
+
+export const signOut = async (token) => {
+  if (!token) return
+  await loadStore()
+  delete store.sessions[hashToken(token)]
+  await persist()
+}
+
+// Calendar feeds are read-only capability URLs, so the token is stored as-is
+// and shown again whenever the owner asks for it.
+export const getCalendarToken = async (userId, { rotate = false } = {}) => {
+  await loadStore()
+  const user = store.users[userId]
+  if (!user) throw new StoreError(404, 'Account not found.')
+  if (!user.calendarToken || rotate) {
+    if (user.calendarToken) calendarTokenIndex.delete(hashToken(user.calendarToken))
+    user.calendarToken = crypto.randomBytes(24).toString('base64url')
+    calendarTokenIndex.set(hashToken(user.calendarToken), user.id)
+    await persist()
+  }
+  return user.calendarToken
+}
+
+export const findUserByCalendarToken = async (token) => {
+  if (!token) return null
+  await loadStore()
+  const user = store.users[calendarTokenIndex.get(hashToken(token))]
+  return user ? toPublicUser(user) : null
+}
+
+export const readDocument = async (userId) => {
+  await loadStore()
+  const entry = store.documents[userId]
+  return { data: entry?.data ?? null, revision: entry?.revision ?? 0 }
+}
+
+// Rejects stale writes so clients re-read and merge instead of clobbering.
+export const writeDocument = async (userId, data, expectedRevision) => {
+  await loadStore()
+  const current = store.documents[userId]?.revision ?? 0
+  if (expectedRevision !== null && expectedRevision !== current) {
+    throw new StoreError(412, 'Document changed since it was read.')
+  }
+  const revision = current + 1
+  store.documents[userId] = {
+    data,
+    revision,
+    updatedAt: new Date().toISOString(),
+  }
+  await persist()
+  return { revision }
+}
@@ -3,23 +3,46 @@ import { format, isSameMonth, isToday, parseISO } from 'date-fns'
 import {
   AUTH_VIEWS,
   DUE_SOON_DAYS,
-  MAX_COURSES,
+  formatAssessmentScore,
+  formatDueCountdown,
+  formatDueDate,
+  formatDueTime,
   formatDateTime,
-  normalizeCourseCode,
+  getCourseMarksEarned,
+  getGradeBand,
+  isCourseFinalised,
   useDashboardDomain,
 } from './hooks/useDashboardDomain'
+import {
+  CALENDAR_VIEWS,
+  MAX_COURSES,
+  SCORE_DISPLAYS,
+  WAM_GOAL_SCOPES,
+  formatAssessmentWeight,
+  formatSemesterLabel,
+  hasDueWindow,
+} from './lib/domain'
 import ProfileModal from './components/modals/ProfileModal'
 import CourseDetailModal from './components/modals/CourseDetailModal'
 import CourseModal from './components/modals/CourseModal'
 import DeleteCourseModal from './components/modals/DeleteCourseModal'
 import HandbookDetailModal from './components/modals/HandbookDetailModal'
 import AssessmentModal from './components/modals/AssessmentModal'
+import SemesterModal from './components/modals/SemesterModal'
+import CalendarImportModal from './components/modals/CalendarImportModal'
 import PomodoroTimer from './components/PomodoroTimer'
+import PlannerModeToggle from './components/PlannerModeToggle'
+import CalendarViewToggle from './components/CalendarViewToggle'
+import CalendarWeekView from './components/CalendarWeekView'
+import CalendarAgendaView from './components/CalendarAgendaView'
+import HandbookSearch from './components/HandbookSearch'
+import { downloadFile } from './lib/download'
+import { describeTeachingDate } from './lib/teachingCalendar'
+import { formatClassOverlap } from './lib/timetable'
 import confetti from 'canvas-confetti'
 
 function App() {
   const {
-    hasFirebaseConfig,
     authView,
     switchAuthView,
     authStatus,
@@ -27,13 +50,39 @@ function App() {
     authNotice,
     authBusy,
     user,
+    hasSession,
+    isGuest,
+    canUseAccounts,
+    enterGuestMode,
     dataStatus,
-    courses,
-    assessments,
+    syncState,
+    syncNow,
+    semesters,
+    activeSemester,
+    setActiveSemesterId,
+    semesterCourseCounts,
+    semesterModal,
+    setSemesterModal,
+    semesterCourses,
+    semesterAssessments,
     wamGoal,
     setWamGoal,
+    wamGoalScope,
+    setWamGoalScope,
+    settings,
+    updateSettings,
+    reminderSettings,
+    updateReminderSettings,
     monthCursor,
-    setMonthCursor,
+    calendarView,
+    setCalendarView,
+    shiftCalendar,
+    showCalendarToday,
+    weekDays,
+    activeTeachingCalendar,
+    weekClassSessions,
+    timetableClashes,
+    agendaWeeks,
     selectedDate,
     setSelectedDate,
     courseModal,
@@ -53,23 +102,35 @@ function App() {
     handbookMeta,
     handbookQuery,
     setHandbookQuery,
-    handbookResultRef,
-    normalizedHandbookQuery,
-    handbookResult,
+    teachingCalendars,
+    handbookFilters,
+    updateHandbookFilters,
+    resetHandbookSearch,
+    handbookFacets,
+    hasHandbookSearch,
+    handbookResults,
+    openHandbookSubject,
     courseMap,
     handbookIndex,
     assessmentsByCourse,
     courseAverages,
     wamGoalNumber,
+    semesterGoalNumber,
     wamData,
+    cumulativeWamData,
+    typePerformance,
+    semesterBreakdown,
     projectedWam,
+    projectedCumulativeWam,
     semesterTitle,
     handbookSubtitle,
     plannerSnapshot,
     primaryUrgentItem,
     primaryRiskCourse,
     assessmentsByDate,
+    windowsByDate,
     selectedDateAssessments,
+    selectedDateWindows,
     completedAssessmentCount,
     upcomingAssessmentCount,
     monthStart,
@@ -86,21 +147,37 @@ function App() {
     cancelDeleteCourse,
     confirmDeleteCourse,
     handleSaveCourse,
+    handleFinaliseCourse,
+    handleSaveSemester,
+    handleDeleteSemester,
+    openAddSemester,
+    openEditSemester,
     handleSaveAssessment,
     handleDeleteAssessment,
+    simulateSemesterWam,
+    applySimulatedScores,
+    scorePlans,
+    upcomingScoreTargets,
     openHandbookDetailFromCourse,
     importHandbookAssessmentsForCourse,
+    getBackupBundle,
+    getAssessmentsCsv,
+    previewBackupImport,
+    applyBackupImport,
+    getCalendarFile,
+    calendarImportOpen,
+    setCalendarImportOpen,
+    previewCalendarImport,
+    applyCalendarImport,
+    calendarFeedEnabled,
+    getCalendarFeedUrl,
   } = useDashboardDomain()
 
   if (authStatus === 'loading') {
     return <LoadingScreen label="Checking your session…" />
   }
 
-  if (!hasFirebaseConfig) {
-    return <ConfigMissingScreen />
-  }
-
-  if (!user) {
+  if (!hasSession) {
     return (
       <AuthScreen
         view={authView}
@@ -109,6 +186,7 @@ function App() {
         busy={authBusy}
         onSubmit={handleAuthSubmit}
         onToggleView={switchAuthView}
+        onContinueAsGuest={enterGuestMode}
       />
     )
   }
@@ -149,10 +227,16 @@ function App() {
       return
     }
 
+    const calendarHint = result.hasCalendar
+      ? ''
+      : ' Set the teaching calendar on the semester to date week-based timings.'
+    const undatedNote = result.undated
+      ? ` ${result.undated} without a due date.${calendarHint}`
+      : ''
     window.alert(
       `Imported ${result.imported} assessment(s) from handbook${
         result.skipped ? ` (${result.skipped} skipped as duplicates).` : '.'
-      }`,
+      }${undatedNote}`,
     )
   }
 
@@ -170,7 +254,41 @@ function App() {
             <p className="text-xs uppercase tracking-[0.2em] text-slate-500">
               Student Dashboard
             </p>
-            <h1 className="text-3xl font-semibold text-slate-800">{semesterTitle}</h1>
+            <div className="flex flex-wrap items-center gap-3">
+              <h1 className="text-3xl font-semibold text-slate-800">{semesterTitle}</h1>
+              <label htmlFor="semester-switcher" className="sr-only">
+                Semester
+              </label>
+              <select
+                id="semester-switcher"
+                name="semester"
+                value={activeSemester?.id || ''}
+                onChange={(event) => setActiveSemesterId(event.target.value)}
+                autoComplete="off"
+                className="rounded-2xl bg-white px-3 py-2 text-xs font-semibold text-slate-500 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+              >
+                {semesters.map((semester) => (
+                  <option key={semester.id} value={semester.id}>
+                    {formatSemesterLabel(semester)} ({semesterCourseCounts.get(semester.id) || 0})
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => openEditSemester(activeSemester)}
+                disabled={!activeSemester}
+                className="rounded-full bg-white px-3 py-1 text-[11px] font-semibold text-slate-500 shadow-neu transition hover:shadow-neu-sm disabled:cursor-not-allowed disabled:opacity-60"
+              >
+                Edit
+              </button>
+              <button
+                type="button"
+                onClick={openAddSemester}
+                className="rounded-full bg-white px-3 py-1 text-[11px] font-semibold text-slate-500 shadow-neu transition hover:shadow-neu-sm"
+              >
+                + Semester
+              </button>
+            </div>
             <p className="mt-1 text-sm text-slate-500">
               Track courses, assessments, and your WAM in one calm space.
             </p>
@@ -179,9 +297,11 @@ function App() {
             <div className="hidden items-center gap-2 rounded-2xl bg-white px-4 py-2 text-xs font-semibold text-slate-500 shadow-neu sm:flex">
               <span
                 aria-hidden="true"
-                className="h-2 w-2 rounded-full bg-emerald-400/80 shadow-sm"
+                className={`h-2 w-2 rounded-full shadow-sm ${
+                  isGuest ? 'bg-amber-400/80' : 'bg-emerald-400/80'
+                }`}
               />
-              <span>Signed in</span>
+              <span>{isGuest ? 'Guest mode' : 'Signed in'}</span>
               {showDisplayName && (
                 <>
                   <span aria-hidden="true" className="h-3 w-px bg-slate-200/80" />
@@ -191,13 +311,15 @@ function App() {
                 </>
               )}
             </div>
-            <button
-              type="button"
-              onClick={handleSignOut}
-              className={headerActionSecondary}
-            >
-              Sign Out
-            </button>
+            {(!isGuest || canUseAccounts) && (
+              <button
+                type="button"
+                onClick={handleSignOut}
+                className={headerActionSecondary}
+              >
+                {isGuest ? 'Sign In' : 'Sign Out'}
+              </button>
+            )}
             <button
               type="button"
               onClick={() => setProfileOpen(true)}
@@ -218,24 +340,71 @@ function App() {
         <div className="flex flex-col gap-6 lg:flex-row lg:items-stretch">
           <section className="w-full rounded-2xl border border-white/60 bg-white/40 px-5 py-3 shadow-neu backdrop-blur-md lg:w-[560px] lg:flex-none">
             <div className="grid gap-4 sm:grid-cols-[1fr_auto] sm:items-center">
-              <div>
-                <p className="text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
-                  WAM
-                </p>
-                <div className="mt-1 flex items-baseline gap-2">
-                  <span className="text-2xl font-semibold text-slate-800">
-                    {wamData.wam === null ? '--' : wamData.wam.toFixed(2)}
-                  </span>
-                  <span className="text-xs text-slate-500">current</span>
+              <div className="flex gap-6">
+                <div>
+                  <p className="text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
+                    Semester WAM
+                  </p>
+                  <div className="mt-1 flex items-baseline gap-2">
+                    <span className="text-2xl font-semibold text-slate-800">
+                      {wamData.wam === null ? '--' : wamData.wam.toFixed(2)}
+                    </span>
+                    <span className="text-xs text-slate-500">current</span>
+                  </div>
+                  <p className="text-[11px] text-slate-400">
+                    {wamData.totalCredits || 0} CP tracked
+                  </p>
+                </div>
+                <div>
+                  <p className="text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
+                    Cumulative
+                  </p>
+                  <div className="mt-1 flex items-baseline gap-2">
+                    <span className="text-2xl font-semibold text-slate-800">
+                      {cumulativeWamData.wam === null
+                        ? '--'
+                        : cumulativeWamData.wam.toFixed(2)}
+                    </span>
+                    <span className="text-xs text-slate-500">career</span>
+                  </div>
+                  <p className="text-[11px] text-slate-400">
+                    {cumulativeWamData.totalCredits || 0} CP tracked
+                  </p>
                 </div>
-                <p className="text-[11px] text-slate-400">
-                  {wamData.totalCredits || 0} CP tracked
-                </p>
               </div>
-              <label className="flex flex-col gap-2 text-xs font-semibold text-slate-500">
-                <span className="uppercase tracking-[0.2em] text-[10px] text-slate-400">
-                  WAM goal
-                </span>
+              <div className="flex flex-col gap-2 text-xs font-semibold text-slate-500">
+                <div className="flex items-center justify-between gap-2">
+                  <label
+                    htmlFor="wam-goal"
+                    className="uppercase tracking-[0.2em] text-[10px] text-slate-400"
+                  >
+                    WAM goal
+                  </label>
+                  <div
+                    role="group"
+                    aria-label="WAM goal applies to"
+                    className="flex rounded-full bg-white/70 p-0.5 shadow-neu-inset"
+                  >
+                    {[
+                      { value: WAM_GOAL_SCOPES.semester, label: 'Semester' },
+                      { value: WAM_GOAL_SCOPES.cumulative, label: 'Cumulative' },
+                    ].map((option) => (
+                      <button
+                        key={option.value}
+                        type="button"
+                        aria-pressed={wamGoalScope === option.value}
+                        onClick={() => setWamGoalScope(option.value)}
+                        className={`rounded-full px-2 py-0.5 text-[10px] font-semibold transition ${
+                          wamGoalScope === option.value
+                            ? 'bg-accent text-white'
+                            : 'text-slate-400'
+                        }`}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
                 <div className="flex items-center gap-2">
                   <input
                     id="wam-goal"
@@ -253,29 +422,100 @@ function App() {
                   />
                   <span className="text-xs text-slate-400">%</span>
                 </div>
+                {wamGoalScope === WAM_GOAL_SCOPES.cumulative &&
+                  semesterGoalNumber !== null && (
+                    <p className="text-[11px] text-slate-400">
+                      Needs {semesterGoalNumber.toFixed(2)} this semester
+                    </p>
+                  )}
                 {projectedWam !== null && (
                   <p className="text-[11px] text-slate-400">
                     Projected: {projectedWam.toFixed(2)}
+                    {projectedCumulativeWam !== null &&
+                      ` · ${projectedCumulativeWam.toFixed(2)} cumulative`}
                   </p>
                 )}
-              </label>
+              </div>
             </div>
+
+            {semesterBreakdown.length > 1 && (
+              <details className="mt-3 text-xs text-slate-500">
+                <summary className="cursor-pointer text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
+                  Semester breakdown
+                </summary>
+                <table className="mt-2 w-full text-left text-[11px]">
+                  <thead className="text-slate-400">
+                    <tr>
+                      <th scope="col" className="py-1 font-semibold">
+                        Semester
+                      </th>
+                      <th scope="col" className="py-1 text-right font-semibold">
+                        Courses
+                      </th>
+                      <th scope="col" className="py-1 text-right font-semibold">
+                        CP
+                      </th>
+                      <th scope="col" className="py-1 text-right font-semibold">
+                        WAM
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {semesterBreakdown.map((entry) => (
+                      <tr
+                        key={entry.semester.id}
+                        className={
+                          entry.semester.id === activeSemester?.id
+                            ? 'font-semibold text-slate-700'
+                            : ''
+                        }
+                      >
+                        <td className="py-1">{formatSemesterLabel(entry.semester)}</td>
+                        <td className="py-1 text-right">{entry.courseCount}</td>
+                        <td className="py-1 text-right">{entry.totalCredits}</td>
+                        <td className="py-1 text-right">
+                          {entry.wam === null ? '--' : entry.wam.toFixed(2)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </details>
+            )}
           </section>
 
           <section className="w-full rounded-3xl border border-white/60 bg-white/35 p-6 shadow-glass backdrop-blur-md lg:flex-1">
-            <div>
-              <h3 className="text-base font-semibold text-slate-700">
-                Due on {format(parseISO(selectedDate), 'MMMM d')}
-              </h3>
-              <p className="text-xs text-slate-400">
-                {selectedDateAssessments.length
-                  ? `${selectedDateAssessments.length} item(s)`
-                  : 'No assessments due.'}
-              </p>
+            <div className="flex flex-wrap items-start justify-between gap-3">
+              <div>
+                <h3 className="text-base font-semibold text-slate-700">
+                  Due on {format(parseISO(selectedDate), 'MMMM d')}
+                </h3>
+                <p className="text-xs text-slate-400">
+                  {selectedDateAssessments.length
+                    ? `${selectedDateAssessments.length} item(s)`
+                    : 'No assessments due.'}
+                  {selectedDateWindows.length > 0 &&
+                    ` · ${selectedDateWindows.length} window(s) open`}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() =>
+                  updateSettings({
+                    scoreDisplay:
+                      settings.scoreDisplay === SCORE_DISPLAYS.raw
+                        ? SCORE_DISPLAYS.percent
+                        : SCORE_DISPLAYS.raw,
+                  })
+                }
+                className="rounded-full bg-white px-3 py-1 text-[11px] font-semibold text-slate-500 shadow-neu transition hover:shadow-neu-sm"
+              >
+                {settings.scoreDisplay === SCORE_DISPLAYS.raw ? 'Show %' : 'Show raw marks'}
+              </button>
             </div>
 
             <div className="mt-4 flex flex-col gap-3">
-              {selectedDateAssessments.length === 0 ? (
+              {selectedDateAssessments.length === 0 && selectedDateWindows.length === 0 ? (
                 <div className="rounded-2xl bg-white/70 p-4 text-center text-sm text-slate-400 shadow-neu">
                   All clear. Use the + Assessment button inside a course card.
                 </div>
@@ -302,20 +542,57 @@ function App() {
                         <p className="text-xs text-slate-400">
                           {courseMap.get(assessment.courseId)?.name || 'Course'} ·{' '}
                           {assessment.type}
+                          {assessment.dueTime && ` · ${formatDueTime(assessment)}`}
+                          {hasDueWindow(assessment) &&
+                            ` · opened ${format(parseISO(assessment.startDate), 'MMM d')}`}
                         </p>
                       </div>
                     </div>
                     <div className="text-right text-xs text-slate-400">
-                      <p>{assessment.weight}%</p>
+                      <p>{formatAssessmentWeight(assessment)}</p>
                       <p>
                         {assessment.completed
-                          ? `${assessment.score ?? '--'}%`
+                          ? formatAssessmentScore(assessment, settings.scoreDisplay)
                           : 'Pending'}
                       </p>
                     </div>
                   </button>
                 ))
               )}
+              {selectedDateWindows.length > 0 && (
+                <div className="rounded-2xl bg-white/50 p-3 shadow-neu-inset">
+                  <p className="text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
+                    Open on this day
+                  </p>
+                  <div className="mt-2 flex flex-col gap-2">
+                    {selectedDateWindows.map((assessment) => (
+                      <button
+                        key={assessment.id}
+                        type="button"
+                        onClick={() => openEditAssessment(assessment)}
+                        className="flex items-center justify-between gap-3 rounded-xl bg-white/70 px-3 py-2 text-left text-xs shadow-neu transition hover:shadow-neu-sm"
+                      >
+                        <span className="flex min-w-0 items-center gap-2">
+                          <span
+                            className="h-1.5 w-4 flex-none rounded-full"
+                            style={{
+                              backgroundColor:
+                                courseMap.get(assessment.courseId)?.color || '#cbd5f5',
+                            }}
+                          />
+                          <span className="truncate font-semibold text-slate-600">
+                            {courseMap.get(assessment.courseId)?.code || 'Course'} ·{' '}
+                            {assessment.title}
+                          </span>
+                        </span>
+                        <span className="flex-none text-[11px] text-slate-400">
+                          {formatDueDate(assessment)}
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
           </section>
         </div>
@@ -352,7 +629,28 @@ function App() {
               <p className="mt-2 text-2xl font-semibold text-amber-500">
                 {plannerSnapshot.dueSoon.length}
               </p>
-              <p className="text-[11px] text-slate-400">Upcoming deadlines</p>
+              {plannerSnapshot.dueWithinDay > 0 ? (
+                <p className="text-[11px] font-semibold text-rose-500">
+                  {plannerSnapshot.dueWithinDay} within 24 hours
+                </p>
+              ) : (
+                <p className="text-[11px] text-slate-400">Upcoming deadlines</p>
+              )}
+              {plannerSnapshot.opensSoon.length > 0 && (
+                <p
+                  className="text-[11px] font-semibold text-accent"
+                  title={plannerSnapshot.opensSoon
+                    .map(
+                      ({ assessment, daysUntilOpen }) =>
+                        `${courseMap.get(assessment.courseId)?.code || 'Course'} · ${
+                          assessment.title
+                        } opens in ${daysUntilOpen}d`,
+                    )
+                    .join('\n')}
+                >
+                  {plannerSnapshot.opensSoon.length} window(s) opening soon
+                </p>
+              )}
             </div>
             <div className="rounded-2xl bg-white/80 p-4 shadow-neu">
               <p className="text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
@@ -362,7 +660,7 @@ function App() {
                 {plannerSnapshot.atRiskCourses.length}
               </p>
               <p className="text-[11px] text-slate-400">
-                Need above 100% to hit target
+                Hurdle at risk or target out of reach
               </p>
             </div>
           </div>
@@ -378,11 +676,7 @@ function App() {
                   Open urgent task:{' '}
                   {courseMap.get(primaryUrgentItem.assessment.courseId)?.code || 'Course'}
                   {' · '}
-                  {primaryUrgentItem.daysUntil < 0
-                    ? `${Math.abs(primaryUrgentItem.daysUntil)}d overdue`
-                    : primaryUrgentItem.daysUntil === 0
-                      ? 'Due today'
-                      : `Due in ${primaryUrgentItem.daysUntil}d`}
+                  {formatDueCountdown(primaryUrgentItem)}
                 </button>
               )}
               {primaryRiskCourse && (
@@ -391,12 +685,63 @@ function App() {
                   onClick={() => setCourseDetailId(primaryRiskCourse.course.id)}
                   className="rounded-2xl bg-white px-4 py-2 text-xs font-semibold text-slate-600 shadow-neu transition hover:-translate-y-0.5 hover:shadow-neu-sm"
                 >
-                  Review risk: {primaryRiskCourse.course.code} (needs{' '}
-                  {primaryRiskCourse.required.toFixed(1)}%)
+                  Review risk: {primaryRiskCourse.course.code}{' '}
+                  {primaryRiskCourse.hurdleIssues.length
+                    ? `(hurdle ${primaryRiskCourse.hurdleIssues[0].status}: ${primaryRiskCourse.hurdleIssues[0].assessment.title})`
+                    : `(needs ${primaryRiskCourse.required.toFixed(1)}%)`}
                 </button>
               )}
             </div>
           )}
+
+          {upcomingScoreTargets.length > 0 && (
+            <div className="relative z-10 mt-4 rounded-2xl bg-white/80 p-4 shadow-neu">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <p className="text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
+                  Score targets
+                </p>
+                <PlannerModeToggle
+                  mode={settings.plannerMode}
+                  onChange={(plannerMode) => updateSettings({ plannerMode })}
+                />
+              </div>
+              <div className="mt-3 flex flex-col gap-2">
+                {upcomingScoreTargets.slice(0, 5).map((item) => (
+                  <div
+                    key={item.id}
+                    className="flex items-center justify-between gap-3 text-xs text-slate-600"
+                  >
+                    <span className="flex min-w-0 items-center gap-2">
+                      <span
+                        className="h-2 w-2 flex-none rounded-full"
+                        style={{
+                          backgroundColor: courseMap.get(item.courseId)?.color || '#cbd5f5',
+                        }}
+                      />
+                      <span className="truncate">
+                        {courseMap.get(item.courseId)?.code || 'Course'} · {item.title}
+                      </span>
+                    </span>
+                    <span className="flex-none text-[11px] text-slate-400">
+                      {formatDueDate(item)} ·{' '}
+                      <span
+                        className={`font-semibold ${
+                          item.target >= 100 ? 'text-rose-500' : 'text-slate-700'
+                        }`}
+                      >
+                        {item.target.toFixed(1)}%
+                      </span>
+                    </span>
+                  </div>
+                ))}
+                {upcomingScoreTargets.length > 5 && (
+                  <p className="text-[11px] text-slate-400">
+                    +{upcomingScoreTargets.length - 5} more in course details
+                  </p>
+                )}
+              </div>
+            </div>
+          )}
         </section>
 
         <div className="grid gap-6 lg:grid-cols-[320px_1fr]">
@@ -405,15 +750,37 @@ function App() {
               <div className="flex items-center justify-between">
                 <h2 className="text-sm font-semibold text-slate-600">Courses</h2>
                 <span className="text-xs text-slate-400">
-                  {courses.length}/{MAX_COURSES}
+                  {semesterCourses.length}/{MAX_COURSES}
                 </span>
               </div>
 
+              {timetableClashes.length > 0 && (
+                <div
+                  role="status"
+                  className="rounded-2xl bg-amber-100/70 px-3 py-2 text-[11px] text-amber-700"
+                >
+                  <p className="font-semibold">
+                    {timetableClashes.length} timetable clash(es)
+                  </p>
+                  <ul className="mt-1 space-y-1">
+                    {timetableClashes.map((clash) => (
+                      <li
+                        key={`${clash.course.id}-${clash.classEvent.id}-${clash.otherCourse.id}-${clash.otherClass.id}`}
+                      >
+                        {clash.course.code} {clash.classEvent.type} and{' '}
+                        {clash.otherCourse.code} {clash.otherClass.type} ·{' '}
+                        {formatClassOverlap(clash.overlap)}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
               <div className="flex flex-col gap-3">
-                {courses.length === 0 ? (
+                {semesterCourses.length === 0 ? (
                   <div className="rounded-2xl bg-white/50 p-6 text-center shadow-neu">
                     <p className="text-sm text-slate-500">
-                      No courses yet. Add your first course to get started.
+                      No courses in this semester yet. Add your first course to get started.
                     </p>
                     <button
                       type="button"
@@ -424,7 +791,7 @@ function App() {
                     </button>
                   </div>
                 ) : (
-                  courses.map((course) => {
+                  semesterCourses.map((course) => {
                     const courseAssessments = assessmentsByCourse.get(course.id) || []
                     const upcoming = []
                     const completed = []
@@ -436,6 +803,10 @@ function App() {
                       }
                     })
                     const average = courseAverages.get(course.id)
+                    const marksEarned =
+                      settings.scoreDisplay === SCORE_DISPLAYS.raw
+                        ? getCourseMarksEarned(courseAssessments)
+                        : null
 
                     return (
                       <button
@@ -500,9 +871,23 @@ function App() {
                         </div>
 
                         <div className="mt-3 flex items-center justify-between text-xs text-slate-500">
-                          <span>Average</span>
+                          <span>
+                            {isCourseFinalised(course)
+                              ? 'Final'
+                              : marksEarned
+                                ? 'Marks so far'
+                                : 'Average'}
+                          </span>
                           <span className="font-semibold text-slate-700">
-                            {average === null ? '--' : average.toFixed(1)}
+                            {isCourseFinalised(course)
+                              ? `${Number(course.finalMark).toFixed(1)} · ${course.finalGrade || getGradeBand(course.finalMark)}`
+                              : marksEarned
+                                ? `${Number(marksEarned.earned.toFixed(1))} / ${Number(
+                                    marksEarned.available.toFixed(1),
+                                  )}`
+                                : average === null
+                                  ? '--'
+                                  : average.toFixed(1)}
                           </span>
                         </div>
                         <div className="mt-2 flex items-center justify-between text-[11px] text-slate-400">
@@ -531,28 +916,6 @@ function App() {
                 </div>
               </div>
 
-              <form
-                onSubmit={(event) => event.preventDefault()}
-                className="mt-4 flex flex-wrap gap-3"
-              >
-                <label className="flex flex-1 flex-col gap-2 text-xs font-semibold text-slate-500">
-                  <span className="uppercase tracking-[0.2em] text-[10px] text-slate-400">
-                    Subject code
-                  </span>
-                  <input
-                    name="handbookCode"
-                    type="text"
-                    value={handbookQuery}
-                    onChange={(event) =>
-                      setHandbookQuery(normalizeCourseCode(event.target.value))
-                    }
-                    placeholder="e.g. MAST10006"
-                    autoComplete="off"
-                    className="w-full rounded-2xl bg-white/80 px-4 py-2 text-sm text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
-                  />
-                </label>
-              </form>
-
               {handbookStatus === 'loading' && (
                 <p className="mt-4 text-xs text-slate-400">Loading handbook data…</p>
               )}
@@ -563,138 +926,211 @@ function App() {
                 </p>
               )}
 
-              {handbookStatus === 'ready' && normalizedHandbookQuery && !handbookResult && (
-                <p className="mt-4 text-xs text-slate-400">
-                  No match found for {normalizedHandbookQuery}.
-                </p>
-              )}
-
-              {handbookResult && (
-                <div ref={handbookResultRef} className="mt-4">
-                  <button
-                    type="button"
-                    onClick={() => setHandbookDetail(handbookResult)}
-                    className="w-full rounded-2xl border border-white/60 bg-white/80 p-4 text-left shadow-neu transition hover:-translate-y-0.5 hover:shadow-neu-sm"
-                  >
-                    <div className="flex flex-wrap items-center justify-between gap-3">
-                      <div>
-                        <p className="text-base font-semibold text-slate-800">
-                          {handbookResult.name}
-                        </p>
-                        <p className="text-xs text-slate-400">
-                          {handbookResult.code} · {handbookResult.creditPoints || '--'}
-                          {' credit points'}
-                        </p>
-                      </div>
-                      <span className="rounded-full bg-accent/10 px-3 py-1 text-[11px] font-semibold text-accent">
-                        View details
-                      </span>
-                    </div>
-                  </button>
-                </div>
-              )}
+              <HandbookSearch
+                query={handbookQuery}
+                onQueryChange={setHandbookQuery}
+                filters={handbookFilters}
+                onFiltersChange={updateHandbookFilters}
+                onReset={resetHandbookSearch}
+                facets={handbookFacets}
+                results={handbookResults}
+                searching={hasHandbookSearch}
+                ready={handbookStatus === 'ready'}
+                onOpen={async (code) => {
+                  const opened = await openHandbookSubject(code)
+                  if (!opened) {
+                    window.alert('Could not load that subject from the handbook.')
+                  }
+                }}
+              />
             </section>
 
             <section className="rounded-3xl bg-white/70 p-6 shadow-neu">
               <div className="flex flex-wrap items-center justify-between gap-3">
                 <div>
                   <h2 className="text-lg font-semibold text-slate-700">
-                    {format(monthCursor, 'MMMM yyyy')}
+                    {calendarView === CALENDAR_VIEWS.week
+                      ? `${format(weekDays[0], 'MMM d')} – ${format(weekDays[6], 'MMM d, yyyy')}`
+                      : calendarView === CALENDAR_VIEWS.agenda
+                        ? semesterTitle
+                        : format(monthCursor, 'MMMM yyyy')}
                   </h2>
                   <p className="text-xs text-slate-400">
-                    Click a date to see what&apos;s due.
+                    {calendarView === CALENDAR_VIEWS.agenda
+                      ? activeTeachingCalendar
+                        ? 'Grouped by teaching week.'
+                        : 'Grouped by week. Add a teaching calendar to the semester for week numbers.'
+                      : calendarView === CALENDAR_VIEWS.week
+                        ? describeTeachingDate(
+                            activeTeachingCalendar,
+                            format(weekDays[0], 'yyyy-MM-dd'),
+                          )?.label || 'Click a day to see what’s due.'
+                        : 'Click a date to see what’s due.'}
                   </p>
                 </div>
-                <div className="flex items-center gap-2">
+                <div className="flex flex-wrap items-center gap-2">
+                  <CalendarViewToggle view={calendarView} onChange={setCalendarView} />
                   <button
                     type="button"
                     onClick={() =>
-                      setMonthCursor(
-                        new Date(monthCursor.getFullYear(), monthCursor.getMonth() - 1, 1),
+                      downloadFile(
+                        'unitracker-assessments.ics',
+                        getCalendarFile(),
+                        'text/calendar;charset=utf-8',
                       )
                     }
+                    title="Download pending assessments as an .ics file"
                     className="rounded-full bg-white px-4 py-2 text-xs font-semibold text-slate-500 shadow-neu transition hover:shadow-neu-sm"
                   >
-                    Prev
-                  </button>
-                  <button
-                    type="button"
-                    onClick={() => setMonthCursor(new Date())}
-                    className="rounded-full bg-white px-4 py-2 text-xs font-semibold text-slate-500 shadow-neu transition hover:shadow-neu-sm"
-                  >
-                    Today
+                    Export .ics
                   </button>
                   <button
                     type="button"
-                    onClick={() =>
-                      setMonthCursor(
-                        new Date(monthCursor.getFullYear(), monthCursor.getMonth() + 1, 1),
-                      )
-                    }
+                    onClick={() => setCalendarImportOpen(true)}
+                    title="Fill in due dates from an LMS calendar export"
                     className="rounded-full bg-white px-4 py-2 text-xs font-semibold text-slate-500 shadow-neu transition hover:shadow-neu-sm"
                   >
-                    Next
+                    Import .ics
                   </button>
+                  {calendarView !== CALENDAR_VIEWS.agenda && (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() => shiftCalendar(-1)}
+                        className="rounded-full bg-white px-4 py-2 text-xs font-semibold text-slate-500 shadow-neu transition hover:shadow-neu-sm"
+                      >
+                        Prev
+                      </button>
+                      <button
+                        type="button"
+                        onClick={showCalendarToday}
+                        className="rounded-full bg-white px-4 py-2 text-xs font-semibold text-slate-500 shadow-neu transition hover:shadow-neu-sm"
+                      >
+                        Today
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => shiftCalendar(1)}
+                        className="rounded-full bg-white px-4 py-2 text-xs font-semibold text-slate-500 shadow-neu transition hover:shadow-neu-sm"
+                      >
+                        Next
+                      </button>
+                    </>
+                  )}
                 </div>
               </div>
 
-              <div className="mt-6 grid grid-cols-7 gap-2 text-center text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
-                {['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map((dayLabel) => (
-                  <span key={dayLabel}>{dayLabel}</span>
-                ))}
-              </div>
+              {calendarView === CALENDAR_VIEWS.week && (
+                <CalendarWeekView
+                  weekDays={weekDays}
+                  assessmentsByDate={assessmentsByDate}
+                  windowsByDate={windowsByDate}
+                  classSessions={weekClassSessions}
+                  selectedDate={selectedDate}
+                  teachingCalendar={activeTeachingCalendar}
+                  courseMap={courseMap}
+                  onSelectDate={setSelectedDate}
+                  onOpenAssessment={openEditAssessment}
+                  onOpenCourse={openEditCourse}
+                />
+              )}
 
-              <div className="mt-3 grid grid-cols-7 gap-2">
-                {calendarDays.map((calendarDay) => {
-                  const key = format(calendarDay, 'yyyy-MM-dd')
-                  const dayAssessments = assessmentsByDate.get(key) || []
-                  const isCurrentMonth = isSameMonth(calendarDay, monthStart)
-                  const isSelected = selectedDate === key
+              {calendarView === CALENDAR_VIEWS.agenda && (
+                <CalendarAgendaView
+                  agendaWeeks={agendaWeeks}
+                  courseMap={courseMap}
+                  onOpenAssessment={openEditAssessment}
+                />
+              )}
 
-                  return (
-                    <button
-                      key={key}
-                      type="button"
-                      onClick={() => setSelectedDate(key)}
-                      className={`flex h-20 flex-col items-start justify-between rounded-2xl p-2 text-left text-sm transition ${
-                        isSelected
-                          ? 'bg-white shadow-neu-inset'
-                          : 'bg-white/60 shadow-neu hover:shadow-neu-sm'
-                      } ${isCurrentMonth ? 'text-slate-700' : 'text-slate-400'}`}
-                    >
-                      <div className="flex w-full items-center justify-between">
-                        <span
-                          className={`text-sm font-semibold ${
-                            isToday(calendarDay) ? 'text-accent' : ''
-                          }`}
+              {calendarView === CALENDAR_VIEWS.month && (
+                <>
+                  <div className="mt-6 grid grid-cols-7 gap-2 text-center text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
+                    {['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map((dayLabel) => (
+                      <span key={dayLabel}>{dayLabel}</span>
+                    ))}
+                  </div>
+
+                  <div className="mt-3 grid grid-cols-7 gap-2">
+                    {calendarDays.map((calendarDay) => {
+                      const key = format(calendarDay, 'yyyy-MM-dd')
+                      const dayAssessments = assessmentsByDate.get(key) || []
+                      const dayWindows = windowsByDate.get(key) || []
+                      const isCurrentMonth = isSameMonth(calendarDay, monthStart)
+                      const isSelected = selectedDate === key
+
+                      return (
+                        <button
+                          key={key}
+                          type="button"
+                          onClick={() => setSelectedDate(key)}
+                          className={`flex h-20 flex-col items-start justify-between rounded-2xl p-2 text-left text-sm transition ${
+                            isSelected
+                              ? 'bg-white shadow-neu-inset'
+                              : 'bg-white/60 shadow-neu hover:shadow-neu-sm'
+                          } ${isCurrentMonth ? 'text-slate-700' : 'text-slate-400'}`}
                         >
-                          {format(calendarDay, 'd')}
-                        </span>
-                        {dayAssessments.length > 0 && (
-                          <span className="text-[10px] text-slate-400">
-                            {dayAssessments.length}
-                          </span>
-                        )}
-                      </div>
-                      <div className="flex flex-wrap gap-1">
-                        {dayAssessments.slice(0, 3).map((assessment) => (
-                          <span
-                            key={assessment.id}
-                            className="h-2 w-2 rounded-full"
-                            style={{
-                              backgroundColor:
-                                courseMap.get(assessment.courseId)?.color || '#cbd5f5',
-                            }}
-                          />
-                        ))}
-                        {dayAssessments.length > 3 && (
-                          <span className="text-[10px] text-slate-400">+</span>
-                        )}
-                      </div>
-                    </button>
-                  )
-                })}
-              </div>
+                          <div className="flex w-full items-center justify-between">
+                            <span
+                              className={`text-sm font-semibold ${
+                                isToday(calendarDay) ? 'text-accent' : ''
+                              }`}
+                            >
+                              {format(calendarDay, 'd')}
+                            </span>
+                            {dayAssessments.length > 0 && (
+                              <span className="text-[10px] text-slate-400">
+                                {dayAssessments.length}
+                              </span>
+                            )}
+                          </div>
+                          {dayWindows.length > 0 && (
+                            <div className="flex w-full flex-col gap-0.5">
+                              {dayWindows.slice(0, 2).map(({ assessment, isStart, isEnd }) => {
+                                // Spans reach across the grid gap and break at week edges.
+                                const weekday = calendarDay.getDay()
+                                const openLeft = !isStart && weekday !== 1
+                                const openRight = !isEnd && weekday !== 0
+                                return (
+                                  <span
+                                    key={assessment.id}
+                                    title={`${assessment.title} · ${formatDueDate(assessment)}`}
+                                    className={`block h-1.5 opacity-70 ${
+                                      openLeft ? '-ml-3' : 'rounded-l-full'
+                                    } ${openRight ? '-mr-3' : 'rounded-r-full'}`}
+                                    style={{
+                                      backgroundColor:
+                                        courseMap.get(assessment.courseId)?.color || '#cbd5f5',
+                                    }}
+                                  />
+                                )
+                              })}
+                            </div>
+                          )}
+                          <div className="flex flex-wrap gap-1">
+                            {dayAssessments.slice(0, 3).map((assessment) => (
+                              <span
+                                key={assessment.id}
+                                title={[assessment.title, formatDueTime(assessment)]
+                                  .filter(Boolean)
+                                  .join(' · ')}
+                                className="h-2 w-2 rounded-full"
+                                style={{
+                                  backgroundColor:
+                                    courseMap.get(assessment.courseId)?.color || '#cbd5f5',
+                                }}
+                              />
+                            ))}
+                            {dayAssessments.length > 3 && (
+                              <span className="text-[10px] text-slate-400">+</span>
+                            )}
+                          </div>
+                        </button>
+                      )
+                    })}
+                  </div>
+                </>
+              )}
             </section>
           </main>
         </div>
@@ -708,7 +1144,7 @@ function App() {
           open={courseModal.open}
           mode={courseModal.mode}
           course={courseModal.course}
-          courses={courses}
+          courses={semesterCourses}
           handbookIndex={handbookIndex}
           handbookStatus={handbookStatus}
           onClose={() => setCourseModal({ open: false, mode: 'add', course: null })}
@@ -725,10 +1161,20 @@ function App() {
 
       {courseDetailId && (
         <CourseDetailModal
+          key={courseDetailId}
           course={courseMap.get(courseDetailId)}
           assessments={assessmentsByCourse.get(courseDetailId) || []}
           average={courseAverages.get(courseDetailId) ?? null}
-          wamGoalNumber={wamGoalNumber}
+          wamGoalNumber={semesterGoalNumber}
+          scoreDisplay={settings.scoreDisplay}
+          onToggleScoreDisplay={() =>
+            updateSettings({
+              scoreDisplay:
+                settings.scoreDisplay === SCORE_DISPLAYS.raw
+                  ? SCORE_DISPLAYS.percent
+                  : SCORE_DISPLAYS.raw,
+            })
+          }
           onClose={() => setCourseDetailId(null)}
           onViewHandbook={() => {
             const selectedCourse = courseMap.get(courseDetailId)
@@ -739,6 +1185,14 @@ function App() {
             }
           }}
           onImportAssessments={handleImportFromHandbook}
+          onFinalise={(result) => handleFinaliseCourse(courseDetailId, result)}
+          semesterWam={wamData.wam}
+          simulateSemesterWam={(mark) => simulateSemesterWam(courseDetailId, mark)}
+          onApplySimulation={(scores) => applySimulatedScores(courseDetailId, scores)}
+          scorePlan={scorePlans.get(courseDetailId)}
+          typePerformance={typePerformance}
+          plannerMode={settings.plannerMode}
+          onPlannerModeChange={(plannerMode) => updateSettings({ plannerMode })}
           onAddAssessment={() => {
             const selectedId = courseDetailId
             setCourseDetailId(null)
@@ -760,7 +1214,7 @@ function App() {
           mode={assessmentModal.mode}
           courseId={assessmentModal.courseId}
           assessment={assessmentModal.assessment}
-          courses={courses}
+          courses={semesterCourses}
           onClose={() =>
             setAssessmentModal({
               open: false,
@@ -800,6 +1254,41 @@ function App() {
         />
       )}
 
+      {semesterModal.open && (
+        <SemesterModal
+          key={semesterModal.semester?.id || 'new-semester'}
+          open={semesterModal.open}
+          mode={semesterModal.mode}
+          semester={semesterModal.semester}
+          semesters={semesters}
+          teachingCalendars={teachingCalendars}
+          courseCount={semesterCourseCounts.get(semesterModal.semester?.id) || 0}
+          onClose={() => setSemesterModal({ open: false, mode: 'add', semester: null })}
+          onSave={(payload) => {
+            handleSaveSemester(payload)
+            setSemesterModal({ open: false, mode: 'add', semester: null })
+          }}
+          onDelete={(semesterId) => {
+            if (handleDeleteSemester(semesterId)) {
+              setSemesterModal({ open: false, mode: 'add', semester: null })
+            }
+          }}
+        />
+      )}
+
+      {calendarImportOpen && (
+        <CalendarImportModal
+          open={calendarImportOpen}
+          courses={semesterCourses}
+          onClose={() => setCalendarImportOpen(false)}
+          previewCalendarImport={previewCalendarImport}
+          onApply={(rows) => {
+            applyCalendarImport(rows)
+            setCalendarImportOpen(false)
+          }}
+        />
+      )}
+
       {deleteCoursePrompt && (
         <DeleteCourseModal
           open={Boolean(deleteCoursePrompt)}
@@ -822,14 +1311,25 @@ function App() {
         <ProfileModal
           open={profileOpen}
           user={user}
-          dataStatus={dataStatus}
-          courseCount={courses.length}
-          assessmentCount={assessments.length}
+          isGuest={isGuest}
+          syncState={syncState}
+          onSyncNow={syncNow}
+          courseCount={semesterCourses.length}
+          assessmentCount={semesterAssessments.length}
           completedCount={completedAssessmentCount}
           upcomingCount={upcomingAssessmentCount}
           wam={wamData.wam}
+          cumulativeWam={cumulativeWamData.wam}
           wamGoal={wamGoalNumber}
           onClose={() => setProfileOpen(false)}
+          getBackupBundle={getBackupBundle}
+          getAssessmentsCsv={getAssessmentsCsv}
+          previewBackupImport={previewBackupImport}
+          applyBackupImport={applyBackupImport}
+          calendarFeedEnabled={calendarFeedEnabled}
+          reminderSettings={reminderSettings}
+          onReminderSettingsChange={updateReminderSettings}
+          getCalendarFeedUrl={getCalendarFeedUrl}
         />
       )}
     </div>
@@ -854,35 +1354,15 @@ function LoadingScreen({ label }) {
   )
 }
 
-function ConfigMissingScreen() {
-  return (
-    <div className="min-h-screen bg-gradient-to-br from-base via-base to-[#d5dbe6] text-slate-700">
-      <div className="mx-auto flex min-h-screen w-full max-w-3xl items-center justify-center px-6 py-12">
-        <div className="w-full rounded-3xl bg-white/70 p-8 shadow-neu">
-          <p className="text-xs font-semibold uppercase tracking-[0.2em] text-slate-400">
-            Setup Required
-          </p>
-          <h1 className="mt-3 text-2xl font-semibold text-slate-800">
-            Connect Firebase to enable accounts
-          </h1>
-          <p className="mt-3 text-sm text-slate-500">
-            Add your Firebase web app config in `.env.local`, then restart the dev
-            server.
-          </p>
-          <div className="mt-4 rounded-2xl bg-white/80 p-4 text-xs text-slate-500 shadow-neu">
-            <p className="font-semibold text-slate-600">Required keys</p>
-            <p className="mt-2">VITE_FIREBASE_API_KEY=</p>
-            <p>VITE_FIREBASE_AUTH_DOMAIN=</p>
-            <p>VITE_FIREBASE_PROJECT_ID=</p>
-            <p>VITE_FIREBASE_APP_ID=</p>
-          </div>
-        </div>
-      </div>
-    </div>
-  )
-}
-
-function AuthScreen({ view, error, notice, busy, onSubmit, onToggleView }) {
+function AuthScreen({
+  view,
+  error,
+  notice,
+  busy,
+  onSubmit,
+  onToggleView,
+  onContinueAsGuest,
+}) {
   const [form, setForm] = useState({ email: '', password: '' })
   const isSignUp = view === AUTH_VIEWS.signUp
 
@@ -979,6 +1459,19 @@ function AuthScreen({ view, error, notice, busy, onSubmit, onToggleView }) {
               {isSignUp ? 'Sign in' : 'Create one'}
             </button>
           </div>
+
+          <div className="mt-4 border-t border-slate-200/70 pt-4 text-center text-xs text-slate-500">
+            <button
+              type="button"
+              onClick={onContinueAsGuest}
+              className="font-semibold text-slate-600 underline-offset-2 hover:underline"
+            >
+              Continue without an account
+            </button>
+            <p className="mt-1 text-[11px] text-slate-400">
+              Your dashboard is kept in this browser only.
+            </p>
+          </div>
         </div>
       </div>
     </div>
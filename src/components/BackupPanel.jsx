@@ -0,0 +1,194 @@
+import { useState } from 'react'
+import { format } from 'date-fns'
+import { BACKUP_IMPORT_MODES, parseBackupBundle } from '../lib/backup'
+import { downloadFile } from '../lib/download'
+
+const IMPORT_MODE_OPTIONS = [
+  {
+    value: BACKUP_IMPORT_MODES.merge,
+    label: 'Merge',
+    hint: 'Add anything new. Duplicates are skipped.',
+  },
+  {
+    value: BACKUP_IMPORT_MODES.replace,
+    label: 'Replace',
+    hint: 'Swap your current data for the backup.',
+  },
+]
+
+export default function BackupPanel({
+  getBackupBundle,
+  getAssessmentsCsv,
+  previewBackupImport,
+  applyBackupImport,
+}) {
+  const [bundle, setBundle] = useState(null)
+  const [fileName, setFileName] = useState('')
+  const [mode, setMode] = useState(BACKUP_IMPORT_MODES.merge)
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+
+  const plan = bundle ? previewBackupImport(bundle, mode) : null
+  const stamp = format(new Date(), 'yyyy-MM-dd')
+
+  const handleExportJson = () => {
+    downloadFile(
+      `unitracker-backup-${stamp}.json`,
+      JSON.stringify(getBackupBundle(), null, 2),
+      'application/json',
+    )
+  }
+
+  const handleExportCsv = () => {
+    downloadFile(
+      `unitracker-assessments-${stamp}.csv`,
+      getAssessmentsCsv(),
+      'text/csv;charset=utf-8',
+    )
+  }
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+    setNotice('')
+    const result = parseBackupBundle(await file.text())
+    if (result.status !== 'ok') {
+      setBundle(null)
+      setError(result.error)
+      return
+    }
+    setError('')
+    setFileName(file.name)
+    setBundle(result.bundle)
+  }
+
+  const handleApply = () => {
+    if (!plan) return
+    if (
+      plan.mode === BACKUP_IMPORT_MODES.replace &&
+      !window.confirm(
+        `Replace ${plan.removed.courses} course(s) and ${plan.removed.assessments} assessment(s) with the backup?`,
+      )
+    ) {
+      return
+    }
+    applyBackupImport(plan)
+    setBundle(null)
+    setNotice(
+      `Imported ${plan.courses.added} course(s) and ${plan.assessments.added} assessment(s).`,
+    )
+  }
+
+  return (
+    <div className="mt-4 rounded-2xl bg-white/70 p-4 text-xs text-slate-500 shadow-neu">
+      <p className="text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
+        Backup
+      </p>
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          onClick={handleExportJson}
+          className="rounded-full bg-white px-3 py-1 text-[11px] font-semibold text-slate-500 shadow-neu"
+        >
+          Export JSON
+        </button>
+        <button
+          type="button"
+          onClick={handleExportCsv}
+          className="rounded-full bg-white px-3 py-1 text-[11px] font-semibold text-slate-500 shadow-neu"
+        >
+          Assessments CSV
+        </button>
+        <label className="cursor-pointer rounded-full bg-white px-3 py-1 text-[11px] font-semibold text-accent shadow-neu focus-within:ring-2 focus-within:ring-accent/40">
+          Import backup…
+          <input
+            name="backupFile"
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            className="sr-only"
+          />
+        </label>
+      </div>
+
+      {error && (
+        <p
+          role="alert"
+          className="mt-3 rounded-2xl bg-red-100/70 px-3 py-2 text-xs text-red-500"
+        >
+          {error}
+        </p>
+      )}
+      {notice && <p className="mt-3 text-[11px] text-emerald-600">{notice}</p>}
+
+      {plan && (
+        <div className="mt-3 rounded-xl bg-white/80 p-3 shadow-neu">
+          <p className="font-semibold text-slate-600">{fileName}</p>
+          <p className="text-[11px] text-slate-400">
+            Exported {bundle.exportedAt ? bundle.exportedAt.slice(0, 10) : 'on an unknown date'}
+          </p>
+          <div role="radiogroup" aria-label="Import mode" className="mt-3 grid gap-2 sm:grid-cols-2">
+            {IMPORT_MODE_OPTIONS.map((option) => (
+              <label
+                key={option.value}
+                className={`flex cursor-pointer flex-col rounded-xl px-3 py-2 shadow-neu ${
+                  mode === option.value ? 'bg-accent/10 text-slate-700' : 'bg-white'
+                }`}
+              >
+                <span className="flex items-center gap-2 font-semibold">
+                  <input
+                    type="radio"
+                    name="backupImportMode"
+                    value={option.value}
+                    checked={mode === option.value}
+                    onChange={() => setMode(option.value)}
+                  />
+                  {option.label}
+                </span>
+                <span className="text-[11px] text-slate-400">{option.hint}</span>
+              </label>
+            ))}
+          </div>
+          <ul className="mt-3 space-y-1 text-[11px]">
+            <li>
+              Semesters: {plan.semesters.added} new
+              {plan.semesters.matched ? `, ${plan.semesters.matched} already here` : ''}
+            </li>
+            <li>
+              Courses: {plan.courses.added} new
+              {plan.courses.matched ? `, ${plan.courses.matched} already here` : ''}
+              {plan.courses.skipped ? `, ${plan.courses.skipped} over the semester limit` : ''}
+            </li>
+            <li>
+              Assessments: {plan.assessments.added} new
+              {plan.assessments.skipped ? `, ${plan.assessments.skipped} duplicates skipped` : ''}
+            </li>
+            {plan.mode === BACKUP_IMPORT_MODES.replace && (
+              <li className="text-rose-500">
+                Removes {plan.removed.courses} course(s) and {plan.removed.assessments}{' '}
+                assessment(s) currently on this account.
+              </li>
+            )}
+          </ul>
+          <div className="mt-3 flex items-center justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setBundle(null)}
+              className="rounded-2xl bg-white px-4 py-2 text-xs font-semibold text-slate-500 shadow-neu"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleApply}
+              className="rounded-2xl bg-accent px-4 py-2 text-xs font-semibold text-white shadow-neu"
+            >
+              Apply import
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
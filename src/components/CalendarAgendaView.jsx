@@ -0,0 +1,97 @@
+import { useState } from 'react'
+import { format, parseISO, startOfWeek } from 'date-fns'
+import { formatDueDate } from '../hooks/useDashboardDomain'
+import { formatAssessmentWeight } from '../lib/domain'
+
+const PERIOD_BADGES = {
+  'non-teaching': 'bg-slate-100 text-slate-500',
+  swotvac: 'bg-amber-100 text-amber-600',
+  exams: 'bg-rose-100 text-rose-500',
+}
+
+export default function CalendarAgendaView({ agendaWeeks, courseMap, onOpenAssessment }) {
+  const [showPast, setShowPast] = useState(false)
+  const currentWeek = format(startOfWeek(new Date(), { weekStartsOn: 1 }), 'yyyy-MM-dd')
+  const pastCount = agendaWeeks.filter((week) => week.start < currentWeek).length
+  const weeks = showPast ? agendaWeeks : agendaWeeks.filter((week) => week.start >= currentWeek)
+
+  return (
+    <div className="mt-6 flex flex-col gap-4">
+      {pastCount > 0 && (
+        <button
+          type="button"
+          onClick={() => setShowPast((prev) => !prev)}
+          className="self-start rounded-full bg-white px-3 py-1 text-[11px] font-semibold text-slate-500 shadow-neu"
+        >
+          {showPast ? 'Hide earlier weeks' : `Show ${pastCount} earlier week(s)`}
+        </button>
+      )}
+
+      {weeks.length === 0 && (
+        <p className="rounded-2xl bg-white/70 p-4 text-center text-sm text-slate-400 shadow-neu">
+          Nothing dated from this week on.
+        </p>
+      )}
+
+      {weeks.map((week) => (
+        <section key={week.key} aria-labelledby={`agenda-${week.key}`}>
+          <div className="flex flex-wrap items-baseline gap-2">
+            <h3
+              id={`agenda-${week.key}`}
+              className={`rounded-full px-3 py-0.5 text-xs font-semibold ${
+                PERIOD_BADGES[week.kind] ||
+                (week.start === currentWeek ? 'bg-accent text-white' : 'bg-accent/10 text-accent')
+              }`}
+            >
+              {week.label}
+            </h3>
+            <span className="text-[11px] text-slate-400">
+              {format(parseISO(week.start), 'MMM d')} – {format(parseISO(week.end), 'MMM d')}
+            </span>
+          </div>
+          <ul className="mt-2 flex flex-col gap-2">
+            {week.days.flatMap((day) =>
+              day.items.map((assessment) => {
+                const course = courseMap.get(assessment.courseId)
+                return (
+                  <li key={assessment.id}>
+                    <button
+                      type="button"
+                      onClick={() => onOpenAssessment(assessment)}
+                      className={`flex w-full items-center justify-between gap-3 rounded-2xl bg-white/70 px-4 py-2 text-left shadow-neu transition hover:shadow-neu-sm ${
+                        assessment.completed ? 'opacity-60' : ''
+                      }`}
+                    >
+                      <span className="flex min-w-0 items-center gap-3">
+                        <span className="w-10 flex-none text-[11px] font-semibold uppercase text-slate-400">
+                          {format(parseISO(day.date), 'EEE d')}
+                        </span>
+                        <span
+                          className="h-2.5 w-2.5 flex-none rounded-full"
+                          style={{ backgroundColor: course?.color || '#cbd5f5' }}
+                        />
+                        <span className="min-w-0">
+                          <span className="block break-words text-sm font-semibold text-slate-700">
+                            {assessment.title}
+                          </span>
+                          <span className="block text-[11px] text-slate-400">
+                            {course?.code || 'Course'} · {assessment.type} ·{' '}
+                            {formatDueDate(assessment)}
+                          </span>
+                        </span>
+                      </span>
+                      <span className="flex-none text-right text-[11px] text-slate-400">
+                        <span className="block">{formatAssessmentWeight(assessment)}</span>
+                        <span className="block">{assessment.completed ? 'Done' : 'Pending'}</span>
+                      </span>
+                    </button>
+                  </li>
+                )
+              }),
+            )}
+          </ul>
+        </section>
+      ))}
+    </div>
+  )
+}
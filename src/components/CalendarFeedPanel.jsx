@@ -0,0 +1,90 @@
+import { useState } from 'react'
+
+export default function CalendarFeedPanel({ getCalendarFeedUrl }) {
+  const [feedUrl, setFeedUrl] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [copied, setCopied] = useState(false)
+
+  const loadFeed = async (options) => {
+    setBusy(true)
+    setError('')
+    setCopied(false)
+    try {
+      setFeedUrl(await getCalendarFeedUrl(options))
+    } catch (loadError) {
+      console.warn('Failed to load calendar feed', loadError)
+      setError('Could not reach the server for a feed link.')
+    }
+    setBusy(false)
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl)
+      setCopied(true)
+    } catch {
+      setCopied(false)
+    }
+  }
+
+  return (
+    <div className="mt-4 rounded-2xl bg-white/70 p-4 text-xs text-slate-500 shadow-neu">
+      <p className="text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
+        Calendar feed
+      </p>
+      <p className="mt-2 text-[11px] text-slate-400">
+        Subscribe from Google or Apple Calendar to keep pending due dates in sync.
+        Anyone with the link can see them.
+      </p>
+      {feedUrl ? (
+        <div className="mt-3 flex flex-col gap-2">
+          <input
+            name="calendarFeedUrl"
+            type="text"
+            readOnly
+            value={feedUrl}
+            onFocus={(event) => event.target.select()}
+            aria-label="Calendar feed URL"
+            className="w-full rounded-xl bg-white px-3 py-2 text-[11px] text-slate-600 shadow-neu-inset focus:outline-none"
+          />
+          <div className="flex items-center gap-2">
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="rounded-full bg-white px-3 py-1 text-[11px] font-semibold text-slate-500 shadow-neu"
+            >
+              {copied ? 'Copied' : 'Copy link'}
+            </button>
+            <button
+              type="button"
+              disabled={busy}
+              onClick={() => {
+                if (window.confirm('Create a new link? The old one stops working.')) {
+                  loadFeed({ rotate: true })
+                }
+              }}
+              className="rounded-full bg-white px-3 py-1 text-[11px] font-semibold text-rose-500 shadow-neu disabled:opacity-60"
+            >
+              Reset link
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          type="button"
+          disabled={busy}
+          onClick={() => loadFeed()}
+          className="mt-3 rounded-full bg-white px-3 py-1 text-[11px] font-semibold text-accent shadow-neu disabled:opacity-60"
+        >
+          {busy ? 'Loading…' : 'Show feed link'}
+        </button>
+      )}
+      {error && (
+        <p role="alert" className="mt-2 text-[11px] text-rose-500">
+          {error}
+        </p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,31 @@
+import { CALENDAR_VIEWS } from '../lib/domain'
+
+const OPTIONS = [
+  { value: CALENDAR_VIEWS.month, label: 'Month' },
+  { value: CALENDAR_VIEWS.week, label: 'Week' },
+  { value: CALENDAR_VIEWS.agenda, label: 'Agenda' },
+]
+
+export default function CalendarViewToggle({ view, onChange }) {
+  return (
+    <div
+      role="group"
+      aria-label="Calendar view"
+      className="flex rounded-full bg-white/70 p-0.5 shadow-neu-inset"
+    >
+      {OPTIONS.map((option) => (
+        <button
+          key={option.value}
+          type="button"
+          aria-pressed={view === option.value}
+          onClick={() => onChange(option.value)}
+          className={`rounded-full px-3 py-1 text-[11px] font-semibold transition ${
+            view === option.value ? 'bg-accent text-white' : 'text-slate-400'
+          }`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  )
+}
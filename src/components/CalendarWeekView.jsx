@@ -0,0 +1,125 @@
+import { format, isToday } from 'date-fns'
+import { formatDueDate, formatDueTime } from '../hooks/useDashboardDomain'
+import { describeTeachingDate } from '../lib/teachingCalendar'
+import { formatClassTime } from '../lib/timetable'
+
+export default function CalendarWeekView({
+  weekDays,
+  assessmentsByDate,
+  windowsByDate,
+  classSessions,
+  selectedDate,
+  teachingCalendar,
+  courseMap,
+  onSelectDate,
+  onOpenAssessment,
+  onOpenCourse,
+}) {
+  return (
+    <div className="mt-6 overflow-x-auto">
+      <div className="grid min-w-[640px] grid-cols-7 gap-2">
+        {weekDays.map((day) => {
+          const key = format(day, 'yyyy-MM-dd')
+          const dayAssessments = assessmentsByDate.get(key) || []
+          const daySessions = classSessions.get(key) || []
+          const dayWindows = (windowsByDate.get(key) || []).filter((entry) => !entry.isEnd)
+          const period = describeTeachingDate(teachingCalendar, key)
+          const isSelected = selectedDate === key
+
+          return (
+            <div
+              key={key}
+              className={`flex min-h-[14rem] flex-col gap-2 rounded-2xl p-2 ${
+                isSelected ? 'bg-white shadow-neu-inset' : 'bg-white/60 shadow-neu'
+              }`}
+            >
+              <button
+                type="button"
+                onClick={() => onSelectDate(key)}
+                aria-pressed={isSelected}
+                className="flex flex-col items-start rounded-xl px-1 text-left"
+              >
+                <span className="text-[10px] font-semibold uppercase tracking-[0.2em] text-slate-400">
+                  {format(day, 'EEE')}
+                </span>
+                <span
+                  className={`text-lg font-semibold ${
+                    isToday(day) ? 'text-accent' : 'text-slate-700'
+                  }`}
+                >
+                  {format(day, 'd')}
+                </span>
+                {period && period.kind !== 'teaching' && (
+                  <span className="text-[10px] text-slate-400">{period.label}</span>
+                )}
+              </button>
+
+              {daySessions.map(({ course, classEvent }) => (
+                <button
+                  key={`class-${course.id}-${classEvent.id}`}
+                  type="button"
+                  onClick={() => onOpenCourse(course)}
+                  title={`${course.code} ${classEvent.type} · ${formatClassTime(classEvent)}${
+                    classEvent.location ? ` · ${classEvent.location}` : ''
+                  }`}
+                  className="rounded-xl border border-dashed px-2 py-1 text-left"
+                  style={{
+                    borderColor: course.color || '#cbd5f5',
+                    backgroundColor: `${course.color || '#cbd5f5'}1a`,
+                  }}
+                >
+                  <p className="text-[10px] font-semibold text-slate-600">
+                    {classEvent.startTime} {classEvent.type}
+                  </p>
+                  <p className="truncate text-[10px] text-slate-400">
+                    {course.code}
+                    {classEvent.location && ` · ${classEvent.location}`}
+                  </p>
+                </button>
+              ))}
+
+              {dayWindows.map(({ assessment }) => (
+                <button
+                  key={`window-${assessment.id}`}
+                  type="button"
+                  onClick={() => onOpenAssessment(assessment)}
+                  title={`${assessment.title} · ${formatDueDate(assessment)}`}
+                  className="truncate rounded-lg px-2 py-0.5 text-left text-[10px] font-semibold text-slate-600"
+                  style={{
+                    backgroundColor: `${courseMap.get(assessment.courseId)?.color || '#cbd5f5'}33`,
+                  }}
+                >
+                  {courseMap.get(assessment.courseId)?.code || 'Course'} · open
+                </button>
+              ))}
+
+              {dayAssessments.map((assessment) => {
+                const course = courseMap.get(assessment.courseId)
+                return (
+                  <button
+                    key={assessment.id}
+                    type="button"
+                    onClick={() => onOpenAssessment(assessment)}
+                    className={`rounded-xl border-l-4 bg-white/80 px-2 py-1.5 text-left shadow-neu transition hover:shadow-neu-sm ${
+                      assessment.completed ? 'opacity-60' : ''
+                    }`}
+                    style={{ borderLeftColor: course?.color || '#cbd5f5' }}
+                  >
+                    <p className="break-words text-[11px] font-semibold text-slate-700">
+                      {assessment.title}
+                    </p>
+                    <p className="text-[10px] text-slate-400">
+                      {course?.code || 'Course'}
+                      {assessment.dueTime && ` · ${formatDueTime(assessment)}`}
+                      {assessment.completed && ' · done'}
+                    </p>
+                  </button>
+                )
+              })}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,153 @@
+import { CLASS_DAYS, CLASS_TYPES, fromMinutes, toMinutes } from '../lib/timetable'
+
+const INPUT_CLASS =
+  'mt-1 w-full rounded-2xl bg-white/70 px-3 py-2 text-xs text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40'
+
+// Rows are CourseModal's form state: day and weeks stay as typed until the
+// modal validates them on save.
+export default function ClassTimetableEditor({ rows, onChange, onAdd, handbookClassCount, onSeed }) {
+  const updateRow = (key, updates) => {
+    onChange(
+      rows.map((row) => {
+        if (row.key !== key) return row
+        const next = { ...row, ...updates }
+        // A handbook duration fills the end time once a start is picked.
+        const start = toMinutes(updates.startTime)
+        if (start !== null && !row.endTime && row.durationMinutes) {
+          next.endTime = fromMinutes(start + row.durationMinutes)
+        }
+        return next
+      }),
+    )
+  }
+
+  return (
+    <div className="rounded-2xl bg-white/70 p-4 shadow-neu">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
+          Class timetable
+        </p>
+        {handbookClassCount > 0 && (
+          <button
+            type="button"
+            onClick={onSeed}
+            className="rounded-full bg-white px-3 py-1 text-[11px] font-semibold text-accent shadow-neu"
+          >
+            Fill from handbook ({handbookClassCount})
+          </button>
+        )}
+      </div>
+
+      {rows.length === 0 && (
+        <p className="mt-2 text-[11px] text-slate-400">
+          No classes yet. Add lectures and tutorials to see them in the week view.
+        </p>
+      )}
+
+      <div className="mt-3 space-y-3">
+        {rows.map((row, index) => (
+          <fieldset
+            key={row.key}
+            className="rounded-2xl bg-white/60 p-3 text-[11px] font-semibold text-slate-500 shadow-neu-inset"
+          >
+            <legend className="sr-only">Class {index + 1}</legend>
+            <div className="grid grid-cols-2 gap-2 sm:grid-cols-4">
+              <label>
+                Type
+                <select
+                  name={`classType${index}`}
+                  value={row.type}
+                  onChange={(event) => updateRow(row.key, { type: event.target.value })}
+                  className={INPUT_CLASS}
+                >
+                  {CLASS_TYPES.map((type) => (
+                    <option key={type} value={type}>
+                      {type}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Day
+                <select
+                  name={`classDay${index}`}
+                  value={row.day}
+                  onChange={(event) => updateRow(row.key, { day: event.target.value })}
+                  className={INPUT_CLASS}
+                >
+                  <option value="">Choose…</option>
+                  {CLASS_DAYS.map((day) => (
+                    <option key={day.value} value={day.value}>
+                      {day.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Start
+                <input
+                  name={`classStart${index}`}
+                  type="time"
+                  value={row.startTime}
+                  onChange={(event) => updateRow(row.key, { startTime: event.target.value })}
+                  className={INPUT_CLASS}
+                />
+              </label>
+              <label>
+                End
+                <input
+                  name={`classEnd${index}`}
+                  type="time"
+                  value={row.endTime}
+                  onChange={(event) => updateRow(row.key, { endTime: event.target.value })}
+                  className={INPUT_CLASS}
+                />
+              </label>
+            </div>
+            <div className="mt-2 flex items-end gap-2">
+              <label className="flex-1">
+                Location
+                <input
+                  name={`classLocation${index}`}
+                  type="text"
+                  value={row.location}
+                  onChange={(event) => updateRow(row.key, { location: event.target.value })}
+                  placeholder="e.g. Old Arts-Theatre A"
+                  autoComplete="off"
+                  className={INPUT_CLASS}
+                />
+              </label>
+              <label className="w-28">
+                Weeks
+                <input
+                  name={`classWeeks${index}`}
+                  type="text"
+                  value={row.weeksText}
+                  onChange={(event) => updateRow(row.key, { weeksText: event.target.value })}
+                  placeholder="All"
+                  autoComplete="off"
+                  className={INPUT_CLASS}
+                />
+              </label>
+              <button
+                type="button"
+                onClick={() => onChange(rows.filter((entry) => entry.key !== row.key))}
+                aria-label={`Remove class ${index + 1}`}
+                className="mb-1 rounded-full bg-white px-2 py-1 text-[11px] font-semibold text-slate-400 shadow-neu"
+              >
+                ✕
+              </button>
+            </div>
+          </fieldset>
+        ))}
+      </div>
+
+      <button type="button" onClick={onAdd} className="mt-3 text-[11px] font-semibold text-accent">
+        + Add class
+      </button>
+      <p className="mt-1 text-[11px] text-slate-400">
+        Weeks are teaching weeks, e.g. 1-12 or 2, 4, 6. Leave blank for every week.
+      </p>
+    </div>
+  )
+}
@@ -0,0 +1,216 @@
+import { useEffect, useRef, useState } from 'react'
+import { getHighlightParts } from '../lib/handbookSearch'
+
+const RESULTS_ID = 'handbook-search-results'
+
+const Highlighted = ({ text, ranges }) =>
+  getHighlightParts(text, ranges).map((part, index) =>
+    part.match ? (
+      <mark key={index} className="rounded bg-accent/15 px-0.5 text-inherit">
+        {part.text}
+      </mark>
+    ) : (
+      <span key={index}>{part.text}</span>
+    ),
+  )
+
+const FILTER_SELECT_CLASS =
+  'rounded-2xl bg-white/80 px-3 py-2 text-xs text-slate-600 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40'
+
+export default function HandbookSearch({
+  query,
+  onQueryChange,
+  filters,
+  onFiltersChange,
+  onReset,
+  facets,
+  results,
+  searching,
+  ready,
+  onOpen,
+}) {
+  const [activeIndex, setActiveIndex] = useState(0)
+  const listRef = useRef(null)
+  const active = results.length ? Math.min(activeIndex, results.length - 1) : -1
+  const activeCode = active >= 0 ? results[active].subject.code : ''
+
+  useEffect(() => {
+    if (!activeCode || !listRef.current) return
+    listRef.current
+      .querySelector(`[data-code="${activeCode}"]`)
+      ?.scrollIntoView({ block: 'nearest' })
+  }, [activeCode])
+
+  const updateQuery = (value) => {
+    setActiveIndex(0)
+    onQueryChange(value)
+  }
+
+  const updateFilter = (key, value) => {
+    setActiveIndex(0)
+    onFiltersChange({ [key]: value })
+  }
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown' && results.length) {
+      event.preventDefault()
+      setActiveIndex((active + 1) % results.length)
+    } else if (event.key === 'ArrowUp' && results.length) {
+      event.preventDefault()
+      setActiveIndex((active - 1 + results.length) % results.length)
+    } else if (event.key === 'Enter' && active >= 0) {
+      event.preventDefault()
+      onOpen(activeCode)
+    } else if (event.key === 'Escape' && searching) {
+      event.preventDefault()
+      setActiveIndex(0)
+      onReset()
+    }
+  }
+
+  return (
+    <>
+      <form
+        onSubmit={(event) => event.preventDefault()}
+        className="mt-4 flex flex-wrap items-end gap-3"
+      >
+        <label className="flex min-w-[14rem] flex-1 flex-col gap-2 text-xs font-semibold text-slate-500">
+          <span className="uppercase tracking-[0.2em] text-[10px] text-slate-400">
+            Search subjects
+          </span>
+          <input
+            name="handbookQuery"
+            type="search"
+            role="combobox"
+            aria-expanded={results.length > 0}
+            aria-controls={RESULTS_ID}
+            aria-autocomplete="list"
+            aria-activedescendant={activeCode ? `handbook-option-${activeCode}` : undefined}
+            value={query}
+            onChange={(event) => updateQuery(event.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Code, name or topic, e.g. linear algebra"
+            autoComplete="off"
+            className="w-full rounded-2xl bg-white/80 px-4 py-2 text-sm text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+          />
+        </label>
+        <select
+          name="handbookCreditPoints"
+          aria-label="Credit points"
+          value={filters.creditPoints}
+          onChange={(event) => updateFilter('creditPoints', event.target.value)}
+          className={FILTER_SELECT_CLASS}
+        >
+          <option value="">Any points</option>
+          {facets.creditPoints.map((points) => (
+            <option key={points} value={points}>
+              {points} points
+            </option>
+          ))}
+        </select>
+        <select
+          name="handbookStudyPeriod"
+          aria-label="Study period"
+          value={filters.studyPeriod}
+          onChange={(event) => updateFilter('studyPeriod', event.target.value)}
+          className={FILTER_SELECT_CLASS}
+        >
+          <option value="">Any study period</option>
+          {facets.studyPeriods.map((period) => (
+            <option key={period} value={period}>
+              {period}
+            </option>
+          ))}
+        </select>
+        <select
+          name="handbookLevel"
+          aria-label="Level"
+          value={filters.level}
+          onChange={(event) => updateFilter('level', event.target.value)}
+          className={FILTER_SELECT_CLASS}
+        >
+          <option value="">Any level</option>
+          {facets.levels.map((level) => (
+            <option key={level} value={level}>
+              Level {level}
+            </option>
+          ))}
+        </select>
+      </form>
+
+      {ready && searching && !results.length && (
+        <p className="mt-4 text-xs text-slate-400">
+          No subjects match{query.trim() ? ` “${query.trim()}”` : ' these filters'}.
+        </p>
+      )}
+
+      {results.length > 0 && (
+        <>
+          <ul
+            id={RESULTS_ID}
+            ref={listRef}
+            role="listbox"
+            aria-label="Handbook subjects"
+            className="mt-4 max-h-[28rem] space-y-2 overflow-y-auto p-1"
+          >
+            {results.map((result, index) => {
+              const { subject, highlights } = result
+              const selected = index === active
+              return (
+                <li
+                  key={subject.code}
+                  id={`handbook-option-${subject.code}`}
+                  data-code={subject.code}
+                  role="option"
+                  aria-selected={selected}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  onClick={() => onOpen(subject.code)}
+                  className={`cursor-pointer rounded-2xl border bg-white/80 p-4 text-left shadow-neu transition hover:shadow-neu-sm ${
+                    selected ? 'border-accent/40 ring-2 ring-accent/20' : 'border-white/60'
+                  }`}
+                >
+                  <div className="flex flex-wrap items-start justify-between gap-3">
+                    <div className="min-w-0 flex-1">
+                      <p className="text-sm font-semibold text-slate-800">
+                        <Highlighted text={subject.name} ranges={highlights.name} />
+                      </p>
+                      <p className="text-xs text-slate-400">
+                        <Highlighted text={subject.code} ranges={highlights.code} />
+                        {' · '}
+                        {subject.creditPoints || '--'} credit points
+                        {result.level ? ` · Level ${result.level}` : ''}
+                        {result.studyPeriods.length ? ` · ${result.studyPeriods.join(', ')}` : ''}
+                      </p>
+                      {highlights.overview && (
+                        <p className="mt-2 text-[11px] leading-relaxed text-slate-500">
+                          <Highlighted
+                            text={highlights.overview.text}
+                            ranges={highlights.overview.ranges}
+                          />
+                        </p>
+                      )}
+                      {!highlights.overview && highlights.availability && (
+                        <p className="mt-2 text-[11px] leading-relaxed text-slate-400">
+                          <Highlighted
+                            text={highlights.availability.text}
+                            ranges={highlights.availability.ranges}
+                          />
+                        </p>
+                      )}
+                    </div>
+                    <span className="rounded-full bg-accent/10 px-3 py-1 text-[11px] font-semibold text-accent">
+                      View details
+                    </span>
+                  </div>
+                </li>
+              )
+            })}
+          </ul>
+          <p className="mt-2 text-[11px] text-slate-400">
+            ↑ ↓ to move, Enter to open, Esc to clear.
+          </p>
+        </>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,30 @@
+import { PLANNER_MODES } from '../lib/domain'
+
+const OPTIONS = [
+  { value: PLANNER_MODES.uniform, label: 'Uniform' },
+  { value: PLANNER_MODES.history, label: 'By history' },
+]
+
+export default function PlannerModeToggle({ mode, onChange }) {
+  return (
+    <div
+      role="group"
+      aria-label="Score target distribution"
+      className="flex rounded-full bg-white/70 p-0.5 shadow-neu-inset"
+    >
+      {OPTIONS.map((option) => (
+        <button
+          key={option.value}
+          type="button"
+          aria-pressed={mode === option.value}
+          onClick={() => onChange(option.value)}
+          className={`rounded-full px-2 py-0.5 text-[10px] font-semibold transition ${
+            mode === option.value ? 'bg-accent text-white' : 'text-slate-400'
+          }`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  )
+}
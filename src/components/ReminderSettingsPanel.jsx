@@ -0,0 +1,123 @@
+import { useState } from 'react'
+import { DUE_SOON_DAYS, REMINDER_OFFSETS } from '../hooks/useDashboardDomain'
+import {
+  getNotificationPermission,
+  requestNotificationPermission,
+  showTestNotification,
+} from '../lib/notifications'
+
+const PERMISSION_HINTS = {
+  unsupported: 'This browser cannot show notifications.',
+  denied: 'Notifications are blocked. Allow them in your browser’s site settings.',
+  default: 'Your browser will ask for permission.',
+  granted: '',
+}
+
+export default function ReminderSettingsPanel({ reminderSettings, onChange }) {
+  const [permission, setPermission] = useState(getNotificationPermission)
+  const [notice, setNotice] = useState('')
+  const unavailable = permission === 'unsupported' || permission === 'denied'
+
+  const handleToggle = async (enabled) => {
+    setNotice('')
+    if (!enabled) {
+      onChange({ enabled: false })
+      return
+    }
+    const result = await requestNotificationPermission()
+    setPermission(result)
+    if (result === 'granted') onChange({ enabled: true })
+  }
+
+  const toggleOffset = (value) => {
+    const offsets = reminderSettings.offsets.includes(value)
+      ? reminderSettings.offsets.filter((offset) => offset !== value)
+      : [...reminderSettings.offsets, value]
+    onChange({ offsets })
+  }
+
+  const handleTest = async () => {
+    const shown = await showTestNotification()
+    setNotice(shown ? 'Test notification sent.' : 'Allow notifications first.')
+  }
+
+  return (
+    <div className="mt-4 rounded-2xl bg-white/70 p-4 text-xs text-slate-500 shadow-neu">
+      <div className="flex items-center justify-between gap-3">
+        <p className="text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
+          Reminders
+        </p>
+        <label className="flex items-center gap-2 text-[11px] font-semibold text-slate-500">
+          <input
+            name="remindersEnabled"
+            type="checkbox"
+            checked={reminderSettings.enabled && permission === 'granted'}
+            disabled={unavailable}
+            onChange={(event) => handleToggle(event.target.checked)}
+            className="h-3.5 w-3.5 rounded border-slate-300 text-accent focus-visible:ring-2 focus-visible:ring-accent"
+          />
+          Notify me
+        </label>
+      </div>
+      {PERMISSION_HINTS[permission] && (
+        <p className="mt-2 text-[11px] text-slate-400">{PERMISSION_HINTS[permission]}</p>
+      )}
+
+      {reminderSettings.enabled && permission === 'granted' && (
+        <>
+          <div className="mt-3 flex flex-wrap gap-2">
+            {REMINDER_OFFSETS.map((offset) => {
+              const active = reminderSettings.offsets.includes(offset.value)
+              return (
+                <button
+                  key={offset.value}
+                  type="button"
+                  aria-pressed={active}
+                  onClick={() => toggleOffset(offset.value)}
+                  className={`rounded-full px-3 py-1 text-[11px] font-semibold shadow-neu ${
+                    active ? 'bg-accent text-white' : 'bg-white text-slate-500'
+                  }`}
+                >
+                  {offset.label}
+                </button>
+              )
+            })}
+          </div>
+          <div className="mt-3 flex flex-wrap items-center gap-3">
+            <label className="flex items-center gap-2">
+              <input
+                name="reminderDigest"
+                type="checkbox"
+                checked={reminderSettings.digest}
+                onChange={(event) => onChange({ digest: event.target.checked })}
+                className="h-3.5 w-3.5 rounded border-slate-300 text-accent focus-visible:ring-2 focus-visible:ring-accent"
+              />
+              Daily digest at
+            </label>
+            <input
+              name="reminderDigestTime"
+              type="time"
+              value={reminderSettings.digestTime}
+              disabled={!reminderSettings.digest}
+              onChange={(event) => onChange({ digestTime: event.target.value || '08:00' })}
+              aria-label="Daily digest time"
+              className="rounded-xl bg-white px-2 py-1 text-xs text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40 disabled:opacity-60"
+            />
+          </div>
+          <p className="mt-2 text-[11px] text-slate-400">
+            The digest lists overdue work and anything due in the next {DUE_SOON_DAYS} days.
+            Mute a single assessment from its edit dialog.
+          </p>
+          <button
+            type="button"
+            onClick={handleTest}
+            className="mt-3 rounded-full bg-white px-3 py-1 text-[11px] font-semibold text-slate-500 shadow-neu"
+          >
+            Send test notification
+          </button>
+          {notice && <p className="mt-2 text-[11px] text-emerald-600">{notice}</p>}
+        </>
+      )}
+    </div>
+  )
+}
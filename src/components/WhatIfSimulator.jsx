@@ -0,0 +1,227 @@
+import { useMemo, useState } from 'react'
+import {
+  SOLVE_ASSUMPTIONS,
+  applyHypotheticalScores,
+  getCourseAverage,
+  getGoalRequirement,
+  getGradeBand,
+  getSimulatableItems,
+  solveForAssessment,
+} from '../hooks/useDashboardDomain'
+import { toNumberOrNull } from '../lib/domain'
+
+// "Quiz at your Quiz average (72.0%), Final at this course's average (68.5%)"
+const describeAssumptions = (assumptions) => {
+  const parts = new Map()
+  assumptions.forEach((item) => {
+    const score = `${item.score.toFixed(1)}%`
+    if (item.basis === SOLVE_ASSUMPTIONS.type) {
+      parts.set(`type:${item.type}`, `${item.type} at your ${item.type} average (${score})`)
+    } else if (item.basis === SOLVE_ASSUMPTIONS.course) {
+      parts.set('course', `the rest at this course's average so far (${score})`)
+    } else {
+      parts.set('target', `the rest at the target (${score})`)
+    }
+  })
+  return `Assumes the ${assumptions.length} other blank item${
+    assumptions.length === 1 ? '' : 's'
+  } score: ${[...parts.values()].join(', ')}.`
+}
+
+export default function WhatIfSimulator({
+  assessments,
+  target,
+  performance,
+  semesterWam,
+  simulateSemesterWam,
+  onApply,
+}) {
+  const [scores, setScores] = useState({})
+  const [solveHint, setSolveHint] = useState(null)
+
+  const items = useMemo(() => getSimulatableItems(assessments), [assessments])
+  const simulated = useMemo(
+    () => applyHypotheticalScores(assessments, scores),
+    [assessments, scores],
+  )
+
+  const enteredCount = items.filter((item) => toNumberOrNull(scores[item.id]) !== null).length
+  const simulatedMark = getCourseAverage(simulated)
+  const simulatedGoal = getGoalRequirement(simulated, target)
+  const simulatedWam = simulateSemesterWam(simulatedMark)
+  const hasInvalidScore = items.some((item) => {
+    const value = toNumberOrNull(scores[item.id])
+    return value !== null && (value < 0 || value > 100)
+  })
+
+  if (!items.length) {
+    return (
+      <p className="mt-2 text-xs text-slate-400">
+        Every assessment is graded. Nothing left to simulate.
+      </p>
+    )
+  }
+
+  const handleSolve = (itemId) => {
+    const { status, required, assumptions } = solveForAssessment(
+      assessments,
+      scores,
+      itemId,
+      target,
+      { performance },
+    )
+    if (status === 'no-target') {
+      setSolveHint({ itemId, text: 'Set a target mark to solve.' })
+      return
+    }
+    const note = assumptions.length ? describeAssumptions(assumptions) : ''
+    if (status === 'no-effect') {
+      setSolveHint({
+        itemId,
+        text: "With the other scores in place this item doesn't change the mark.",
+        note,
+      })
+      return
+    }
+    if (required > 100) {
+      setSolveHint({
+        itemId,
+        text: `Needs ${required.toFixed(1)}%, which is out of reach.`,
+        note,
+      })
+      return
+    }
+    const rounded = Math.max(0, Math.ceil(required * 10) / 10)
+    setScores((prev) => ({ ...prev, [itemId]: String(rounded) }))
+    setSolveHint({
+      itemId,
+      text:
+        required <= 0
+          ? 'Target already secured; any score works.'
+          : `Needs ${rounded.toFixed(1)}% to reach ${target.toFixed(1)}%.`,
+      note,
+    })
+  }
+
+  return (
+    <div className="mt-3 flex flex-col gap-3">
+      <div className="flex flex-col gap-2">
+        {items.map((item) => (
+          <div
+            key={item.id}
+            className="grid grid-cols-[1fr_80px_auto] items-center gap-2 rounded-xl bg-white/70 px-3 py-2 text-xs text-slate-600 shadow-neu"
+          >
+            <div className="min-w-0">
+              <p className="break-words font-semibold">{item.title}</p>
+              <p className="text-[11px] text-slate-400">
+                {item.groupTitle ? `${item.groupTitle} · ` : ''}
+                {Number(item.weight.toFixed(2))}% weight
+              </p>
+              {solveHint?.itemId === item.id && (
+                <>
+                  <p className="text-[11px] text-accent">{solveHint.text}</p>
+                  {solveHint.note && (
+                    <p className="text-[11px] text-slate-400">{solveHint.note}</p>
+                  )}
+                </>
+              )}
+            </div>
+            <input
+              name={`whatIf-${item.id}`}
+              type="number"
+              min="0"
+              max="100"
+              step="0.1"
+              value={scores[item.id] ?? ''}
+              onChange={(event) => {
+                const { value } = event.target
+                setScores((prev) => ({ ...prev, [item.id]: value }))
+                setSolveHint(null)
+              }}
+              placeholder="%"
+              aria-label={`Hypothetical score for ${item.title}`}
+              inputMode="decimal"
+              autoComplete="off"
+              className="w-full rounded-xl bg-white px-2 py-1 text-xs text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+            />
+            <button
+              type="button"
+              onClick={() => handleSolve(item.id)}
+              className="rounded-full bg-white px-2 py-1 text-[11px] font-semibold text-slate-500 shadow-neu"
+            >
+              Solve
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid gap-2 rounded-xl bg-white/70 p-3 text-xs text-slate-500 shadow-neu sm:grid-cols-3">
+        <div>
+          <p className="text-[11px] text-slate-400">Course mark</p>
+          <p className="text-base font-semibold text-slate-700">
+            {simulatedMark === null ? '--' : simulatedMark.toFixed(1)}
+          </p>
+          {simulatedGoal.remainingWeight > 0 && (
+            <p className="text-[11px] text-slate-400">
+              {simulatedGoal.remainingWeight.toFixed(1)}% weight still blank
+            </p>
+          )}
+        </div>
+        <div>
+          <p className="text-[11px] text-slate-400">Grade band</p>
+          <p className="text-base font-semibold text-slate-700">
+            {getGradeBand(simulatedMark) || '--'}
+          </p>
+        </div>
+        <div>
+          <p className="text-[11px] text-slate-400">Semester WAM</p>
+          <p className="text-base font-semibold text-slate-700">
+            {simulatedWam === null ? '--' : simulatedWam.toFixed(2)}
+          </p>
+          {semesterWam !== null && simulatedWam !== null && (
+            <p
+              className={`text-[11px] ${
+                simulatedWam >= semesterWam ? 'text-emerald-500' : 'text-rose-500'
+              }`}
+            >
+              {simulatedWam >= semesterWam ? '+' : ''}
+              {(simulatedWam - semesterWam).toFixed(2)} vs now
+            </p>
+          )}
+        </div>
+      </div>
+
+      <div className="flex items-center justify-end gap-2">
+        <button
+          type="button"
+          onClick={() => {
+            setScores({})
+            setSolveHint(null)
+          }}
+          className="rounded-2xl bg-white px-4 py-2 text-xs font-semibold text-slate-500 shadow-neu"
+        >
+          Reset
+        </button>
+        <button
+          type="button"
+          disabled={!enteredCount || hasInvalidScore}
+          onClick={() => {
+            if (
+              !window.confirm(
+                `Save ${enteredCount} simulated score(s) as real, completed results?`,
+              )
+            ) {
+              return
+            }
+            onApply(scores)
+            setScores({})
+            setSolveHint(null)
+          }}
+          className="rounded-2xl bg-accent px-4 py-2 text-xs font-semibold text-white shadow-neu disabled:cursor-not-allowed disabled:opacity-60"
+        >
+          Apply scores
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -1,9 +1,46 @@
 import { useState } from 'react'
+import { ASSESSMENT_TYPES, DEFAULT_HURDLE_THRESHOLD } from '../../hooks/useDashboardDomain'
 import {
-  ASSESSMENT_TYPES,
+  GROUP_RULES,
   createId,
+  isAssessmentGroup,
+  summarizeGroupItems,
   toNumberOrNull,
-} from '../../hooks/useDashboardDomain'
+} from '../../lib/domain'
+import { DEFAULT_TIMEZONE, TIMEZONE_OPTIONS, getLocalTimezone } from '../../lib/timezone'
+
+const createGroupItem = (index) => ({
+  id: createId(),
+  title: `Item ${index + 1}`,
+  dueDate: '',
+  dueTime: '',
+  score: '',
+  pointsEarned: '',
+  pointsPossible: '',
+  completed: false,
+})
+
+// Raw marks as entered -> { pointsEarned, pointsPossible, score } with the
+// derived percentage, or { error } when they don't add up.
+const readRawMarks = (earned, possible) => {
+  const pointsEarned = toNumberOrNull(earned)
+  const pointsPossible = toNumberOrNull(possible)
+  if (pointsEarned === null) return { pointsEarned, pointsPossible, score: null }
+  if (pointsPossible === null || pointsPossible <= 0) {
+    return { error: 'Enter the marks available, e.g. 25.' }
+  }
+  if (pointsEarned < 0 || pointsEarned > pointsPossible) {
+    return { error: 'Marks earned must be between 0 and the marks available.' }
+  }
+  return {
+    pointsEarned,
+    pointsPossible,
+    score: Number(((pointsEarned / pointsPossible) * 100).toFixed(2)),
+  }
+}
+
+const hasPointsPossible = (entry) =>
+  entry?.pointsPossible !== null && entry?.pointsPossible !== undefined
 
 export default function AssessmentModal({
   open,
@@ -19,15 +56,44 @@ export default function AssessmentModal({
     courseId: assessment?.courseId || courseId || '',
     title: assessment?.title || '',
     type: assessment?.type || ASSESSMENT_TYPES[0],
+    startDate: assessment?.startDate || '',
     dueDate: assessment?.dueDate || '',
+    dueTime: assessment?.dueTime || '',
+    timezone: assessment?.timezone || DEFAULT_TIMEZONE,
     weight: assessment?.weight ?? '',
     score: assessment?.score ?? '',
+    scoreMode:
+      hasPointsPossible(assessment) ||
+      (isAssessmentGroup(assessment) && assessment.items.some(hasPointsPossible))
+        ? 'raw'
+        : 'percent',
+    pointsEarned: assessment?.pointsEarned ?? '',
+    pointsPossible: assessment?.pointsPossible ?? '',
     completed: assessment?.completed || false,
+    hurdle: assessment?.hurdle || false,
+    hurdleThreshold: assessment?.hurdleThreshold ?? DEFAULT_HURDLE_THRESHOLD,
+    remindersMuted: assessment?.remindersMuted || false,
+    isGroup: isAssessmentGroup(assessment),
+    groupRuleType: assessment?.groupRule?.type || GROUP_RULES.all,
+    groupRuleCount: assessment?.groupRule?.count ?? '',
+    items: isAssessmentGroup(assessment)
+      ? assessment.items.map((item) => ({
+          ...item,
+          dueTime: item.dueTime || '',
+          score: item.score ?? '',
+          pointsEarned: item.pointsEarned ?? '',
+          pointsPossible: item.pointsPossible ?? '',
+        }))
+      : [],
   }))
   const [error, setError] = useState('')
 
   if (!open) return null
 
+  const timezoneOptions = [
+    ...new Set([...TIMEZONE_OPTIONS, getLocalTimezone(), form.timezone]),
+  ]
+
   const handleSubmit = (event) => {
     event.preventDefault()
     if (!form.courseId) {
@@ -45,7 +111,31 @@ export default function AssessmentModal({
       return
     }
 
-    const scoreNumber = toNumberOrNull(form.score)
+    const hurdleThresholdNumber = form.hurdle ? toNumberOrNull(form.hurdleThreshold) : null
+    if (
+      form.hurdle &&
+      (hurdleThresholdNumber === null ||
+        hurdleThresholdNumber <= 0 ||
+        hurdleThresholdNumber > 100)
+    ) {
+      setError('Hurdle threshold must be between 0 and 100.')
+      return
+    }
+
+    if (form.isGroup) {
+      handleGroupSubmit({ weightNumber, hurdleThresholdNumber })
+      return
+    }
+
+    const isRaw = form.scoreMode === 'raw'
+    const marks = isRaw ? readRawMarks(form.pointsEarned, form.pointsPossible) : null
+    if (marks?.error) {
+      setError(marks.error)
+      return
+    }
+    const pointsEarnedNumber = marks ? marks.pointsEarned : null
+    const pointsPossibleNumber = marks ? marks.pointsPossible : null
+    const scoreNumber = marks ? marks.score : toNumberOrNull(form.score)
     if (scoreNumber !== null && (scoreNumber < 0 || scoreNumber > 100)) {
       setError('Score must be between 0 and 100.')
       return
@@ -55,20 +145,118 @@ export default function AssessmentModal({
       return
     }
 
+    if (form.startDate && (!form.dueDate || form.startDate > form.dueDate)) {
+      setError('The window has to open on or before the due date.')
+      return
+    }
+
+    const dueTime = form.dueDate ? form.dueTime : ''
     const payload = {
       id: assessment?.id || createId(),
       courseId: form.courseId,
       title: form.title.trim(),
       type: form.type,
       dueDate: form.dueDate || '',
+      startDate: form.startDate && form.startDate < form.dueDate ? form.startDate : '',
+      dueTime,
+      timezone: dueTime ? form.timezone : '',
       weight: weightNumber,
       score: scoreNumber,
+      pointsEarned: pointsEarnedNumber,
+      pointsPossible: pointsPossibleNumber,
       completed: Boolean(form.completed),
+      hurdle: Boolean(form.hurdle),
+      hurdleThreshold: hurdleThresholdNumber,
+      remindersMuted: Boolean(form.remindersMuted),
       mode,
     }
     onSave(payload)
   }
 
+  const handleGroupSubmit = ({ weightNumber, hurdleThresholdNumber }) => {
+    if (!form.items.length) {
+      setError('Add at least one item to the group.')
+      return
+    }
+
+    const isRaw = form.scoreMode === 'raw'
+    const items = []
+    for (const item of form.items) {
+      if (!item.title.trim()) {
+        setError('Every group item needs a title.')
+        return
+      }
+      const marks = isRaw ? readRawMarks(item.pointsEarned, item.pointsPossible) : null
+      if (marks?.error) {
+        setError(`${item.title.trim()}: ${marks.error}`)
+        return
+      }
+      const itemScore = marks ? marks.score : toNumberOrNull(item.score)
+      if (itemScore !== null && (itemScore < 0 || itemScore > 100)) {
+        setError(`Score for ${item.title.trim()} must be between 0 and 100.`)
+        return
+      }
+      if (item.completed && itemScore === null) {
+        setError(`Add a score before completing ${item.title.trim()}.`)
+        return
+      }
+      items.push({
+        id: item.id,
+        title: item.title.trim(),
+        dueDate: item.dueDate || '',
+        dueTime: item.dueDate ? item.dueTime || '' : '',
+        score: itemScore,
+        pointsEarned: marks ? marks.pointsEarned : null,
+        pointsPossible: marks ? marks.pointsPossible : null,
+        completed: Boolean(item.completed),
+      })
+    }
+
+    const ruleCount = toNumberOrNull(form.groupRuleCount)
+    if (form.groupRuleType === GROUP_RULES.best) {
+      if (!Number.isInteger(ruleCount) || ruleCount < 1 || ruleCount > items.length) {
+        setError(`Best N must be between 1 and ${items.length}.`)
+        return
+      }
+    }
+    if (form.groupRuleType === GROUP_RULES.dropLowest) {
+      if (!Number.isInteger(ruleCount) || ruleCount < 1 || ruleCount >= items.length) {
+        setError(`Drop lowest K must be between 1 and ${items.length - 1}.`)
+        return
+      }
+    }
+
+    const summary = summarizeGroupItems(items)
+    onSave({
+      id: assessment?.id || createId(),
+      courseId: form.courseId,
+      title: form.title.trim(),
+      type: form.type,
+      dueDate: summary.dueDate,
+      dueTime: summary.dueTime,
+      timezone: items.some((item) => item.dueTime) ? form.timezone : '',
+      weight: weightNumber,
+      score: null,
+      completed: summary.completed,
+      hurdle: Boolean(form.hurdle),
+      hurdleThreshold: hurdleThresholdNumber,
+      remindersMuted: Boolean(form.remindersMuted),
+      groupRule: {
+        type: form.groupRuleType,
+        count: form.groupRuleType === GROUP_RULES.all ? null : ruleCount,
+      },
+      items,
+      mode,
+    })
+  }
+
+  const updateItem = (itemId, patch) => {
+    setForm((prev) => ({
+      ...prev,
+      items: prev.items.map((item) => (item.id === itemId ? { ...item, ...patch } : item)),
+    }))
+  }
+
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/30 px-4 backdrop-blur-sm overscroll-contain">
       <div
@@ -76,7 +264,7 @@ export default function AssessmentModal({
         aria-modal="true"
         aria-labelledby="assessment-modal-title"
         aria-describedby="assessment-modal-description"
-        className="w-full max-w-lg rounded-3xl border border-white/50 bg-white/80 p-6 shadow-glass backdrop-blur-md"
+        className="max-h-[90vh] w-full max-w-lg overflow-y-auto rounded-3xl border border-white/50 bg-white/80 p-6 shadow-glass backdrop-blur-md"
       >
         <div className="flex items-start justify-between">
           <div>
@@ -160,21 +348,108 @@ export default function AssessmentModal({
               </select>
             </label>
 
+            {form.isGroup ? (
+              <p className="self-end pb-2 text-[11px] text-slate-400">
+                Each item below keeps its own due date.
+              </p>
+            ) : (
+              <label className="text-xs font-semibold text-slate-500">
+                Due date (optional)
+                <input
+                  name="dueDate"
+                  type="date"
+                  value={form.dueDate}
+                  onChange={(event) =>
+                    setForm((prev) => ({ ...prev, dueDate: event.target.value }))
+                  }
+                  autoComplete="off"
+                  className="mt-2 w-full rounded-2xl bg-white/70 px-4 py-2 text-sm text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+                />
+              </label>
+            )}
+          </div>
+
+          {!form.isGroup && (
+            <div className="grid gap-4 md:grid-cols-2">
+              <label className="text-xs font-semibold text-slate-500">
+                Window opens (optional)
+                <input
+                  name="startDate"
+                  type="date"
+                  value={form.startDate}
+                  max={form.dueDate || undefined}
+                  disabled={!form.dueDate}
+                  onChange={(event) =>
+                    setForm((prev) => ({ ...prev, startDate: event.target.value }))
+                  }
+                  autoComplete="off"
+                  className="mt-2 w-full rounded-2xl bg-white/70 px-4 py-2 text-sm text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40 disabled:opacity-60"
+                />
+              </label>
+              <p className="self-end pb-2 text-[11px] text-slate-400">
+                For exam periods and take-home windows. The due date stays the deadline.
+              </p>
+            </div>
+          )}
+
+          <div className="grid gap-4 md:grid-cols-2">
+            {!form.isGroup && (
+              <label className="text-xs font-semibold text-slate-500">
+                Due time (optional)
+                <input
+                  name="dueTime"
+                  type="time"
+                  value={form.dueTime}
+                  disabled={!form.dueDate}
+                  onChange={(event) =>
+                    setForm((prev) => ({ ...prev, dueTime: event.target.value }))
+                  }
+                  autoComplete="off"
+                  className="mt-2 w-full rounded-2xl bg-white/70 px-4 py-2 text-sm text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40 disabled:opacity-60"
+                />
+              </label>
+            )}
             <label className="text-xs font-semibold text-slate-500">
-              Due date (optional)
-              <input
-                name="dueDate"
-                type="date"
-                value={form.dueDate}
+              {form.isGroup ? 'Item due times are in' : 'Timezone'}
+              <select
+                name="timezone"
+                value={form.timezone}
                 onChange={(event) =>
-                  setForm((prev) => ({ ...prev, dueDate: event.target.value }))
+                  setForm((prev) => ({ ...prev, timezone: event.target.value }))
                 }
                 autoComplete="off"
                 className="mt-2 w-full rounded-2xl bg-white/70 px-4 py-2 text-sm text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
-              />
+              >
+                {timezoneOptions.map((timezone) => (
+                  <option key={timezone} value={timezone}>
+                    {timezone.replace(/_/g, ' ')}
+                  </option>
+                ))}
+              </select>
             </label>
           </div>
 
+          <label className="flex items-center gap-3 text-xs font-semibold text-slate-500">
+            <input
+              name="assessmentGroup"
+              type="checkbox"
+              checked={form.isGroup}
+              onChange={(event) => {
+                const { checked } = event.target
+                setForm((prev) => ({
+                  ...prev,
+                  isGroup: checked,
+                  items:
+                    checked && !prev.items.length
+                      ? [createGroupItem(0), createGroupItem(1)]
+                      : prev.items,
+                }))
+              }}
+              className="h-4 w-4 rounded border-slate-300 text-accent focus-visible:ring-2 focus-visible:ring-accent"
+            />
+            Group of items (e.g. weekly quizzes)
+          </label>
+
           <div className="grid gap-4 md:grid-cols-2">
             <label className="text-xs font-semibold text-slate-500">
               Weight (%)
@@ -192,34 +467,294 @@ export default function AssessmentModal({
               />
             </label>
 
-            <label className="text-xs font-semibold text-slate-500">
-              Score (%)
+            {form.isGroup ? null : form.scoreMode === 'raw' ? (
+              <fieldset className="text-xs font-semibold text-slate-500">
+                <legend>Marks</legend>
+                <div className="mt-2 flex items-center gap-2">
+                  <input
+                    name="pointsEarned"
+                    type="number"
+                    value={form.pointsEarned}
+                    onChange={(event) =>
+                      setForm((prev) => ({ ...prev, pointsEarned: event.target.value }))
+                    }
+                    placeholder="17.5"
+                    aria-label="Marks earned"
+                    inputMode="decimal"
+                    autoComplete="off"
+                    className="w-full min-w-0 rounded-2xl bg-white/70 px-3 py-2 text-sm text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+                  />
+                  <span className="text-slate-400">/</span>
+                  <input
+                    name="pointsPossible"
+                    type="number"
+                    value={form.pointsPossible}
+                    onChange={(event) =>
+                      setForm((prev) => ({ ...prev, pointsPossible: event.target.value }))
+                    }
+                    placeholder="25"
+                    aria-label="Marks available"
+                    inputMode="decimal"
+                    autoComplete="off"
+                    className="w-full min-w-0 rounded-2xl bg-white/70 px-3 py-2 text-sm text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+                  />
+                </div>
+              </fieldset>
+            ) : (
+              <label className="text-xs font-semibold text-slate-500">
+                Score (%)
+                <input
+                  name="assessmentScore"
+                  type="number"
+                  value={form.score}
+                  onChange={(event) =>
+                    setForm((prev) => ({ ...prev, score: event.target.value }))
+                  }
+                  placeholder="e.g. 83…"
+                  inputMode="decimal"
+                  autoComplete="off"
+                  className="mt-2 w-full rounded-2xl bg-white/70 px-4 py-2 text-sm text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+                />
+              </label>
+            )}
+          </div>
+
+          <label className="flex items-center gap-3 text-xs font-semibold text-slate-500">
+            <input
+              name="assessmentScoreRaw"
+              type="checkbox"
+              checked={form.scoreMode === 'raw'}
+              onChange={(event) =>
+                setForm((prev) => ({
+                  ...prev,
+                  scoreMode: event.target.checked ? 'raw' : 'percent',
+                }))
+              }
+              className="h-4 w-4 rounded border-slate-300 text-accent focus-visible:ring-2 focus-visible:ring-accent"
+            />
+            Enter raw marks (e.g. 17.5 / 25)
+          </label>
+
+          {form.isGroup ? (
+            <fieldset className="flex flex-col gap-3 rounded-2xl bg-white/60 p-3 text-xs font-semibold text-slate-500 shadow-neu">
+              <legend className="sr-only">Group items</legend>
+              <div className="grid gap-3 md:grid-cols-[1fr_auto] md:items-end">
+                <label>
+                  Counting rule
+                  <select
+                    name="groupRuleType"
+                    value={form.groupRuleType}
+                    onChange={(event) =>
+                      setForm((prev) => ({ ...prev, groupRuleType: event.target.value }))
+                    }
+                    autoComplete="off"
+                    className="mt-2 w-full rounded-2xl bg-white/70 px-4 py-2 text-sm text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+                  >
+                    <option value={GROUP_RULES.all}>All items count</option>
+                    <option value={GROUP_RULES.best}>Best N of M</option>
+                    <option value={GROUP_RULES.dropLowest}>Drop lowest K</option>
+                  </select>
+                </label>
+                {form.groupRuleType !== GROUP_RULES.all && (
+                  <label>
+                    {form.groupRuleType === GROUP_RULES.best ? 'N' : 'K'}
+                    <input
+                      name="groupRuleCount"
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={form.groupRuleCount}
+                      onChange={(event) =>
+                        setForm((prev) => ({ ...prev, groupRuleCount: event.target.value }))
+                      }
+                      inputMode="numeric"
+                      autoComplete="off"
+                      className="mt-2 w-20 rounded-2xl bg-white/70 px-3 py-2 text-sm text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+                    />
+                  </label>
+                )}
+              </div>
+
+              {form.items.map((item, index) => (
+                <div
+                  key={item.id}
+                  className={`grid grid-cols-[1fr_auto] gap-2 rounded-xl bg-white/70 p-2 md:items-center ${
+                    form.scoreMode === 'raw'
+                      ? 'md:grid-cols-[1.2fr_1fr_88px_112px_auto_auto]'
+                      : 'md:grid-cols-[1.2fr_1fr_88px_60px_auto_auto]'
+                  }`}
+                >
+                  <input
+                    name={`groupItemTitle-${index}`}
+                    type="text"
+                    value={item.title}
+                    onChange={(event) => updateItem(item.id, { title: event.target.value })}
+                    aria-label={`Item ${index + 1} title`}
+                    autoComplete="off"
+                    className="min-w-0 rounded-xl bg-white px-2 py-1 text-xs text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+                  />
+                  <input
+                    name={`groupItemDueDate-${index}`}
+                    type="date"
+                    value={item.dueDate}
+                    onChange={(event) => updateItem(item.id, { dueDate: event.target.value })}
+                    aria-label={`Item ${index + 1} due date`}
+                    autoComplete="off"
+                    className="min-w-0 rounded-xl bg-white px-2 py-1 text-xs text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+                  />
+                  <input
+                    name={`groupItemDueTime-${index}`}
+                    type="time"
+                    value={item.dueTime}
+                    disabled={!item.dueDate}
+                    onChange={(event) => updateItem(item.id, { dueTime: event.target.value })}
+                    aria-label={`Item ${index + 1} due time`}
+                    autoComplete="off"
+                    className="min-w-0 rounded-xl bg-white px-2 py-1 text-xs text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40 disabled:opacity-60"
+                  />
+                  {form.scoreMode === 'raw' ? (
+                    <div className="flex min-w-0 items-center gap-1">
+                      <input
+                        name={`groupItemPointsEarned-${index}`}
+                        type="number"
+                        value={item.pointsEarned}
+                        onChange={(event) =>
+                          updateItem(item.id, { pointsEarned: event.target.value })
+                        }
+                        placeholder="17.5"
+                        aria-label={`Item ${index + 1} marks earned`}
+                        inputMode="decimal"
+                        autoComplete="off"
+                        className="w-full min-w-0 rounded-xl bg-white px-2 py-1 text-xs text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+                      />
+                      <span className="text-slate-400">/</span>
+                      <input
+                        name={`groupItemPointsPossible-${index}`}
+                        type="number"
+                        value={item.pointsPossible}
+                        onChange={(event) =>
+                          updateItem(item.id, { pointsPossible: event.target.value })
+                        }
+                        placeholder="25"
+                        aria-label={`Item ${index + 1} marks available`}
+                        inputMode="decimal"
+                        autoComplete="off"
+                        className="w-full min-w-0 rounded-xl bg-white px-2 py-1 text-xs text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+                      />
+                    </div>
+                  ) : (
+                    <input
+                      name={`groupItemScore-${index}`}
+                      type="number"
+                      value={item.score}
+                      onChange={(event) => updateItem(item.id, { score: event.target.value })}
+                      placeholder="%"
+                      aria-label={`Item ${index + 1} score`}
+                      inputMode="decimal"
+                      autoComplete="off"
+                      className="min-w-0 rounded-xl bg-white px-2 py-1 text-xs text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+                    />
+                  )}
+                  <label className="flex items-center gap-1 text-[11px]">
+                    <input
+                      name={`groupItemCompleted-${index}`}
+                      type="checkbox"
+                      checked={item.completed}
+                      onChange={(event) =>
+                        updateItem(item.id, { completed: event.target.checked })
+                      }
+                      className="h-3.5 w-3.5 rounded border-slate-300 text-accent focus-visible:ring-2 focus-visible:ring-accent"
+                    />
+                    Done
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() =>
+                      setForm((prev) => ({
+                        ...prev,
+                        items: prev.items.filter((entry) => entry.id !== item.id),
+                      }))
+                    }
+                    aria-label={`Remove item ${index + 1}`}
+                    className="rounded-full bg-white px-2 py-0.5 text-[11px] text-slate-400 shadow-neu hover:text-red-500"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+
+              <button
+                type="button"
+                onClick={() =>
+                  setForm((prev) => ({
+                    ...prev,
+                    items: [...prev.items, createGroupItem(prev.items.length)],
+                  }))
+                }
+                className="self-start rounded-full bg-white px-3 py-1 text-[11px] font-semibold text-slate-500 shadow-neu"
+              >
+                + Item
+              </button>
+            </fieldset>
+          ) : (
+            <label className="flex items-center gap-3 text-xs font-semibold text-slate-500">
               <input
-                name="assessmentScore"
-                type="number"
-                value={form.score}
+                name="assessmentCompleted"
+                type="checkbox"
+                checked={form.completed}
                 onChange={(event) =>
-                  setForm((prev) => ({ ...prev, score: event.target.value }))
+                  setForm((prev) => ({ ...prev, completed: event.target.checked }))
                 }
-                placeholder="e.g. 83…"
-                inputMode="decimal"
-                autoComplete="off"
-                className="mt-2 w-full rounded-2xl bg-white/70 px-4 py-2 text-sm text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+                className="h-4 w-4 rounded border-slate-300 text-accent focus-visible:ring-2 focus-visible:ring-accent"
               />
+              Mark as Completed
             </label>
+          )}
+
+          <div className="grid gap-4 md:grid-cols-2 md:items-end">
+            <label className="flex items-center gap-3 text-xs font-semibold text-slate-500">
+              <input
+                name="assessmentHurdle"
+                type="checkbox"
+                checked={form.hurdle}
+                onChange={(event) =>
+                  setForm((prev) => ({ ...prev, hurdle: event.target.checked }))
+                }
+                className="h-4 w-4 rounded border-slate-300 text-accent focus-visible:ring-2 focus-visible:ring-accent"
+              />
+              Hurdle requirement
+            </label>
+
+            {form.hurdle && (
+              <label className="text-xs font-semibold text-slate-500">
+                Minimum to pass (%)
+                <input
+                  name="hurdleThreshold"
+                  type="number"
+                  value={form.hurdleThreshold}
+                  onChange={(event) =>
+                    setForm((prev) => ({ ...prev, hurdleThreshold: event.target.value }))
+                  }
+                  placeholder="e.g. 50…"
+                  inputMode="decimal"
+                  autoComplete="off"
+                  className="mt-2 w-full rounded-2xl bg-white/70 px-4 py-2 text-sm text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+                />
+              </label>
+            )}
           </div>
 
           <label className="flex items-center gap-3 text-xs font-semibold text-slate-500">
             <input
-              name="assessmentCompleted"
+              name="assessmentRemindersMuted"
               type="checkbox"
-              checked={form.completed}
+              checked={form.remindersMuted}
               onChange={(event) =>
-                setForm((prev) => ({ ...prev, completed: event.target.checked }))
+                setForm((prev) => ({ ...prev, remindersMuted: event.target.checked }))
               }
               className="h-4 w-4 rounded border-slate-300 text-accent focus-visible:ring-2 focus-visible:ring-accent"
             />
-            Mark as Completed
+            Mute reminders for this assessment
           </label>
 
           {error && (
@@ -0,0 +1,264 @@
+import { useState } from 'react'
+import { formatDueDate } from '../../hooks/useDashboardDomain'
+import { CALENDAR_IMPORT_ACTIONS } from '../../lib/calendarImport'
+
+const ACTION_LABELS = {
+  [CALENDAR_IMPORT_ACTIONS.update]: 'Update date',
+  [CALENDAR_IMPORT_ACTIONS.create]: 'New assessment',
+  [CALENDAR_IMPORT_ACTIONS.unchanged]: 'Already up to date',
+}
+
+export default function CalendarImportModal({
+  open,
+  courses,
+  onClose,
+  previewCalendarImport,
+  onApply,
+}) {
+  const [fileName, setFileName] = useState('')
+  const [plan, setPlan] = useState(null)
+  const [selected, setSelected] = useState(() => new Set())
+  // Course ids picked for events that don't name one of the user's courses.
+  const [courseChoices, setCourseChoices] = useState({})
+  const [error, setError] = useState('')
+
+  if (!open) return null
+
+  const rows = plan
+    ? plan.rows.map((row) =>
+        row.course
+          ? row
+          : {
+              ...row,
+              course: courses.find((course) => course.id === courseChoices[row.key]) || null,
+              unassigned: true,
+            },
+      )
+    : []
+  const actionable = rows.filter(
+    (row) => row.course && row.action !== CALENDAR_IMPORT_ACTIONS.unchanged,
+  )
+  const selectedRows = actionable.filter((row) => selected.has(row.key))
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+    const result = previewCalendarImport(await file.text())
+    if (!result) {
+      setPlan(null)
+      setError('No dated events were found in this file.')
+      return
+    }
+    setError('')
+    setFileName(file.name)
+    setPlan(result)
+    setCourseChoices({})
+    setSelected(
+      new Set(
+        result.rows
+          .filter((row) => row.course && row.action !== CALENDAR_IMPORT_ACTIONS.unchanged)
+          .map((row) => row.key),
+      ),
+    )
+  }
+
+  const chooseCourse = (key, courseId) => {
+    setCourseChoices((prev) => ({ ...prev, [key]: courseId }))
+    setSelected((prev) => {
+      const next = new Set(prev)
+      if (courseId) next.add(key)
+      else next.delete(key)
+      return next
+    })
+  }
+
+  const toggleRow = (key) => {
+    setSelected((prev) => {
+      const next = new Set(prev)
+      if (next.has(key)) next.delete(key)
+      else next.add(key)
+      return next
+    })
+  }
+
+  const handleApply = () => {
+    if (!selectedRows.length) return
+    onApply(selectedRows)
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/30 px-4 backdrop-blur-sm overscroll-contain">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="calendar-import-title"
+        className="max-h-[90vh] w-full max-w-2xl overflow-y-auto rounded-3xl border border-white/50 bg-white/80 p-6 shadow-glass backdrop-blur-md"
+      >
+        <div className="flex items-start justify-between">
+          <div>
+            <p className="text-xs font-semibold uppercase tracking-[0.2em] text-slate-400">
+              Import Calendar
+            </p>
+            <h3
+              id="calendar-import-title"
+              className="mt-2 text-lg font-semibold text-slate-800"
+            >
+              Due dates from an .ics file
+            </h3>
+            <p className="mt-2 text-xs text-slate-400">
+              Export the calendar from Canvas or your LMS. Events are matched to assessments by
+              course code and title.
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-full bg-white px-3 py-1 text-xs font-semibold text-slate-500 shadow-neu"
+          >
+            Close
+          </button>
+        </div>
+
+        <div className="mt-4 flex flex-wrap items-center gap-3">
+          <label className="cursor-pointer rounded-full bg-white px-4 py-2 text-xs font-semibold text-accent shadow-neu focus-within:ring-2 focus-within:ring-accent/40">
+            Choose .ics file…
+            <input
+              name="calendarFile"
+              type="file"
+              accept="text/calendar,.ics"
+              onChange={handleFileChange}
+              className="sr-only"
+            />
+          </label>
+          {fileName && <span className="text-xs text-slate-400">{fileName}</span>}
+        </div>
+
+        {error && (
+          <p
+            role="alert"
+            className="mt-4 rounded-2xl bg-red-100/70 px-3 py-2 text-xs text-red-500"
+          >
+            {error}
+          </p>
+        )}
+
+        {plan && (
+          <div className="mt-4 space-y-3">
+            {rows.length === 0 ? (
+              <p className="rounded-2xl bg-white/70 p-4 text-xs text-slate-400 shadow-neu">
+                This file has no events to import.
+              </p>
+            ) : (
+              <ul className="space-y-2">
+                {rows.map((row) => {
+                  const disabled =
+                    !row.course || row.action === CALENDAR_IMPORT_ACTIONS.unchanged
+                  return (
+                    <li key={row.key}>
+                      <label
+                        className={`flex items-start gap-3 rounded-2xl bg-white/70 p-3 text-xs shadow-neu ${
+                          row.action === CALENDAR_IMPORT_ACTIONS.unchanged
+                            ? 'opacity-60'
+                            : 'cursor-pointer'
+                        }`}
+                      >
+                        <input
+                          type="checkbox"
+                          className="mt-1"
+                          checked={!disabled && selected.has(row.key)}
+                          disabled={disabled}
+                          onChange={() => toggleRow(row.key)}
+                        />
+                        <span className="flex-1">
+                          <span className="flex flex-wrap items-center gap-2">
+                            {row.unassigned ? (
+                              <select
+                                name={`calendarCourse-${row.key}`}
+                                aria-label={`Course for ${row.event.summary}`}
+                                value={courseChoices[row.key] || ''}
+                                onChange={(event) => chooseCourse(row.key, event.target.value)}
+                                className="rounded-full bg-white px-2 py-0.5 text-[11px] font-semibold text-slate-600 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+                              >
+                                <option value="">Choose course…</option>
+                                {courses.map((course) => (
+                                  <option key={course.id} value={course.id}>
+                                    {course.code}
+                                  </option>
+                                ))}
+                              </select>
+                            ) : (
+                              <>
+                                <span
+                                  className="h-2 w-2 rounded-full"
+                                  style={{ backgroundColor: row.course.color }}
+                                />
+                                <span className="font-semibold text-slate-600">
+                                  {row.course.code}
+                                </span>
+                              </>
+                            )}
+                            <span className="text-slate-500">{row.event.summary}</span>
+                          </span>
+                          <span className="mt-1 block text-[11px] text-slate-400">
+                            {row.target ? (
+                              <>
+                                {row.target.title} · {formatDueDate(row.target)} →{' '}
+                                {formatDueDate(row)}
+                              </>
+                            ) : (
+                              <>
+                                “{row.title}” due {formatDueDate(row)} · weight needed
+                              </>
+                            )}
+                          </span>
+                        </span>
+                        <span
+                          className={`rounded-full px-2 py-0.5 text-[10px] font-semibold ${
+                            row.action === CALENDAR_IMPORT_ACTIONS.create
+                              ? 'bg-accent/10 text-accent'
+                              : row.action === CALENDAR_IMPORT_ACTIONS.update
+                                ? 'bg-amber-100 text-amber-600'
+                                : 'bg-slate-100 text-slate-400'
+                          }`}
+                        >
+                          {ACTION_LABELS[row.action]}
+                        </span>
+                      </label>
+                    </li>
+                  )
+                })}
+              </ul>
+            )}
+            {rows.some((row) => row.action === CALENDAR_IMPORT_ACTIONS.create) && (
+              <p className="text-[11px] text-slate-400">
+                Calendars don&apos;t include weights. Set each new assessment&apos;s weight before
+                it counts towards your marks.
+                {rows.some((row) => row.unassigned) &&
+                  " Choose a course for events that don't name one."}
+              </p>
+            )}
+          </div>
+        )}
+
+        <div className="mt-5 flex items-center justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-2xl bg-white px-4 py-2 text-xs font-semibold text-slate-500 shadow-neu"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleApply}
+            disabled={!selectedRows.length}
+            className="rounded-2xl bg-accent px-4 py-2 text-xs font-semibold text-white shadow-neu disabled:cursor-not-allowed disabled:opacity-70"
+          >
+            Apply {selectedRows.length || ''} change{selectedRows.length === 1 ? '' : 's'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,21 +1,52 @@
-import { useMemo } from 'react'
+import { useMemo, useState } from 'react'
 import {
-  formatDateShort,
+  GRADE_BANDS,
+  formatAssessmentScore,
+  formatDueDate,
   getGoalRequirement,
-  toNumberOrNull,
+  getGradeBand,
+  getHurdleIssues,
+  getHurdleStatus,
+  isCourseFinalised,
 } from '../../hooks/useDashboardDomain'
+import {
+  SCORE_DISPLAYS,
+  formatAssessmentWeight,
+  formatGroupRule,
+  isAssessmentGroup,
+  toNumberOrNull,
+} from '../../lib/domain'
+import PlannerModeToggle from '../PlannerModeToggle'
+import WhatIfSimulator from '../WhatIfSimulator'
 
 export default function CourseDetailModal({
   course,
   assessments,
   average,
   wamGoalNumber,
+  scoreDisplay,
+  onToggleScoreDisplay,
   onClose,
   onViewHandbook,
   onImportAssessments,
   onAddAssessment,
   onEditAssessment,
+  onFinalise,
+  semesterWam,
+  simulateSemesterWam,
+  onApplySimulation,
+  scorePlan,
+  typePerformance,
+  plannerMode,
+  onPlannerModeChange,
 }) {
+  const [finaliseOpen, setFinaliseOpen] = useState(false)
+  const [simulatorOpen, setSimulatorOpen] = useState(false)
+  const [finalForm, setFinalForm] = useState(() => ({
+    mark: course?.finalMark ?? (average === null ? '' : Number(average.toFixed(1))),
+    grade: course?.finalGrade || '',
+  }))
+  const [finalError, setFinalError] = useState('')
   const [upcoming, completed] = useMemo(() => {
     const upcomingItems = []
     const completedItems = []
@@ -31,6 +62,25 @@ export default function CourseDetailModal({
 
   if (!course) return null
 
+  const finalised = isCourseFinalised(course)
+  const hurdleIssues = getHurdleIssues(assessments)
+  const suggestedGrade = getGradeBand(finalForm.mark)
+
+  const handleFinaliseSubmit = (event) => {
+    event.preventDefault()
+    const markNumber = toNumberOrNull(finalForm.mark)
+    if (markNumber === null || markNumber < 0 || markNumber > 100) {
+      setFinalError('Official mark must be between 0 and 100.')
+      return
+    }
+    onFinalise({
+      finalMark: markNumber,
+      finalGrade: finalForm.grade || getGradeBand(markNumber),
+    })
+    setFinalError('')
+    setFinaliseOpen(false)
+  }
+
   const targetValue = toNumberOrNull(course.targetMark ?? wamGoalNumber)
   const targetSource =
     course.targetMark !== null && course.targetMark !== undefined
@@ -76,7 +126,7 @@ export default function CourseDetailModal({
         aria-modal="true"
         aria-labelledby="course-detail-title"
         aria-describedby="course-detail-description"
-        className="w-full max-w-2xl rounded-3xl border border-white/50 bg-white/80 p-6 shadow-glass backdrop-blur-md"
+        className="max-h-[90vh] w-full max-w-2xl overflow-y-auto rounded-3xl border border-white/50 bg-white/80 p-6 shadow-glass backdrop-blur-md"
       >
         <div className="flex items-start justify-between">
           <div>
@@ -125,14 +175,42 @@ export default function CourseDetailModal({
           </div>
         </div>
 
+        {hurdleIssues.length > 0 && (
+          <div
+            role="alert"
+            className="mt-4 rounded-2xl bg-rose-50 px-4 py-3 text-xs text-rose-500"
+          >
+            <p className="font-semibold">Hurdle requirement at risk</p>
+            {hurdleIssues.map(({ assessment, status }) => (
+              <p key={assessment.id} className="mt-1">
+                {assessment.title}:{' '}
+                {status === 'failed'
+                  ? `scored below the ${assessment.hurdleThreshold}% hurdle`
+                  : `the ${assessment.hurdleThreshold}% hurdle can no longer be met`}
+              </p>
+            ))}
+          </div>
+        )}
+
         <div className="mt-5 grid gap-4 md:grid-cols-[1.1fr_1fr]">
           <section className="rounded-2xl bg-white/70 p-4 shadow-neu">
             <div className="flex items-center justify-between">
               <div>
-                <p className="text-xs text-slate-500">Course average</p>
+                <p className="text-xs text-slate-500">
+                  {finalised ? 'Official mark' : 'Course average'}
+                </p>
                 <p className="text-2xl font-semibold text-slate-700">
-                  {average === null ? '--' : average.toFixed(1)}
+                  {finalised
+                    ? `${Number(course.finalMark).toFixed(1)} · ${course.finalGrade || getGradeBand(course.finalMark)}`
+                    : average === null
+                      ? '--'
+                      : average.toFixed(1)}
                 </p>
+                {finalised && average !== null && (
+                  <p className="text-[11px] text-slate-400">
+                    Computed average {average.toFixed(1)}
+                  </p>
+                )}
               </div>
               <button
                 type="button"
@@ -171,6 +249,184 @@ export default function CourseDetailModal({
           </section>
         </div>
 
+        {scorePlan?.items?.length > 0 && (
+          <section className="mt-4 rounded-2xl bg-white/70 p-4 shadow-neu">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <p className="text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
+                Score targets
+              </p>
+              {onPlannerModeChange && (
+                <PlannerModeToggle mode={plannerMode} onChange={onPlannerModeChange} />
+              )}
+            </div>
+            <div className="mt-3 grid gap-2 sm:grid-cols-2">
+              {scorePlan.items.map((item) => (
+                <div
+                  key={item.id}
+                  className="flex items-center justify-between rounded-xl bg-white/70 px-3 py-2 text-xs text-slate-600 shadow-neu"
+                >
+                  <div className="min-w-0">
+                    <p className="break-words font-semibold">{item.title}</p>
+                    <p className="text-[11px] text-slate-400">
+                      {item.type} · {Number(item.weight.toFixed(2))}% weight
+                    </p>
+                  </div>
+                  <span
+                    className={`text-sm font-semibold ${
+                      item.target >= 100 ? 'text-rose-500' : 'text-slate-700'
+                    }`}
+                  >
+                    {item.target.toFixed(1)}%
+                  </span>
+                </div>
+              ))}
+            </div>
+          </section>
+        )}
+
+        {simulateSemesterWam && !finalised && (
+          <section className="mt-4 rounded-2xl bg-white/70 p-4 shadow-neu">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div>
+                <p className="text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
+                  What-if simulator
+                </p>
+                <p className="mt-1 text-xs text-slate-500">
+                  Try hypothetical scores. Nothing is saved until you apply.
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => setSimulatorOpen((prev) => !prev)}
+                aria-expanded={simulatorOpen}
+                className="rounded-full bg-white px-3 py-1 text-xs font-semibold text-slate-500 shadow-neu"
+              >
+                {simulatorOpen ? 'Hide' : 'Open simulator'}
+              </button>
+            </div>
+            {simulatorOpen && (
+              <WhatIfSimulator
+                assessments={assessments}
+                target={targetValue}
+                performance={typePerformance}
+                semesterWam={semesterWam}
+                simulateSemesterWam={simulateSemesterWam}
+                onApply={onApplySimulation}
+              />
+            )}
+          </section>
+        )}
+
+        {onFinalise && (
+          <section className="mt-4 rounded-2xl bg-white/70 p-4 shadow-neu">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div>
+                <p className="text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
+                  Final result
+                </p>
+                <p className="mt-1 text-xs text-slate-500">
+                  {finalised
+                    ? 'The official mark replaces the computed average in your WAM.'
+                    : 'Record the official mark and grade once results are released.'}
+                </p>
+              </div>
+              {!finaliseOpen && (
+                <div className="flex items-center gap-2">
+                  {finalised && (
+                    <button
+                      type="button"
+                      onClick={() => onFinalise(null)}
+                      className="rounded-full bg-white px-3 py-1 text-xs font-semibold text-slate-400 shadow-neu transition hover:text-red-500"
+                    >
+                      Clear
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => setFinaliseOpen(true)}
+                    className="rounded-full bg-white px-3 py-1 text-xs font-semibold text-slate-500 shadow-neu"
+                  >
+                    {finalised ? 'Edit result' : 'Finalise course'}
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {finaliseOpen && (
+              <form
+                className="mt-3 grid gap-3 md:grid-cols-[1fr_1fr_auto] md:items-end"
+                onSubmit={handleFinaliseSubmit}
+              >
+                <label className="text-xs font-semibold text-slate-500">
+                  Official mark
+                  <input
+                    name="finalMark"
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.1"
+                    value={finalForm.mark}
+                    onChange={(event) =>
+                      setFinalForm((prev) => ({ ...prev, mark: event.target.value }))
+                    }
+                    placeholder="e.g. 78…"
+                    inputMode="decimal"
+                    autoComplete="off"
+                    className="mt-2 w-full rounded-2xl bg-white/70 px-4 py-2 text-sm text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+                  />
+                </label>
+                <label className="text-xs font-semibold text-slate-500">
+                  Grade
+                  <select
+                    name="finalGrade"
+                    value={finalForm.grade}
+                    onChange={(event) =>
+                      setFinalForm((prev) => ({ ...prev, grade: event.target.value }))
+                    }
+                    autoComplete="off"
+                    className="mt-2 w-full rounded-2xl bg-white/70 px-4 py-2 text-sm text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+                  >
+                    <option value="">
+                      {suggestedGrade ? `Auto (${suggestedGrade})` : 'Auto'}
+                    </option>
+                    {GRADE_BANDS.map((band) => (
+                      <option key={band.grade} value={band.grade}>
+                        {band.grade}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <div className="flex items-center gap-2">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setFinaliseOpen(false)
+                      setFinalError('')
+                    }}
+                    className="rounded-2xl bg-white px-4 py-2 text-xs font-semibold text-slate-500 shadow-neu"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    className="rounded-2xl bg-accent px-4 py-2 text-xs font-semibold text-white shadow-neu"
+                  >
+                    Save
+                  </button>
+                </div>
+                {finalError && (
+                  <p
+                    role="alert"
+                    className="rounded-2xl bg-red-100/70 px-3 py-2 text-xs text-red-500 md:col-span-3"
+                  >
+                    {finalError}
+                  </p>
+                )}
+              </form>
+            )}
+          </section>
+        )}
+
         <div className="mt-5 grid gap-4 md:grid-cols-2">
           <section className="rounded-2xl bg-white/70 p-4 shadow-neu">
             <p className="text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
@@ -190,11 +446,14 @@ export default function CourseDetailModal({
                     <div>
                       <p className="break-words font-semibold">{assessment.title}</p>
                       <p className="text-[11px] text-slate-400">
-                        {assessment.type} · {formatDateShort(assessment.dueDate)}
+                        {assessment.type} · {formatDueDate(assessment)}
+                        {isAssessmentGroup(assessment) &&
+                          ` · ${assessment.items.filter((item) => item.completed).length}/${assessment.items.length} done · ${formatGroupRule(assessment)}`}
+                        {assessment.hurdle && ` · Hurdle ${assessment.hurdleThreshold}%`}
                       </p>
                     </div>
                     <span className="text-[11px] font-semibold text-slate-400">
-                      {assessment.weight}%
+                      {formatAssessmentWeight(assessment)}
                     </span>
                   </button>
                 ))}
@@ -206,9 +465,20 @@ export default function CourseDetailModal({
           </section>
 
           <section className="rounded-2xl bg-white/70 p-4 shadow-neu">
-            <p className="text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
-              Completed
-            </p>
+            <div className="flex items-center justify-between gap-2">
+              <p className="text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
+                Completed
+              </p>
+              {onToggleScoreDisplay && (
+                <button
+                  type="button"
+                  onClick={onToggleScoreDisplay}
+                  className="rounded-full bg-white px-2 py-0.5 text-[10px] font-semibold text-slate-400 shadow-neu"
+                >
+                  {scoreDisplay === SCORE_DISPLAYS.raw ? 'Show %' : 'Show raw'}
+                </button>
+              )}
+            </div>
             {completed.length === 0 ? (
               <p className="mt-2 text-xs text-slate-400">Nothing graded yet.</p>
             ) : (
@@ -223,11 +493,13 @@ export default function CourseDetailModal({
                     <div>
                       <p className="break-words font-semibold">{assessment.title}</p>
                       <p className="text-[11px] text-slate-400">
-                        {assessment.type} · {assessment.score ?? '--'}%
+                        {assessment.type} · {formatAssessmentScore(assessment, scoreDisplay)}
+                        {assessment.hurdle &&
+                          ` · Hurdle ${getHurdleStatus(assessment) === 'passed' ? 'met' : 'missed'}`}
                       </p>
                     </div>
                     <span className="text-[11px] font-semibold text-slate-400">
-                      {assessment.weight}%
+                      {formatAssessmentWeight(assessment)}
                     </span>
                   </button>
                 ))}
@@ -1,10 +1,40 @@
 import { useState } from 'react'
+import { getColorFromCode } from '../../hooks/useDashboardDomain'
+import { createId, normalizeCourseCode, toNumberOrNull } from '../../lib/domain'
+import ClassTimetableEditor from '../ClassTimetableEditor'
 import {
-  createId,
-  getColorFromCode,
-  normalizeCourseCode,
-  toNumberOrNull,
-} from '../../hooks/useDashboardDomain'
+  findClassClashes,
+  formatClassOverlap,
+  formatClassWeeks,
+  getCourseClasses,
+  getHandbookClasses,
+  normalizeClassEvent,
+  parseClassWeeks,
+  toMinutes,
+} from '../../lib/timetable'
+
+const toClassRow = (classEvent) => ({
+  key: classEvent.id || createId(),
+  id: classEvent.id || '',
+  type: classEvent.type,
+  day: classEvent.day ? String(classEvent.day) : '',
+  startTime: classEvent.startTime,
+  endTime: classEvent.endTime,
+  location: classEvent.location,
+  weeksText: classEvent.weeks.length
+    ? formatClassWeeks(classEvent.weeks).replace(/^Weeks? /, '')
+    : '',
+  durationMinutes: classEvent.durationMinutes || null,
+})
+
+const EMPTY_CLASS = {
+  type: 'Lecture',
+  day: null,
+  startTime: '',
+  endTime: '',
+  location: '',
+  weeks: [],
+}
 
 export default function CourseModal({
   open,
@@ -21,11 +51,36 @@ export default function CourseModal({
     code: course?.code || '',
     targetMark: course?.targetMark ?? '',
   }))
+  const [classRows, setClassRows] = useState(() => getCourseClasses(course).map(toClassRow))
   const [error, setError] = useState('')
 
   const normalizedCode = normalizeCourseCode(form.code)
   const matchedSubject = normalizedCode ? handbookIndex?.get(normalizedCode) : null
   const creditPointsValue = matchedSubject?.creditPoints
+  const handbookClasses = matchedSubject ? getHandbookClasses(matchedSubject) : []
+
+  // Checked against the other courses as the form changes. Until classes are
+  // entered, the handbook's scraped class times stand in for them. Rows are
+  // identified by their key so unsaved classes still have an id.
+  const draftClasses = classRows.length
+    ? classRows.map((row) =>
+        normalizeClassEvent({ ...row, id: row.key, weeks: parseClassWeeks(row.weeksText) }),
+      )
+    : handbookClasses.map((classEvent, index) => ({ ...classEvent, id: `handbook-${index}` }))
+  const clashes = findClassClashes(
+    draftClasses,
+    courses.filter((existing) => existing.id !== course?.id),
+  )
+
+  const seedClasses = () => {
+    if (
+      classRows.length &&
+      !window.confirm('Replace the classes below with the handbook timetable?')
+    ) {
+      return
+    }
+    setClassRows(handbookClasses.map(toClassRow))
+  }
 
   if (!open) return null
 
@@ -68,6 +123,30 @@ export default function CourseModal({
       return
     }
 
+    const classes = []
+    for (const [index, row] of classRows.entries()) {
+      const start = toMinutes(row.startTime)
+      const end = toMinutes(row.endTime)
+      if (!row.day || start === null || end === null || end <= start) {
+        setError(`Class ${index + 1} needs a day, a start time and a later end time.`)
+        return
+      }
+      const weeks = parseClassWeeks(row.weeksText)
+      if (row.weeksText.trim() && !weeks.length) {
+        setError(`Check the weeks for class ${index + 1}, e.g. 1-12 or 2, 4, 6.`)
+        return
+      }
+      classes.push({
+        id: row.id || createId(),
+        type: row.type,
+        day: Number(row.day),
+        startTime: row.startTime,
+        endTime: row.endTime,
+        location: row.location.trim(),
+        weeks,
+      })
+    }
+
     const payload = {
       id: course?.id || createId(),
       code: normalizedCode,
@@ -75,6 +154,7 @@ export default function CourseModal({
       creditPoints: creditPointsNumber,
       targetMark: targetValue,
       color: course?.color || getColorFromCode(normalizedCode),
+      classes,
       mode,
     }
     onSave(payload)
@@ -87,7 +167,7 @@ export default function CourseModal({
         aria-modal="true"
         aria-labelledby="course-modal-title"
         aria-describedby="course-modal-description"
-        className="w-full max-w-md rounded-3xl border border-white/50 bg-white/80 p-6 shadow-glass backdrop-blur-md"
+        className="max-h-[90vh] w-full max-w-lg overflow-y-auto rounded-3xl border border-white/50 bg-white/80 p-6 shadow-glass backdrop-blur-md"
       >
         <div className="flex items-start justify-between">
           <div>
@@ -173,6 +253,35 @@ export default function CourseModal({
             </span>
           </label>
 
+          <ClassTimetableEditor
+            rows={classRows}
+            onChange={setClassRows}
+            onAdd={() => setClassRows((prev) => [...prev, toClassRow(EMPTY_CLASS)])}
+            handbookClassCount={handbookClasses.length}
+            onSeed={seedClasses}
+          />
+
+          {clashes.length > 0 && (
+            <div
+              role="status"
+              className="rounded-2xl bg-amber-100/70 px-3 py-2 text-xs text-amber-700"
+            >
+              <p className="font-semibold">
+                {classRows.length
+                  ? 'These classes clash with your timetable:'
+                  : 'The handbook class times clash with your timetable:'}
+              </p>
+              <ul className="mt-1 space-y-1 text-[11px]">
+                {clashes.map((clash) => (
+                  <li key={`${clash.classEvent.id}:${clash.otherClass.id}`}>
+                    {clash.classEvent.type} and {clash.otherCourse.code}{' '}
+                    {clash.otherClass.type} · {formatClassOverlap(clash.overlap)}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {error && (
             <p
               role="alert"
@@ -204,7 +313,11 @@ export default function CourseModal({
                 type="submit"
                 className="rounded-2xl bg-accent px-5 py-2 text-xs font-semibold text-white shadow-neu"
               >
-                {mode === 'edit' ? 'Save Changes' : 'Add Course'}
+                {clashes.length
+                  ? `${mode === 'edit' ? 'Save' : 'Add'} Anyway`
+                  : mode === 'edit'
+                    ? 'Save Changes'
+                    : 'Add Course'}
               </button>
             </div>
           </div>
@@ -1,16 +1,47 @@
 import { formatDateTime, getSafeDisplayName } from '../../hooks/useDashboardDomain'
+import { SYNC_STATUSES } from '../../lib/sync'
+import BackupPanel from '../BackupPanel'
+import CalendarFeedPanel from '../CalendarFeedPanel'
+import ReminderSettingsPanel from '../ReminderSettingsPanel'
+
+const describeSync = ({ status, pendingCount }) => {
+  const pending = `${pendingCount} change${pendingCount === 1 ? '' : 's'}`
+  switch (status) {
+    case SYNC_STATUSES.syncing:
+      return pendingCount ? `Syncing ${pending}…` : 'Checking for updates…'
+    case SYNC_STATUSES.synced:
+      return 'Synced'
+    case SYNC_STATUSES.offline:
+      return pendingCount ? `Offline · ${pending} queued` : 'Offline'
+    case SYNC_STATUSES.error:
+      return pendingCount ? `Sync failed · ${pending} queued` : 'Sync failed'
+    default:
+      return pendingCount ? `${pending} waiting to sync` : 'Waiting to sync'
+  }
+}
 
 export default function ProfileModal({
   open,
   user,
-  dataStatus,
+  isGuest,
+  syncState,
+  onSyncNow,
   courseCount,
   assessmentCount,
   completedCount,
   upcomingCount,
   wam,
+  cumulativeWam,
   wamGoal,
   onClose,
+  getBackupBundle,
+  getAssessmentsCsv,
+  previewBackupImport,
+  applyBackupImport,
+  calendarFeedEnabled,
+  reminderSettings,
+  onReminderSettingsChange,
+  getCalendarFeedUrl,
 }) {
   if (!open) return null
 
@@ -28,7 +59,13 @@ export default function ProfileModal({
     typeof user?.emailVerified === 'boolean'
       ? user.emailVerified
       : Boolean(user?.email_confirmed_at || user?.confirmed_at)
-  const syncLabel = dataStatus === 'ready' ? 'Synced' : 'Syncing'
+  const syncLabel = describeSync(syncState)
+  const syncTone =
+    syncState.status === SYNC_STATUSES.error
+      ? 'text-rose-500'
+      : syncState.status === SYNC_STATUSES.offline
+        ? 'text-amber-500'
+        : 'text-slate-500'
 
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/30 px-4 backdrop-blur-sm overscroll-contain">
@@ -37,7 +74,7 @@ export default function ProfileModal({
         aria-modal="true"
         aria-labelledby="profile-modal-title"
         aria-describedby="profile-modal-description"
-        className="w-full max-w-lg rounded-3xl border border-white/50 bg-white/80 p-6 shadow-glass backdrop-blur-md"
+        className="max-h-[90vh] w-full max-w-lg overflow-y-auto rounded-3xl border border-white/50 bg-white/80 p-6 shadow-glass backdrop-blur-md"
       >
         <div className="flex items-start justify-between">
           <div>
@@ -54,7 +91,9 @@ export default function ProfileModal({
               id="profile-modal-description"
               className="mt-1 text-xs text-slate-400"
             >
-              Account details are private.
+              {isGuest
+                ? 'Guest mode. Nothing leaves this browser.'
+                : 'Account details are private.'}
             </p>
           </div>
           <button
@@ -119,6 +158,10 @@ export default function ProfileModal({
                 <span className="font-semibold text-slate-600">WAM:</span>{' '}
                 {wam === null ? '--' : wam.toFixed(2)}
               </p>
+              <p>
+                <span className="font-semibold text-slate-600">Cumulative WAM:</span>{' '}
+                {cumulativeWam === null ? '--' : cumulativeWam.toFixed(2)}
+              </p>
               <p>
                 <span className="font-semibold text-slate-600">WAM goal:</span>{' '}
                 {wamGoal === null ? '--' : `${wamGoal.toFixed(1)}%`}
@@ -128,14 +171,46 @@ export default function ProfileModal({
         </div>
 
         <div className="mt-4 rounded-2xl bg-white/70 p-4 text-xs text-slate-500 shadow-neu">
-          <p>
-            <span className="font-semibold text-slate-600">Sync status:</span>{' '}
-            {syncLabel}
+          <div className="flex items-center justify-between gap-3">
+            <p role="status" aria-live="polite">
+              <span className="font-semibold text-slate-600">Sync status:</span>{' '}
+              <span className={syncTone}>{syncLabel}</span>
+            </p>
+            <button
+              type="button"
+              onClick={onSyncNow}
+              disabled={syncState.status === SYNC_STATUSES.syncing}
+              className="rounded-full bg-white px-3 py-1 text-[11px] font-semibold text-slate-500 shadow-neu disabled:cursor-not-allowed disabled:opacity-60"
+            >
+              Sync now
+            </button>
+          </div>
+          <p className="mt-1 text-[11px] text-slate-400">
+            Last synced: {formatDateTime(syncState.lastSyncedAt)}
           </p>
+          {syncState.error && (
+            <p className="mt-1 text-[11px] text-rose-500">{syncState.error}</p>
+          )}
           <p className="mt-1 text-[11px] text-slate-400">
-            Your dashboard is backed up to Firebase while you stay signed in.
+            {isGuest
+              ? 'Saved in this browser. Sign in to sync across devices.'
+              : 'Edits are saved on this device first and merged with your other devices record by record.'}
           </p>
         </div>
+
+        <ReminderSettingsPanel
+          reminderSettings={reminderSettings}
+          onChange={onReminderSettingsChange}
+        />
+
+        <BackupPanel
+          getBackupBundle={getBackupBundle}
+          getAssessmentsCsv={getAssessmentsCsv}
+          previewBackupImport={previewBackupImport}
+          applyBackupImport={applyBackupImport}
+        />
+
+        {calendarFeedEnabled && <CalendarFeedPanel getCalendarFeedUrl={getCalendarFeedUrl} />}
       </div>
     </div>
   )
@@ -0,0 +1,412 @@
+import { useState } from 'react'
+import { formatDateShort } from '../../hooks/useDashboardDomain'
+import { STUDY_PERIODS, createId } from '../../lib/domain'
+import {
+  DEFAULT_TEACHING_WEEKS,
+  findTeachingCalendar,
+  getSemesterTeachingCalendar,
+  getTeachingWeeks,
+  normalizeTeachingCalendar,
+} from '../../lib/teachingCalendar'
+
+const EMPTY_RANGE = { start: '', end: '', label: '' }
+
+const toCalendarForm = (calendar) => ({
+  teachingStart: calendar?.teachingStart || '',
+  teachingWeeks: String(calendar?.teachingWeeks || DEFAULT_TEACHING_WEEKS),
+  nonTeaching: calendar?.nonTeaching?.length ? calendar.nonTeaching : [EMPTY_RANGE],
+  swotvac: calendar?.swotvac || EMPTY_RANGE,
+  exams: calendar?.exams || EMPTY_RANGE,
+})
+
+const getDefaultCalendar = (calendars, year, studyPeriod) =>
+  normalizeTeachingCalendar(findTeachingCalendar(calendars, year, studyPeriod))
+
+// Dates are compared without labels so renaming a break is not an edit.
+const toComparable = (calendar) =>
+  calendar
+    ? JSON.stringify({
+        teachingStart: calendar.teachingStart,
+        teachingWeeks: calendar.teachingWeeks,
+        nonTeaching: calendar.nonTeaching.map(({ start, end }) => [start, end]),
+        swotvac: calendar.swotvac && [calendar.swotvac.start, calendar.swotvac.end],
+        exams: calendar.exams && [calendar.exams.start, calendar.exams.end],
+      })
+    : ''
+
+const isRangeFilled = (range) => Boolean(range.start || range.end)
+const isRangeValid = (range) =>
+  !isRangeFilled(range) || (range.start && range.end && range.start <= range.end)
+
+const DATE_INPUT_CLASS =
+  'mt-1 w-full rounded-2xl bg-white/70 px-3 py-2 text-xs text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40'
+
+function RangeInputs({ name, label, range, onChange }) {
+  return (
+    <fieldset className="text-[11px] font-semibold text-slate-500">
+      <legend>{label}</legend>
+      <div className="grid grid-cols-2 gap-2">
+        <input
+          name={`${name}Start`}
+          type="date"
+          aria-label={`${label} start`}
+          value={range.start}
+          onChange={(event) => onChange({ ...range, start: event.target.value })}
+          className={DATE_INPUT_CLASS}
+        />
+        <input
+          name={`${name}End`}
+          type="date"
+          aria-label={`${label} end`}
+          value={range.end}
+          min={range.start || undefined}
+          onChange={(event) => onChange({ ...range, end: event.target.value })}
+          className={DATE_INPUT_CLASS}
+        />
+      </div>
+    </fieldset>
+  )
+}
+
+export default function SemesterModal({
+  open,
+  mode,
+  semester,
+  semesters,
+  teachingCalendars,
+  courseCount,
+  onClose,
+  onSave,
+  onDelete,
+}) {
+  const [form, setForm] = useState(() => ({
+    year: semester?.year ?? new Date().getFullYear(),
+    studyPeriod: semester?.studyPeriod || STUDY_PERIODS[1],
+  }))
+  const [calendarForm, setCalendarForm] = useState(() =>
+    toCalendarForm(
+      semester
+        ? getSemesterTeachingCalendar(semester, teachingCalendars)
+        : getDefaultCalendar(teachingCalendars, new Date().getFullYear(), STUDY_PERIODS[1]),
+    ),
+  )
+  // Until the user touches the calendar it follows the chosen year and period.
+  const [calendarEdited, setCalendarEdited] = useState(Boolean(semester?.teachingCalendar))
+  const [error, setError] = useState('')
+
+  if (!open) return null
+
+  const defaultCalendar = getDefaultCalendar(
+    teachingCalendars,
+    Number(form.year),
+    form.studyPeriod,
+  )
+  const formCalendar = normalizeTeachingCalendar({
+    ...calendarForm,
+    nonTeaching: calendarForm.nonTeaching.filter(isRangeFilled),
+    year: Number(form.year),
+    studyPeriod: form.studyPeriod,
+  })
+  const teachingWeeks = getTeachingWeeks(formCalendar)
+
+  const updatePeriod = (updates) => {
+    const next = { ...form, ...updates }
+    setForm(next)
+    if (!calendarEdited) {
+      setCalendarForm(
+        toCalendarForm(getDefaultCalendar(teachingCalendars, Number(next.year), next.studyPeriod)),
+      )
+    }
+  }
+
+  const updateCalendar = (updates) => {
+    setCalendarEdited(true)
+    setCalendarForm((prev) => ({ ...prev, ...updates }))
+  }
+
+  const updateNonTeaching = (index, range) => {
+    updateCalendar({
+      nonTeaching: calendarForm.nonTeaching.map((entry, position) =>
+        position === index ? range : entry,
+      ),
+    })
+  }
+
+  const resetCalendar = () => {
+    setCalendarEdited(false)
+    setCalendarForm(toCalendarForm(defaultCalendar))
+  }
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    const yearNumber = Number(form.year)
+    if (!Number.isInteger(yearNumber) || yearNumber < 2000 || yearNumber > 2100) {
+      setError('Enter a valid year.')
+      return
+    }
+    if (!STUDY_PERIODS.includes(form.studyPeriod)) {
+      setError('Please choose a study period.')
+      return
+    }
+
+    const hasDuplicate = semesters.some(
+      (existing) =>
+        Number(existing.year) === yearNumber &&
+        existing.studyPeriod === form.studyPeriod &&
+        existing.id !== semester?.id,
+    )
+    if (hasDuplicate) {
+      setError('This semester already exists.')
+      return
+    }
+
+    const ranges = [...calendarForm.nonTeaching, calendarForm.swotvac, calendarForm.exams]
+    if (
+      (calendarForm.teachingStart && !formCalendar) ||
+      (!calendarForm.teachingStart && ranges.some(isRangeFilled)) ||
+      !ranges.every(isRangeValid)
+    ) {
+      setError('Check the teaching calendar: each period needs a start and an end, in order.')
+      return
+    }
+
+    // Only a calendar that differs from the university's is stored.
+    const customised =
+      formCalendar && toComparable(formCalendar) !== toComparable(defaultCalendar)
+    onSave({
+      id: semester?.id || createId(),
+      year: yearNumber,
+      studyPeriod: form.studyPeriod,
+      teachingCalendar: customised
+        ? {
+            teachingStart: formCalendar.teachingStart,
+            teachingWeeks: formCalendar.teachingWeeks,
+            nonTeaching: formCalendar.nonTeaching,
+            swotvac: formCalendar.swotvac,
+            exams: formCalendar.exams,
+          }
+        : null,
+      mode,
+    })
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/30 px-4 backdrop-blur-sm overscroll-contain">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="semester-modal-title"
+        aria-describedby="semester-modal-description"
+        className="max-h-[90vh] w-full max-w-lg overflow-y-auto rounded-3xl border border-white/50 bg-white/80 p-6 shadow-glass backdrop-blur-md"
+      >
+        <div className="flex items-start justify-between">
+          <div>
+            <h3
+              id="semester-modal-title"
+              className="text-lg font-semibold text-slate-700"
+            >
+              {mode === 'edit' ? 'Edit Semester' : 'Add Semester'}
+            </h3>
+            <p id="semester-modal-description" className="text-xs text-slate-400">
+              Courses and assessments are grouped by year and study period.
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-full bg-white px-3 py-1 text-xs font-semibold text-slate-500 shadow-neu"
+          >
+            Close
+          </button>
+        </div>
+
+        <form className="mt-5 flex flex-col gap-4" onSubmit={handleSubmit}>
+          <div className="grid gap-4 md:grid-cols-2">
+            <label className="text-xs font-semibold text-slate-500">
+              Year
+              <input
+                name="semesterYear"
+                type="number"
+                min="2000"
+                max="2100"
+                step="1"
+                value={form.year}
+                onChange={(event) => updatePeriod({ year: event.target.value })}
+                inputMode="numeric"
+                autoComplete="off"
+                className="mt-2 w-full rounded-2xl bg-white/70 px-4 py-2 text-sm text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+              />
+            </label>
+
+            <label className="text-xs font-semibold text-slate-500">
+              Study period
+              <select
+                name="studyPeriod"
+                value={form.studyPeriod}
+                onChange={(event) => updatePeriod({ studyPeriod: event.target.value })}
+                autoComplete="off"
+                className="mt-2 w-full rounded-2xl bg-white/70 px-4 py-2 text-sm text-slate-700 shadow-neu focus:outline-none focus-visible:ring-2 focus-visible:ring-accent/40"
+              >
+                {STUDY_PERIODS.map((period) => (
+                  <option key={period} value={period}>
+                    {period}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="rounded-2xl bg-white/70 p-4 shadow-neu">
+            <div className="flex items-center justify-between gap-3">
+              <p className="text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
+                Teaching calendar
+              </p>
+              {calendarEdited && defaultCalendar && (
+                <button
+                  type="button"
+                  onClick={resetCalendar}
+                  className="rounded-full bg-white px-3 py-1 text-[11px] font-semibold text-slate-500 shadow-neu"
+                >
+                  Use university dates
+                </button>
+              )}
+            </div>
+            <p className="mt-1 text-[11px] text-slate-400">
+              Handbook timings such as “Week 6” or “exam period” are dated from this.
+            </p>
+            <div className="mt-3 grid grid-cols-2 gap-3">
+              <label className="text-[11px] font-semibold text-slate-500">
+                Week 1 starts
+                <input
+                  name="teachingStart"
+                  type="date"
+                  value={calendarForm.teachingStart}
+                  onChange={(event) => updateCalendar({ teachingStart: event.target.value })}
+                  className={DATE_INPUT_CLASS}
+                />
+              </label>
+              <label className="text-[11px] font-semibold text-slate-500">
+                Teaching weeks
+                <input
+                  name="teachingWeeks"
+                  type="number"
+                  min="1"
+                  max="52"
+                  step="1"
+                  value={calendarForm.teachingWeeks}
+                  onChange={(event) => updateCalendar({ teachingWeeks: event.target.value })}
+                  inputMode="numeric"
+                  className={DATE_INPUT_CLASS}
+                />
+              </label>
+            </div>
+            <div className="mt-3 space-y-2">
+              {calendarForm.nonTeaching.map((range, index) => (
+                <div key={index} className="flex items-end gap-2">
+                  <div className="flex-1">
+                    <RangeInputs
+                      name={`nonTeaching${index}`}
+                      label={range.label || 'Non-teaching period'}
+                      range={range}
+                      onChange={(next) => updateNonTeaching(index, next)}
+                    />
+                  </div>
+                  {calendarForm.nonTeaching.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() =>
+                        updateCalendar({
+                          nonTeaching: calendarForm.nonTeaching.filter(
+                            (_, position) => position !== index,
+                          ),
+                        })
+                      }
+                      aria-label="Remove non-teaching period"
+                      className="rounded-full bg-white px-2 py-1 text-[11px] font-semibold text-slate-400 shadow-neu"
+                    >
+                      ✕
+                    </button>
+                  )}
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() =>
+                  updateCalendar({ nonTeaching: [...calendarForm.nonTeaching, EMPTY_RANGE] })
+                }
+                className="text-[11px] font-semibold text-accent"
+              >
+                + Add non-teaching period
+              </button>
+            </div>
+            <div className="mt-3 grid gap-3 md:grid-cols-2">
+              <RangeInputs
+                name="swotvac"
+                label="SWOTVAC"
+                range={calendarForm.swotvac}
+                onChange={(swotvac) => updateCalendar({ swotvac })}
+              />
+              <RangeInputs
+                name="exams"
+                label="Exam period"
+                range={calendarForm.exams}
+                onChange={(exams) => updateCalendar({ exams })}
+              />
+            </div>
+            <p className="mt-3 text-[11px] text-slate-400">
+              {teachingWeeks.length
+                ? `Week 1 runs ${formatDateShort(teachingWeeks[0].start)}–${formatDateShort(
+                    teachingWeeks[0].end,
+                  )}; week ${teachingWeeks.length} ends ${formatDateShort(
+                    teachingWeeks[teachingWeeks.length - 1].end,
+                  )}.`
+                : 'No calendar for this study period yet. Enter the week 1 start date.'}
+            </p>
+          </div>
+
+          {error && (
+            <p
+              role="alert"
+              className="rounded-2xl bg-red-100/70 px-3 py-2 text-xs text-red-500"
+            >
+              {error}
+            </p>
+          )}
+
+          <div className="flex items-center justify-between">
+            {mode === 'edit' && semester && (
+              <button
+                type="button"
+                onClick={() => onDelete(semester.id)}
+                disabled={courseCount > 0}
+                title={
+                  courseCount > 0
+                    ? 'Remove the courses in this semester first.'
+                    : undefined
+                }
+                className="rounded-2xl bg-white px-4 py-2 text-xs font-semibold text-red-500 shadow-neu disabled:cursor-not-allowed disabled:opacity-50"
+              >
+                Delete
+              </button>
+            )}
+            <div className="ml-auto flex items-center gap-2">
+              <button
+                type="button"
+                onClick={onClose}
+                className="rounded-2xl bg-white px-4 py-2 text-xs font-semibold text-slate-500 shadow-neu"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="rounded-2xl bg-accent px-5 py-2 text-xs font-semibold text-white shadow-neu"
+              >
+                {mode === 'edit' ? 'Save Changes' : 'Add Semester'}
+              </button>
+            </div>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
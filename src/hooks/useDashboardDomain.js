@@ -18,8 +18,93 @@ import {
   signInWithEmailAndPassword,
   signOut,
 } from 'firebase/auth'
-import { doc, getDoc, setDoc } from 'firebase/firestore'
 import { auth, db, hasFirebaseConfig } from '../lib/firebase'
+import {
+  CALENDAR_VIEWS,
+  DEFAULT_REMINDER_SETTINGS,
+  DEFAULT_SETTINGS,
+  GROUP_RULES,
+  MAX_COURSES,
+  PLANNER_MODES,
+  SCORE_DISPLAYS,
+  STUDY_PERIODS,
+  WAM_GOAL_SCOPES,
+  assessmentSignature,
+  createId,
+  formatSemesterLabel,
+  getAssessmentPercent,
+  getAssessmentProgress,
+  getDueAt,
+  getDueSortKey,
+  getGroupCountedSlots,
+  hasDueWindow,
+  hasRawMarks,
+  inferAssessmentType,
+  isAssessmentGroup,
+  normalizeCourseCode,
+  normalizeText,
+  sortByDueDate,
+  summarizeGroupItems,
+  toNumberOrNull,
+} from '../lib/domain'
+import {
+  SYNC_STATUSES,
+  applySyncOps,
+  coalesceOps,
+  createEmptySyncMeta,
+  diffSyncState,
+  normalizeSyncMeta,
+  pickSyncData,
+  pruneTombstones,
+  removeFlushedOps,
+} from '../lib/sync'
+import { createFirebaseAdapter, createLocalAdapter, createRestAdapter } from '../lib/storage'
+import { buildCalendar, getCalendarEvents, parseCalendar } from '../lib/ics'
+import {
+  buildHandbookSearchIndex,
+  getHandbookSearchFacets,
+  searchHandbook,
+} from '../lib/handbookSearch'
+import {
+  BACKUP_IMPORT_MODES,
+  buildAssessmentsCsv,
+  createBackupBundle,
+  planBackupImport,
+} from '../lib/backup'
+import { applyCalendarImportRows, planCalendarImport } from '../lib/calendarImport'
+import {
+  describeTeachingDate,
+  findTeachingCalendar,
+  getSemesterTeachingCalendar,
+  isTeachingTimingText,
+  normalizeTeachingCalendar,
+  resolveTeachingTiming,
+} from '../lib/teachingCalendar'
+import { getClassSessionsByDate, getTimetableClashes } from '../lib/timetable'
+import {
+  DEFAULT_TIMEZONE,
+  formatTimeLabel,
+  getLocalTimezone,
+  getTimezoneAbbreviation,
+  getZonedParts,
+  resolveTimezone,
+  zonedTimeToDate,
+} from '../lib/timezone'
+import {
+  USER_DATA_API_BASE,
+  fetchCalendarFeedUrl,
+  fetchSelfHostedUser,
+  hasSelfHostedApi,
+  signInSelfHosted,
+  signOutSelfHosted,
+  toSessionUser,
+} from '../lib/selfHostedAuth'
+import { checkReminders, publishReminderSchedule } from '../lib/notifications'
+import {
+  applyCachedHandbookDelta,
+  readCachedHandbook,
+  writeCachedHandbook,
+} from '../lib/handbookCache'
 
 export const COURSE_COLORS = [
   { name: 'Soft Blue', value: '#7aa2f7' },
@@ -40,10 +125,31 @@ export const ASSESSMENT_TYPES = [
   'Project',
 ]
 
-export const MAX_COURSES = 8
+export const GRADE_BANDS = [
+  { grade: 'H1', min: 80 },
+  { grade: 'H2A', min: 75 },
+  { grade: 'H2B', min: 70 },
+  { grade: 'H3', min: 65 },
+  { grade: 'P', min: 50 },
+  { grade: 'N', min: 0 },
+]
+
+// Offsets are minutes before the deadline.
+export const REMINDER_OFFSETS = [
+  { value: 7 * 24 * 60, label: '1 week before', dueLabel: 'Due in 1 week' },
+  { value: 3 * 24 * 60, label: '3 days before', dueLabel: 'Due in 3 days' },
+  { value: 24 * 60, label: '1 day before', dueLabel: 'Due tomorrow' },
+  { value: 2 * 60, label: '2 hours before', dueLabel: 'Due in 2 hours' },
+  { value: 30, label: '30 minutes before', dueLabel: 'Due in 30 minutes' },
+]
+
 export const DUE_SOON_DAYS = 7
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+export const DEFAULT_HURDLE_THRESHOLD = 50
 
 const HANDBOOK_DATA_URL = '/data/handbook-2026-s1.json'
+const TEACHING_CALENDAR_URL = '/teaching-calendars.json'
 
 const HANDBOOK_API_BASE = (import.meta.env.VITE_HANDBOOK_API_BASE || '').trim()
 const hasHandbookApi = Boolean(HANDBOOK_API_BASE)
@@ -52,12 +158,29 @@ const buildApiUrl = (path) =>
     ? `${HANDBOOK_API_BASE.replace(/\/$/, '')}${path}`
     : path
 
+const DEFAULT_HANDBOOK_FILTERS = {
+  creditPoints: '',
+  studyPeriod: '',
+  level: '',
+}
+// Pause before asking /api/handbook/search while the user is still typing.
+const HANDBOOK_SEARCH_DEBOUNCE_MS = 250
+
 const STORAGE_KEYS = {
+  semesters: 'unitracker-semesters',
+  activeSemester: 'unitracker-active-semester',
   courses: 'unitracker-courses',
   assessments: 'unitracker-assessments',
   wamGoal: 'unitracker-wam-goal',
+  wamGoalScope: 'unitracker-wam-goal-scope',
+  settings: 'unitracker-settings',
   handbookMeta: 'unitracker-handbook-meta',
+  syncCache: 'unitracker-sync-cache',
+  localData: 'unitracker-local-data',
+  guestMode: 'unitracker-guest-mode',
+  selfHostedSession: 'unitracker-self-hosted-session',
   handbookCacheLegacy: 'unitracker-handbook-cache',
+  teachingCalendars: 'unitracker-teaching-calendars',
 }
 
 export const AUTH_VIEWS = {
@@ -65,11 +188,6 @@ export const AUTH_VIEWS = {
   signUp: 'sign-up',
 }
 
-export const createId = () =>
-  typeof crypto !== 'undefined' && crypto.randomUUID
-    ? crypto.randomUUID()
-    : `${Date.now()}-${Math.random().toString(16).slice(2)}`
-
 const loadLocal = (key, fallback) => {
   if (typeof window === 'undefined') return fallback
   try {
@@ -99,12 +217,103 @@ const removeLocal = (key) => {
   }
 }
 
-const fetchJson = async (url, options = {}) => {
-  const response = await fetch(url, { cache: 'no-store', ...options })
+const SYNC_RETRY_MS = 30000
+
+const getSyncCacheKey = (sessionKey) => `${STORAGE_KEYS.syncCache}-${sessionKey}`
+
+const GUEST_USER_ID = 'guest'
+
+const localAdapter = createLocalAdapter({ storageKey: STORAGE_KEYS.localData })
+const firebaseAdapter = hasFirebaseConfig && db ? createFirebaseAdapter({ db }) : null
+const restAdapter = hasSelfHostedApi
+  ? createRestAdapter({
+      baseUrl: USER_DATA_API_BASE,
+      getToken: () => loadLocal(STORAGE_KEYS.selfHostedSession, null)?.token || '',
+    })
+  : null
+// A self-hosted API takes over accounts and storage from Firebase.
+const accountAdapter = restAdapter || firebaseAdapter
+
+const isBrowserOffline = () =>
+  typeof navigator !== 'undefined' && navigator.onLine === false
+
+const createEmptyUserData = () => ({
+  semesters: [],
+  activeSemesterId: '',
+  courses: [],
+  assessments: [],
+  wamGoal: '',
+  wamGoalScope: WAM_GOAL_SCOPES.semester,
+  settings: DEFAULT_SETTINGS,
+})
+
+const hasUserData = (data) =>
+  Boolean(data.courses.length || data.assessments.length || data.wamGoal)
+
+// Guest data used to live in one localStorage key per field.
+const loadLegacyLocalData = () => ({
+  semesters: loadLocal(STORAGE_KEYS.semesters, []),
+  activeSemesterId: loadLocal(STORAGE_KEYS.activeSemester, ''),
+  courses: loadLocal(STORAGE_KEYS.courses, []),
+  assessments: loadLocal(STORAGE_KEYS.assessments, []),
+  wamGoal: loadLocal(STORAGE_KEYS.wamGoal, ''),
+  wamGoalScope: loadLocal(STORAGE_KEYS.wamGoalScope, WAM_GOAL_SCOPES.semester),
+  settings: { ...DEFAULT_SETTINGS, ...loadLocal(STORAGE_KEYS.settings, {}) },
+})
+
+const loadGuestData = () => {
+  const stored = localAdapter.read(GUEST_USER_ID)
+  return stored ? fromRemoteDoc(stored) : loadLegacyLocalData()
+}
+
+const createSyncSession = () => ({
+  base: null,
+  queue: [],
+  shadow: null,
+  inFlight: false,
+  again: false,
+  lastSyncedAt: null,
+})
+
+const fromRemoteDoc = (data) => ({
+  semesters: data.semesters ?? [],
+  activeSemesterId: data.active_semester_id ?? '',
+  courses: data.courses ?? [],
+  assessments: data.assessments ?? [],
+  wamGoal: data.wam_goal ?? '',
+  wamGoalScope: data.wam_goal_scope ?? WAM_GOAL_SCOPES.semester,
+  settings: { ...DEFAULT_SETTINGS, ...(data.settings ?? {}) },
+  meta: normalizeSyncMeta(data.sync_meta),
+})
+
+const toRemoteDoc = (state) => ({
+  semesters: state.semesters,
+  active_semester_id: state.activeSemesterId,
+  courses: state.courses,
+  assessments: state.assessments,
+  wam_goal: state.wamGoal,
+  wam_goal_scope: state.wamGoalScope,
+  settings: state.settings,
+  sync_meta: state.meta,
+  updated_at: new Date().toISOString(),
+})
+
+const toEtag = (version) => `"${version}"`
+
+// Conditional GET: resolves to { notModified: true } on 304, otherwise to the
+// parsed body and its ETag.
+const fetchIfChanged = async (url, etag) => {
+  const response = await fetch(url, {
+    cache: 'no-store',
+    headers: etag ? { 'If-None-Match': etag } : {},
+  })
+  if (response.status === 304) return { notModified: true }
   if (!response.ok) {
-    throw new Error(`Request failed: ${response.status}`)
+    const error = new Error(`Request failed: ${response.status}`)
+    error.status = response.status
+    throw error
   }
-  return response.json()
+  return { payload: await response.json(), etag: response.headers.get('ETag') }
 }
 
 const parseDateValue = (value) => {
@@ -120,13 +329,33 @@ const parseDateValue = (value) => {
   return isValid(fallbackCandidate) ? fallbackCandidate : null
 }
 
-export const formatDateShort = (value) => {
+// The zone is only spelled out when it differs from the viewer's own.
+const formatZonedTime = (date, time, timezone) => {
+  const timeLabel = formatTimeLabel(time)
+  if (!timeLabel) return ''
+  const zone = resolveTimezone(timezone)
+  if (zone === getLocalTimezone()) return timeLabel
+  const dueAt = date ? zonedTimeToDate(date, time, zone) : null
+  return `${timeLabel} ${getTimezoneAbbreviation(zone, dueAt || new Date())}`
+}
+
+export const formatDateShort = (value, time = '', timezone = '') => {
   if (!value) return 'No date'
   const parsed = parseDateValue(value)
   if (!parsed) return String(value)
-  return format(parsed, 'MMM d')
+  const dateLabel = format(parsed, 'MMM d')
+  const timeLabel = formatZonedTime(value, time, timezone)
+  return timeLabel ? `${dateLabel} · ${timeLabel}` : dateLabel
 }
 
+export const formatDueDate = (item) => {
+  const due = formatDateShort(item?.dueDate, item?.dueTime, item?.timezone)
+  return hasDueWindow(item) ? `${formatDateShort(item.startDate)} – ${due}` : due
+}
+
+export const formatDueTime = (item) =>
+  formatZonedTime(item?.dueDate, item?.dueTime, item?.timezone)
+
 export const formatDateTime = (value) => {
   if (!value) return '--'
   const parsed = parseDateValue(value)
@@ -150,14 +379,40 @@ export const getSafeDisplayName = (user) => {
   )
 }
 
-export const toNumberOrNull = (value) => {
-  if (value === '' || value === null || value === undefined) return null
-  const numberValue = Number(value)
-  return Number.isFinite(numberValue) ? numberValue : null
+export const compareSemesters = (a, b) =>
+  Number(a.year) - Number(b.year) ||
+  STUDY_PERIODS.indexOf(a.studyPeriod) - STUDY_PERIODS.indexOf(b.studyPeriod)
+
+export const sortSemesters = (items) =>
+  Array.prototype.toSorted ? items.toSorted(compareSemesters) : [...items].sort(compareSemesters)
+
+const getSemesterForDate = (date) => ({
+  year: date.getFullYear(),
+  studyPeriod: date.getMonth() < 6 ? 'Semester 1' : 'Semester 2',
+})
+
+// Derived from the period rather than random, so devices that migrate the
+// same data offline create the same semester record and it merges on sync.
+const getFallbackSemester = (date) => {
+  const semester = getSemesterForDate(date)
+  return {
+    id: `semester-${semester.year}-${semester.studyPeriod.toLowerCase().replace(/\s+/g, '-')}`,
+    ...semester,
+  }
 }
 
-export const normalizeCourseCode = (value) =>
-  value ? value.replace(/\s+/g, '').toUpperCase() : ''
+// The date that places unfiled courses: the earliest due date among their
+// assessments, so every device holding the same data picks the same period.
+// Today only stands in when none of them has a date.
+const getFallbackSemesterDate = (courses, assessments) => {
+  const courseIds = new Set(courses.map((course) => course.id))
+  const [earliest] = assessments
+    .filter((assessment) => courseIds.has(assessment.courseId) && assessment.dueDate)
+    .map((assessment) => parseISO(assessment.dueDate))
+    .filter(isValid)
+    .sort((a, b) => a - b)
+  return earliest || new Date()
+}
 
 export const getColorFromCode = (code) => {
   if (!code) return COURSE_COLORS[0].value
@@ -168,39 +423,193 @@ export const getColorFromCode = (code) => {
   return COURSE_COLORS[hash].value
 }
 
-export const sortByDueDate = (items) => {
-  const sorter = (a, b) => (a.dueDate || '').localeCompare(b.dueDate || '')
-  return Array.prototype.toSorted ? items.toSorted(sorter) : [...items].sort(sorter)
+// `daysUntil` counts calendar days in the item's zone, like getDueAt, so "due
+// tomorrow" means tomorrow where the deadline is; `hoursUntil` is only
+// meaningful within the last day, where the countdown switches to hours.
+const getDueCountdown = (item, now = Date.now()) => {
+  const dueAt = getDueAt(item)
+  if (!dueAt || !isValid(dueAt)) return null
+  const dueDay = parseISO(item.dueDate)
+  if (!isValid(dueDay)) return null
+  const today = parseISO(getZonedParts(new Date(now), item.timezone).date)
+  const msUntil = dueAt.getTime() - now
+  return {
+    dueAt,
+    msUntil,
+    hoursUntil: msUntil / HOUR_MS,
+    daysUntil: differenceInCalendarDays(dueDay, today),
+  }
 }
 
-const getDaysUntilDue = (value) => {
-  if (!value) return null
-  try {
-    const dueDate = parseISO(value)
-    if (!isValid(dueDate)) return null
-    return differenceInCalendarDays(dueDate, new Date())
-  } catch {
-    return null
+export const getReminderSettings = (settings) => ({
+  ...DEFAULT_REMINDER_SETTINGS,
+  ...(settings?.reminders || {}),
+})
+
+// Everything the service worker needs to notify without the page: one entry
+// per pending item and offset, plus the pending items a daily digest is built
+// from. It depends on the data alone; the worker compares the times against
+// its clock, skips what is long past and works out each day's digest. Entry
+// ids include the deadline, so moving a due date re-arms its reminders.
+export const buildReminderSchedule = ({ courses, assessments, reminders }) => {
+  if (!reminders.enabled) return { entries: [], digest: null }
+  const courseMap = new Map(courses.map((course) => [course.id, course]))
+  const offsets = REMINDER_OFFSETS.filter((offset) => reminders.offsets.includes(offset.value))
+  const pending = getScheduledItems(assessments.filter((assessment) => !assessment.remindersMuted))
+    .filter((item) => !item.completed && item.dueDate)
+    .map((item) => ({ item, dueAt: getDueAt(item) }))
+    .filter(({ dueAt }) => dueAt && isValid(dueAt))
+    .sort((a, b) => a.dueAt - b.dueAt)
+  const describe = (item) => {
+    const code = courseMap.get(item.courseId)?.code || 'Course'
+    const title = item.groupTitle ? `${item.groupTitle}: ${item.title}` : item.title
+    return `${code} · ${title}`
+  }
+
+  const entries = pending
+    .flatMap(({ item, dueAt }) =>
+      offsets.map((offset) => ({
+        id: `${item.id}:${offset.value}:${dueAt.toISOString()}`,
+        at: new Date(dueAt.getTime() - offset.value * 60 * 1000).toISOString(),
+        title: `${offset.dueLabel}: ${describe(item)}`,
+        body: `Due ${formatDueDate(item)}${item.weight ? ` · ${item.weight}% of the course` : ''}`,
+        tag: item.id,
+      })),
+    )
+    .sort((a, b) => a.at.localeCompare(b.at))
+
+  const digest = reminders.digest
+    ? {
+        time: reminders.digestTime || '08:00',
+        windowDays: DUE_SOON_DAYS,
+        items: pending.map(({ item, dueAt }) => ({
+          dueAt: dueAt.toISOString(),
+          label: `${describe(item)} (${formatDueDate(item)})`,
+        })),
+      }
+    : null
+
+  return { entries, digest }
+}
+
+export const formatDueCountdown = ({ msUntil, daysUntil }) => {
+  const hours = Math.floor(Math.abs(msUntil) / HOUR_MS)
+  const minutes = Math.max(1, Math.floor(Math.abs(msUntil) / 60000))
+  if (msUntil < 0) {
+    if (hours >= 24) return `${Math.max(1, Math.abs(daysUntil))}d overdue`
+    return hours ? `${hours}h overdue` : `${minutes}m overdue`
+  }
+  if (msUntil < DAY_MS) return hours ? `Due in ${hours}h` : `Due in ${minutes}m`
+  return daysUntil <= 0 ? 'Due today' : `Due in ${daysUntil}d`
+}
+
+// Flattens groups into their children so each quiz lands on its own due date.
+export const getScheduledItems = (assessments) =>
+  assessments.flatMap((assessment) => {
+    if (!isAssessmentGroup(assessment)) return [assessment]
+    const slots = getGroupCountedSlots(assessment)
+    const itemWeight = slots ? Number((Number(assessment.weight || 0) / slots).toFixed(2)) : 0
+    return assessment.items.map((item) => ({
+      ...item,
+      timezone: item.timezone || assessment.timezone,
+      courseId: assessment.courseId,
+      type: assessment.type,
+      weight: itemWeight,
+      groupId: assessment.id,
+      groupTitle: assessment.title,
+    }))
+  })
+
+export const formatAssessmentScore = (assessment, display = SCORE_DISPLAYS.percent) => {
+  if (display === SCORE_DISPLAYS.raw && hasRawMarks(assessment)) {
+    return `${Number(assessment.pointsEarned)} / ${Number(assessment.pointsPossible)}`
   }
+  const percent = getAssessmentPercent(assessment)
+  if (percent === null) return '--%'
+  return `${Number.isInteger(percent) ? percent : percent.toFixed(1)}%`
+}
+
+// The raw-marks view of a course: course marks (out of 100) earned on graded
+// work against the marks that work was worth, e.g. 34.5 of 45 so far.
+export const getCourseMarksEarned = (assessments) => {
+  let available = 0
+  let earned = 0
+  assessments.forEach((assessment) => {
+    const progress = getAssessmentProgress(assessment)
+    available += progress.completedWeight
+    earned += progress.completedScoreSum / 100
+  })
+  return available ? { earned, available } : null
 }
 
 export const getCourseAverage = (assessments) => {
-  const completed = assessments.filter(
-    (assessment) => assessment.completed && assessment.score !== null,
-  )
-  const totalWeight = completed.reduce(
-    (sum, assessment) => sum + Number(assessment.weight || 0),
-    0,
-  )
+  let totalWeight = 0
+  let weightedScore = 0
+  assessments.forEach((assessment) => {
+    const progress = getAssessmentProgress(assessment)
+    totalWeight += progress.completedWeight
+    weightedScore += progress.completedScoreSum
+  })
   if (!totalWeight) return null
-  const weightedScore = completed.reduce(
-    (sum, assessment) =>
-      sum + Number(assessment.score || 0) * Number(assessment.weight || 0),
-    0,
-  )
   return weightedScore / totalWeight
 }
 
+export const getGradeBand = (mark) => {
+  const value = toNumberOrNull(mark)
+  if (value === null) return null
+  return GRADE_BANDS.find((band) => value >= band.min)?.grade || 'N'
+}
+
+export const isCourseFinalised = (course) =>
+  course?.finalMark !== null && course?.finalMark !== undefined
+
+export const getHurdleStatus = (assessment) => {
+  if (!assessment?.hurdle) return null
+  const threshold = toNumberOrNull(assessment.hurdleThreshold) ?? DEFAULT_HURDLE_THRESHOLD
+  const percent = getAssessmentPercent(assessment)
+  if (assessment.completed && percent !== null) {
+    return percent >= threshold ? 'passed' : 'failed'
+  }
+  if (isAssessmentGroup(assessment)) {
+    const { completedWeight, completedScoreSum, remainingWeight } =
+      getAssessmentProgress(assessment)
+    const weight = completedWeight + remainingWeight
+    if (weight && !remainingWeight) {
+      return percent >= threshold ? 'passed' : 'failed'
+    }
+    const bestAchievable = weight ? (completedScoreSum + remainingWeight * 100) / weight : 100
+    return bestAchievable < threshold ? 'unreachable' : 'pending'
+  }
+  return threshold > 100 ? 'unreachable' : 'pending'
+}
+
+export const getHurdleIssues = (assessments) =>
+  assessments.reduce((issues, assessment) => {
+    const status = getHurdleStatus(assessment)
+    if (status === 'failed' || status === 'unreachable') {
+      issues.push({ assessment, status })
+    }
+    return issues
+  }, [])
+
+export const getCreditWeightedAverage = (courses, getMark) => {
+  let weightedSum = 0
+  let totalCredits = 0
+  courses.forEach((course) => {
+    const mark = getMark(course)
+    if (mark === null || mark === undefined || Number.isNaN(mark)) return
+    const credits = Number(course.creditPoints || 0)
+    if (!credits) return
+    weightedSum += mark * credits
+    totalCredits += credits
+  })
+  return {
+    wam: totalCredits ? weightedSum / totalCredits : null,
+    weightedSum,
+    totalCredits,
+  }
+}
+
 export const getGoalRequirement = (assessments, target) => {
   const targetValue = toNumberOrNull(target)
   let completedWeight = 0
@@ -208,16 +617,10 @@ export const getGoalRequirement = (assessments, target) => {
   let completedScoreSum = 0
 
   assessments.forEach((assessment) => {
-    const weight = Number(assessment.weight || 0)
-    if (!weight) return
-    const scored =
-      assessment.completed && assessment.score !== null && assessment.score !== undefined
-    if (scored) {
-      completedWeight += weight
-      completedScoreSum += Number(assessment.score || 0) * weight
-    } else {
-      remainingWeight += weight
-    }
+    const progress = getAssessmentProgress(assessment)
+    completedWeight += progress.completedWeight
+    completedScoreSum += progress.completedScoreSum
+    remainingWeight += progress.remainingWeight
   })
 
   const totalWeight = completedWeight + remainingWeight
@@ -265,14 +668,192 @@ export const getGoalRequirement = (assessments, target) => {
   }
 }
 
+// Pending items a what-if simulation can assign a score to. Group children are
+// listed individually so each quiz can get its own hypothetical mark.
+export const getSimulatableItems = (assessments) =>
+  assessments.flatMap((assessment) => {
+    if (isAssessmentGroup(assessment)) {
+      const slots = getGroupCountedSlots(assessment)
+      const itemWeight = slots ? Number(assessment.weight || 0) / slots : 0
+      return assessment.items
+        .filter((item) => !item.completed)
+        .map((item) => ({
+          id: item.id,
+          title: item.title,
+          type: assessment.type,
+          dueDate: item.dueDate || '',
+          dueTime: item.dueTime || '',
+          timezone: item.timezone || assessment.timezone || '',
+          groupId: assessment.id,
+          groupTitle: assessment.title,
+          weight: itemWeight,
+        }))
+    }
+    if (assessment.completed) return []
+    return [
+      {
+        id: assessment.id,
+        title: assessment.title,
+        type: assessment.type,
+        dueDate: assessment.dueDate || '',
+        dueTime: assessment.dueTime || '',
+        timezone: assessment.timezone || '',
+        weight: Number(assessment.weight || 0),
+      },
+    ]
+  })
+
+// Average percentage per assessment type across every graded item on record.
+export const getTypePerformance = (assessments) => {
+  const totals = new Map()
+  let overallSum = 0
+  let overallCount = 0
+  getScheduledItems(assessments).forEach((assessment) => {
+    const percent = getAssessmentPercent(assessment)
+    if (!assessment.completed || percent === null) return
+    const entry = totals.get(assessment.type) || { sum: 0, count: 0 }
+    entry.sum += percent
+    entry.count += 1
+    totals.set(assessment.type, entry)
+    overallSum += percent
+    overallCount += 1
+  })
+  const byType = new Map()
+  totals.forEach((entry, type) => byType.set(type, entry.sum / entry.count))
+  return {
+    byType,
+    overall: overallCount ? overallSum / overallCount : null,
+  }
+}
+
+// Spreads the required average over the remaining items. In history mode each
+// item is shifted by how far its type usually sits from the overall average,
+// then re-centred so the weighted total still lands exactly on the goal.
+export const getScorePlan = (assessments, target, { mode, performance } = {}) => {
+  const goalStats = getGoalRequirement(assessments, target)
+  if (goalStats.status !== 'active') return { ...goalStats, items: [] }
+
+  // A best-N group has only its open slots left to give, however many
+  // children are pending, so that weight is spread across them.
+  const groupShares = new Map(
+    assessments.filter(isAssessmentGroup).map((group) => {
+      const pending = group.items.filter((item) => !item.completed).length
+      return [group.id, pending ? getAssessmentProgress(group).remainingWeight / pending : 0]
+    }),
+  )
+  const items = getSimulatableItems(assessments)
+    .map((item) =>
+      item.groupId
+        ? { ...item, weight: Math.min(item.weight, groupShares.get(item.groupId) || 0) }
+        : item,
+    )
+    .filter((item) => item.weight > 0)
+  const totalWeight = items.reduce((sum, item) => sum + item.weight, 0)
+  const useHistory =
+    mode === PLANNER_MODES.history && Boolean(performance) && performance.overall !== null
+  const offsets = items.map((item) => {
+    if (!useHistory) return 0
+    const typeAverage = performance.byType.get(item.type)
+    return typeAverage === undefined ? 0 : typeAverage - performance.overall
+  })
+  const meanOffset = totalWeight
+    ? items.reduce((sum, item, index) => sum + offsets[index] * item.weight, 0) / totalWeight
+    : 0
+  const targets = offsets.map((offset) => goalStats.required + offset - meanOffset)
+
+  // Clamp to 0-100 and push any overflow onto the items that still have room.
+  for (let pass = 0; pass < 5; pass += 1) {
+    let overflow = 0
+    let openWeight = 0
+    targets.forEach((value, index) => {
+      const clamped = Math.min(100, Math.max(0, value))
+      overflow += (value - clamped) * items[index].weight
+      targets[index] = clamped
+      if (clamped > 0 && clamped < 100) openWeight += items[index].weight
+    })
+    if (Math.abs(overflow) < 0.001 || !openWeight) break
+    targets.forEach((value, index) => {
+      if (value > 0 && value < 100) targets[index] = value + overflow / openWeight
+    })
+  }
+
+  return {
+    ...goalStats,
+    items: items.map((item, index) => ({ ...item, target: targets[index] })),
+  }
+}
+
+// A what-if score stands in for the item's mark. Stored raw marks would take
+// precedence over `score`, so they are cleared; the denominator is kept so
+// the item still shows out of its points.
+const withHypotheticalScore = (item, hypothetical) => ({
+  ...item,
+  score: hypothetical,
+  pointsEarned: null,
+  completed: true,
+})
+
+// Returns copies of the assessments with the hypothetical scores (keyed by
+// assessment or group item id) treated as graded. Nothing is persisted.
+export const applyHypotheticalScores = (assessments, scores) =>
+  assessments.map((assessment) => {
+    if (isAssessmentGroup(assessment)) {
+      const items = assessment.items.map((item) => {
+        const hypothetical = toNumberOrNull(scores[item.id])
+        if (item.completed || hypothetical === null) return item
+        return withHypotheticalScore(item, hypothetical)
+      })
+      return { ...assessment, items, completed: summarizeGroupItems(items).completed }
+    }
+    const hypothetical = toNumberOrNull(scores[assessment.id])
+    if (assessment.completed || hypothetical === null) return assessment
+    return withHypotheticalScore(assessment, hypothetical)
+  })
+
+export const SOLVE_ASSUMPTIONS = {
+  type: 'type',
+  course: 'course',
+  target: 'target',
+}
+
+// What a blank item is held at while another one is solved for: the usual
+// mark for its assessment type, else the course average so far, else the
+// target itself.
+const getAssumedScore = (item, { performance, courseAverage, target }) => {
+  const typeAverage = performance?.byType?.get(item.type)
+  if (typeAverage !== undefined) return { score: typeAverage, basis: SOLVE_ASSUMPTIONS.type }
+  if (courseAverage !== null) return { score: courseAverage, basis: SOLVE_ASSUMPTIONS.course }
+  return { score: target, basis: SOLVE_ASSUMPTIONS.target }
+}
+
+// Score needed on one pending item for the course to reach the target, given
+// the scores entered for the others. Items left blank are held at an assumed
+// score (see getAssumedScore) and returned as `assumptions` so the simulator
+// can say what the answer rests on. `no-effect` means the item cannot move
+// the mark, e.g. a best-N group whose counted slots are already filled.
+export const solveForAssessment = (assessments, scores, itemId, target, { performance } = {}) => {
+  const targetValue = toNumberOrNull(target)
+  if (targetValue === null) return { status: 'no-target', required: null, assumptions: [] }
+  const { [itemId]: _omitted, ...otherScores } = scores
+  const courseAverage = getCourseAverage(assessments)
+  const assumptions = getSimulatableItems(assessments)
+    .filter((item) => item.id !== itemId && toNumberOrNull(scores[item.id]) === null)
+    .map((item) => ({
+      ...item,
+      ...getAssumedScore(item, { performance, courseAverage, target: targetValue }),
+    }))
+  assumptions.forEach((item) => {
+    otherScores[item.id] = item.score
+  })
+  const stats = getGoalRequirement(applyHypotheticalScores(assessments, otherScores), targetValue)
+  if (stats.status !== 'active') return { status: 'no-effect', required: null, assumptions }
+  return { status: 'active', required: stats.required, assumptions }
+}
+
 const HANDBOOK_DESCRIPTION_FIELDS = [/description/i, /task/i, /assessment/i, /title/i, /name/i]
 const HANDBOOK_TIMING_FIELDS = [/timing/i, /due/i, /date/i, /week/i]
 const HANDBOOK_WEIGHT_FIELDS = [/percentage/i, /weight/i]
-
-const normalizeText = (value) =>
-  String(value ?? '')
-    .replace(/\s+/g, ' ')
-    .trim()
+const HANDBOOK_HURDLE_PATTERN = /\bhurdle\b/i
 
 const pickRowValue = (row, patterns) => {
   if (!row || typeof row !== 'object') return ''
@@ -296,7 +877,9 @@ const parseWeightFromText = (value) => {
 
 const parseDueDateFromText = (value, fallbackYear) => {
   const text = normalizeText(value)
-  if (!text) return ''
+  // Date.parse reads "Week 6" as June 2001; calendar phrases are left to
+  // resolveHandbookTiming.
+  if (!text || isTeachingTimingText(text)) return ''
   const normalized = text.replace(/\b(\d+)(st|nd|rd|th)\b/gi, '$1')
 
   const directMs = Date.parse(normalized)
@@ -316,6 +899,83 @@ const parseDueDateFromText = (value, fallbackYear) => {
   return format(candidate, 'yyyy-MM-dd')
 }
 
+// { dueDate, startDate, weeks } for a handbook timing cell. Calendar phrases
+// resolve against the semester's teaching calendar; anything else must name
+// a date.
+const resolveHandbookTiming = (value, fallbackYear, calendar) => {
+  const resolved = resolveTeachingTiming(value, calendar)
+  if (resolved) return resolved
+  return { dueDate: parseDueDateFromText(value, fallbackYear), startDate: '', weeks: [] }
+}
+
+const parseHurdleFromRow = (row) => {
+  if (!row || typeof row !== 'object') return null
+  const text = normalizeText(Object.values(row).join(' '))
+  if (!HANDBOOK_HURDLE_PATTERN.test(text)) return null
+  const thresholdMatch = text.match(
+    /(?:at least|minimum(?: of)?|min\.?|pass mark of|score of)\s*(\d+(?:\.\d+)?)\s*%/i,
+  )
+  return thresholdMatch ? Number(thresholdMatch[1]) : DEFAULT_HURDLE_THRESHOLD
+}
+
+const NUMBER_WORDS = {
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+}
+
+const parseCountWord = (value) => {
+  const text = String(value || '').toLowerCase()
+  return NUMBER_WORDS[text] ?? (Number(text) || null)
+}
+
+const HANDBOOK_GROUP_PATTERN =
+  /\b(\d{1,2}|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)\s+(?:[a-z-]+\s+){0,2}?(quizzes|quiz|tests|assignments|problem sets|worksheets|lab reports|labs|exercises|tutorial tasks|tasks|reports|submissions)\b/i
+
+const singularize = (value) =>
+  value
+    .replace(/zzes$/i, 'z')
+    .replace(/s$/i, '')
+    .replace(/^./, (letter) => letter.toUpperCase())
+
+// Detects rows such as "10 weekly quizzes (best 8 count)" and expands them
+// into a group with one child per item.
+const parseGroupFromText = (value) => {
+  const text = normalizeText(value)
+  const countMatch = text.match(HANDBOOK_GROUP_PATTERN)
+  if (!countMatch) return null
+  const total = parseCountWord(countMatch[1])
+  if (!total || total < 2 || total > 30) return null
+
+  const bestMatch = text.match(
+    /\bbest\s+(\d{1,2}|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)\b/i,
+  )
+  const dropMatch =
+    text.match(
+      /\b(?:drop(?:ping)?|exclud(?:e|ing))\s+(?:the\s+)?(?:lowest\s+)?(\d{1,2}|one|two|three)\b/i,
+    ) ||
+    text.match(/\blowest\s+(\d{1,2}|one|two|three)\b[^.]*?\b(?:dropped|excluded|discarded)\b/i)
+  const dropCount = dropMatch ? parseCountWord(dropMatch[1]) : null
+
+  let groupRule = { type: GROUP_RULES.all, count: null }
+  if (bestMatch && parseCountWord(bestMatch[1]) < total) {
+    groupRule = { type: GROUP_RULES.best, count: parseCountWord(bestMatch[1]) }
+  } else if (dropCount && dropCount < total) {
+    groupRule = { type: GROUP_RULES.dropLowest, count: dropCount }
+  }
+
+  return { total, itemLabel: singularize(countMatch[2]), groupRule }
+}
+
 const normalizeImportedTitle = (value) => {
   const text = normalizeText(value)
   if (!text) return 'Assessment'
@@ -327,18 +987,7 @@ const normalizeImportedTitle = (value) => {
   return source.length > 110 ? `${source.slice(0, 107)}...` : source
 }
 
-const inferAssessmentType = (title) => {
-  const text = normalizeText(title).toLowerCase()
-  if (/\bfinal\b/.test(text)) return 'Final'
-  if (/\bmid\s*-?\s*term\b|\bmidsemester\b|\bmid\s*-?\s*semester\b/.test(text)) {
-    return 'Midterm'
-  }
-  if (/\bquiz\b|\btest\b/.test(text)) return 'Quiz'
-  if (/\bproject\b|\bportfolio\b|\bpresentation\b/.test(text)) return 'Project'
-  return 'Assignment'
-}
-
-const mapHandbookSubjectToAssessments = (subject) => {
+const mapHandbookSubjectToAssessments = (subject, calendar) => {
   const tables = Array.isArray(subject?.assessment?.tables)
     ? subject.assessment.tables
     : []
@@ -358,11 +1007,19 @@ const mapHandbookSubjectToAssessments = (subject) => {
       if (!Number.isFinite(weight) || weight <= 0) return
 
       const title = normalizeImportedTitle(description)
+      const hurdleThreshold = parseHurdleFromRow(row)
+      const group = parseGroupFromText(description)
+      const { dueDate, startDate, weeks } = resolveHandbookTiming(timing, fallbackYear, calendar)
       drafts.push({
         title,
         type: inferAssessmentType(title),
-        dueDate: parseDueDateFromText(timing, fallbackYear),
+        dueDate,
+        startDate,
+        weeks,
         weight,
+        hurdle: hurdleThreshold !== null,
+        hurdleThreshold,
+        group,
       })
     })
   })
@@ -370,14 +1027,6 @@ const mapHandbookSubjectToAssessments = (subject) => {
   return drafts
 }
 
-const assessmentSignature = (assessment) => {
-  const title = normalizeText(assessment.title).toLowerCase()
-  const type = normalizeText(assessment.type).toLowerCase()
-  const weight = Number(assessment.weight || 0).toFixed(2)
-  const dueDate = assessment.dueDate || ''
-  return `${assessment.courseId}|${title}|${type}|${weight}|${dueDate}`
-}
-
 const formatFirebaseAuthError = (error, mode) => {
   const rawCode = String(error?.code || '').toLowerCase()
   const rawMessage = String(error?.message || '')
@@ -436,18 +1085,46 @@ export const useDashboardDomain = () => {
   const [authNotice, setAuthNotice] = useState('')
   const [authBusy, setAuthBusy] = useState(false)
   const [user, setUser] = useState(null)
+  // Without an account backend there is nothing to sign in to, so guest
+  // mode is forced.
+  const [guestMode, setGuestMode] = useState(
+    () => !accountAdapter || loadLocal(STORAGE_KEYS.guestMode, false),
+  )
+  const session = useMemo(() => {
+    if (user && accountAdapter) {
+      return {
+        key: `${accountAdapter.id}-${user.uid}`,
+        userId: user.uid,
+        adapter: accountAdapter,
+      }
+    }
+    if (guestMode) {
+      return { key: 'local-guest', userId: GUEST_USER_ID, adapter: localAdapter }
+    }
+    return null
+  }, [user, guestMode])
   const [dataStatus, setDataStatus] = useState('idle')
   const hasLoadedRemoteRef = useRef(false)
   const saveTimeoutRef = useRef(null)
+  const [syncState, setSyncState] = useState({
+    status: SYNC_STATUSES.idle,
+    pendingCount: 0,
+    lastSyncedAt: null,
+    error: '',
+  })
+  const syncRef = useRef(createSyncSession())
+  const syncRetryRef = useRef(null)
+  const runSyncRef = useRef(null)
+  const latestSyncDataRef = useRef(null)
   const deleteCourseTimeoutRef = useRef(null)
 
-  const handbookResultRef = useRef(null)
-
-  const [courses, setCourses] = useState(() => loadLocal(STORAGE_KEYS.courses, []))
-  const [assessments, setAssessments] = useState(() =>
-    loadLocal(STORAGE_KEYS.assessments, []),
-  )
-  const [wamGoal, setWamGoal] = useState(() => loadLocal(STORAGE_KEYS.wamGoal, ''))
+  const [semesters, setSemesters] = useState([])
+  const [activeSemesterId, setActiveSemesterId] = useState('')
+  const [courses, setCourses] = useState([])
+  const [assessments, setAssessments] = useState([])
+  const [wamGoal, setWamGoal] = useState('')
+  const [wamGoalScope, setWamGoalScope] = useState(WAM_GOAL_SCOPES.semester)
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS)
   const [monthCursor, setMonthCursor] = useState(new Date())
   const [selectedDate, setSelectedDate] = useState(format(new Date(), 'yyyy-MM-dd'))
   const [courseModal, setCourseModal] = useState({
@@ -458,6 +1135,11 @@ export const useDashboardDomain = () => {
   const [courseDetailId, setCourseDetailId] = useState(null)
   const [deleteCoursePrompt, setDeleteCoursePrompt] = useState(null)
   const [deleteCourseBusy, setDeleteCourseBusy] = useState(false)
+  const [semesterModal, setSemesterModal] = useState({
+    open: false,
+    mode: 'add',
+    semester: null,
+  })
   const [assessmentModal, setAssessmentModal] = useState({
     open: false,
     mode: 'add',
@@ -465,6 +1147,8 @@ export const useDashboardDomain = () => {
     courseId: null,
   })
   const [profileOpen, setProfileOpen] = useState(false)
+  const [calendarImportOpen, setCalendarImportOpen] = useState(false)
+  const [now, setNow] = useState(() => Date.now())
   const [handbookDetail, setHandbookDetail] = useState(null)
 
   const [handbookStatus, setHandbookStatus] = useState('idle')
@@ -472,8 +1156,34 @@ export const useDashboardDomain = () => {
   const [handbookData, setHandbookData] = useState([])
   const [handbookMeta, setHandbookMeta] = useState(null)
   const [handbookQuery, setHandbookQuery] = useState('')
+  const [handbookFilters, setHandbookFilters] = useState(DEFAULT_HANDBOOK_FILTERS)
+  const [teachingCalendars, setTeachingCalendars] = useState(() =>
+    loadLocal(STORAGE_KEYS.teachingCalendars, []),
+  )
+  const [remoteHandbookSearch, setRemoteHandbookSearch] = useState(null)
 
   useEffect(() => {
+    if (restAdapter) {
+      const stored = loadLocal(STORAGE_KEYS.selfHostedSession, null)
+      if (stored?.token && stored.user) {
+        // Trust the saved account so the offline cache can boot, then check
+        // the token in the background.
+        setUser(toSessionUser(stored.user))
+        fetchSelfHostedUser(stored.token)
+          .then((account) => {
+            if (account) saveLocal(STORAGE_KEYS.selfHostedSession, { ...stored, user: account })
+          })
+          .catch((error) => {
+            if (error?.status !== 401) return
+            removeLocal(STORAGE_KEYS.selfHostedSession)
+            setUser(null)
+            setAuthError('Your session expired. Please sign in again.')
+          })
+      }
+      setAuthStatus('ready')
+      return
+    }
+
     if (!hasFirebaseConfig || !auth) {
       setAuthStatus('ready')
       return
@@ -516,112 +1226,295 @@ export const useDashboardDomain = () => {
     }
   }, [])
 
-  const persistUserData = useCallback(
-    async (payload) => {
-      if (!user || !db) return
-      try {
-        await setDoc(
-          doc(db, 'user_data', user.uid),
-          {
-            courses: payload.courses,
-            assessments: payload.assessments,
-            wam_goal: payload.wamGoal,
-            updated_at: new Date().toISOString(),
-          },
-          { merge: true },
-        )
-      } catch (error) {
-        console.warn('Failed to sync data', error)
-      }
+  const applySyncData = useCallback((data) => {
+    latestSyncDataRef.current = pickSyncData(data)
+    setSemesters(data.semesters)
+    setActiveSemesterId(data.activeSemesterId)
+    setCourses(data.courses)
+    setAssessments(data.assessments)
+    setWamGoal(data.wamGoal)
+    setWamGoalScope(data.wamGoalScope)
+    setSettings({ ...DEFAULT_SETTINGS, ...(data.settings ?? {}) })
+  }, [])
+
+  const writeSyncCache = useCallback(() => {
+    if (!session || session.adapter.isLocal) return
+    const sync = syncRef.current
+    saveLocal(getSyncCacheKey(session.key), {
+      base: sync.base,
+      queue: sync.queue,
+      lastSyncedAt: sync.lastSyncedAt,
+    })
+  }, [session])
+
+  const enqueueLocalChanges = useCallback(() => {
+    const sync = syncRef.current
+    const latest = latestSyncDataRef.current
+    if (!sync.shadow || !latest) return
+    const ops = diffSyncState(sync.shadow, latest)
+    sync.shadow = latest
+    if (!ops.length) return
+    sync.queue = coalesceOps(sync.queue, ops)
+    writeSyncCache()
+  }, [writeSyncCache])
+
+  // Replays the queue over a fresh remote copy so in-flight local edits
+  // survive changes streamed in from other devices and tabs.
+  const mergeRemoteData = useCallback(
+    (remote) => {
+      const sync = syncRef.current
+      sync.base = remote
+      enqueueLocalChanges()
+      const local = applySyncOps(remote, sync.queue)
+      sync.shadow = pickSyncData(local)
+      sync.lastSyncedAt = new Date().toISOString()
+      applySyncData(local)
+      writeSyncCache()
+      return sync.queue.length
     },
-    [user],
+    [enqueueLocalChanges, applySyncData, writeSyncCache],
   )
 
+  // Expired self-hosted tokens send the user back to sign in; queued edits
+  // stay in the sync cache and flush after the next sign-in.
+  const handleUnauthorized = useCallback(
+    (error) => {
+      if (error?.status !== 401 || !session || session.adapter !== restAdapter) return false
+      removeLocal(STORAGE_KEYS.selfHostedSession)
+      setUser(null)
+      setAuthError('Your session expired. Please sign in again.')
+      return true
+    },
+    [session],
+  )
+
+  const runSync = useCallback(async () => {
+    if (!session) return
+    const { adapter, userId } = session
+    const sync = syncRef.current
+    if (sync.inFlight) {
+      sync.again = true
+      return
+    }
+    if (syncRetryRef.current) {
+      clearTimeout(syncRetryRef.current)
+      syncRetryRef.current = null
+    }
+    enqueueLocalChanges()
+
+    if (!adapter.isLocal && isBrowserOffline()) {
+      setSyncState((prev) => ({
+        ...prev,
+        status: SYNC_STATUSES.offline,
+        pendingCount: sync.queue.length,
+      }))
+      return
+    }
+
+    sync.inFlight = true
+    const flushed = sync.queue
+    setSyncState((prev) => ({
+      ...prev,
+      status: SYNC_STATUSES.syncing,
+      pendingCount: flushed.length,
+      error: '',
+    }))
+
+    try {
+      const stored = await adapter.update(userId, (current) => {
+        if (!flushed.length) return current
+        const remote = current
+          ? fromRemoteDoc(current)
+          : { ...createEmptyUserData(), meta: createEmptySyncMeta() }
+        const next = applySyncOps(remote, flushed)
+        next.meta = pruneTombstones(next.meta)
+        return toRemoteDoc(next)
+      })
+      if (syncRef.current !== sync) return
+
+      sync.queue = removeFlushedOps(sync.queue, flushed)
+      mergeRemoteData(fromRemoteDoc(stored || {}))
+      setSyncState({
+        status: sync.queue.length ? SYNC_STATUSES.syncing : SYNC_STATUSES.synced,
+        pendingCount: sync.queue.length,
+        lastSyncedAt: sync.lastSyncedAt,
+        error: '',
+      })
+      if (sync.queue.length) sync.again = true
+    } catch (error) {
+      if (syncRef.current !== sync || handleUnauthorized(error)) return
+      console.warn('Failed to sync data', error)
+      const offline = !adapter.isLocal && isBrowserOffline()
+      setSyncState((prev) => ({
+        ...prev,
+        status: offline ? SYNC_STATUSES.offline : SYNC_STATUSES.error,
+        pendingCount: sync.queue.length,
+        error: offline ? '' : 'Sync failed. Changes are kept on this device.',
+      }))
+      if (!offline) {
+        syncRetryRef.current = setTimeout(() => runSyncRef.current?.(), SYNC_RETRY_MS)
+      }
+    } finally {
+      sync.inFlight = false
+      if (sync.again && syncRef.current === sync) {
+        sync.again = false
+        runSyncRef.current?.()
+      }
+    }
+  }, [session, enqueueLocalChanges, mergeRemoteData, handleUnauthorized])
+
   useEffect(() => {
-    if (user || !hasFirebaseConfig) return
-    setCourses(loadLocal(STORAGE_KEYS.courses, []))
-    setAssessments(loadLocal(STORAGE_KEYS.assessments, []))
-    setWamGoal(loadLocal(STORAGE_KEYS.wamGoal, ''))
-    setHandbookMeta(null)
-    setDataStatus('idle')
-    hasLoadedRemoteRef.current = false
-  }, [user])
+    runSyncRef.current = runSync
+  }, [runSync])
 
+  // Countdowns within the last day are shown in hours, so they need a clock.
   useEffect(() => {
-    if (user || !hasFirebaseConfig) return
-    saveLocal(STORAGE_KEYS.courses, courses)
-  }, [courses, user])
+    const interval = setInterval(() => setNow(Date.now()), 60 * 1000)
+    return () => clearInterval(interval)
+  }, [])
 
   useEffect(() => {
-    if (user || !hasFirebaseConfig) return
-    saveLocal(STORAGE_KEYS.assessments, assessments)
-  }, [assessments, user])
+    if (!session || session.adapter.isLocal || typeof window === 'undefined') return
+    const handleOnline = () => runSyncRef.current?.()
+    const handleOffline = () =>
+      setSyncState((prev) => ({ ...prev, status: SYNC_STATUSES.offline }))
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+      if (syncRetryRef.current) {
+        clearTimeout(syncRetryRef.current)
+        syncRetryRef.current = null
+      }
+    }
+  }, [session])
 
   useEffect(() => {
-    if (user || !hasFirebaseConfig) return
-    saveLocal(STORAGE_KEYS.wamGoal, wamGoal)
-  }, [wamGoal, user])
+    if (session) return
+    applySyncData(createEmptyUserData())
+    setHandbookMeta(null)
+    setDataStatus('idle')
+    setSyncState({
+      status: SYNC_STATUSES.idle,
+      pendingCount: 0,
+      lastSyncedAt: null,
+      error: '',
+    })
+    syncRef.current = createSyncSession()
+    hasLoadedRemoteRef.current = false
+  }, [session, applySyncData])
 
   useEffect(() => {
-    if (!user || !hasFirebaseConfig || !db) return
+    if (!session) return
+    const { adapter, userId } = session
     let isActive = true
-    setDataStatus('loading')
-
-    const localSnapshot = {
-      courses: loadLocal(STORAGE_KEYS.courses, []),
-      assessments: loadLocal(STORAGE_KEYS.assessments, []),
-      wamGoal: loadLocal(STORAGE_KEYS.wamGoal, ''),
+    let hasSnapshot = false
+    const sync = createSyncSession()
+    syncRef.current = sync
+
+    // Boot from the per-user cache so the dashboard works offline; the
+    // queued edits are replayed on top and flushed once we reach the backend.
+    const cache = adapter.isLocal ? null : loadLocal(getSyncCacheKey(session.key), null)
+    if (cache?.base) {
+      sync.base = cache.base
+      sync.queue = Array.isArray(cache.queue) ? cache.queue : []
+      sync.lastSyncedAt = cache.lastSyncedAt || null
+      const local = applySyncOps(sync.base, sync.queue)
+      sync.shadow = pickSyncData(local)
+      applySyncData(local)
+      setSyncState({
+        status: SYNC_STATUSES.idle,
+        pendingCount: sync.queue.length,
+        lastSyncedAt: sync.lastSyncedAt,
+        error: '',
+      })
+      hasLoadedRemoteRef.current = true
+      setDataStatus('ready')
+      if (sync.queue.length) runSync()
+    } else {
+      setDataStatus('loading')
     }
 
-    const loadRemote = async () => {
-      try {
-        const remoteDoc = await getDoc(doc(db, 'user_data', user.uid))
-        if (!isActive) return
-
-        if (remoteDoc.exists()) {
-          const data = remoteDoc.data() || {}
-          setCourses(data.courses ?? [])
-          setAssessments(data.assessments ?? [])
-          setWamGoal(data.wam_goal ?? '')
-        } else if (
-          localSnapshot.courses.length ||
-          localSnapshot.assessments.length ||
-          localSnapshot.wamGoal
-        ) {
-          setCourses(localSnapshot.courses)
-          setAssessments(localSnapshot.assessments)
-          setWamGoal(localSnapshot.wamGoal)
-          await persistUserData(localSnapshot)
-        } else {
-          setCourses([])
-          setAssessments([])
-          setWamGoal('')
-        }
-      } catch (error) {
-        if (!isActive) return
-        console.warn('Failed to load remote data', error)
-        setCourses(localSnapshot.courses)
-        setAssessments(localSnapshot.assessments)
-        setWamGoal(localSnapshot.wamGoal)
-      }
+    // A new account starts from whatever was kept on this device as a guest.
+    const seedData = adapter.isLocal ? loadLegacyLocalData() : loadGuestData()
 
-      if (!isActive) return
+    const markReady = () => {
       hasLoadedRemoteRef.current = true
       setDataStatus('ready')
     }
 
-    loadRemote()
+    const handleFirstLoadFailure = () => {
+      if (sync.shadow) return
+      sync.shadow = pickSyncData(seedData)
+      applySyncData(seedData)
+      markReady()
+    }
+
+    const unsubscribe = adapter.subscribe(
+      userId,
+      (data, { fromCache }) => {
+        if (!isActive || syncRef.current !== sync) return
+
+        if (data) {
+          hasSnapshot = true
+          const pendingCount = mergeRemoteData(fromRemoteDoc(data))
+          setSyncState((prev) => ({
+            ...prev,
+            status: pendingCount ? prev.status : SYNC_STATUSES.synced,
+            pendingCount,
+            lastSyncedAt: sync.lastSyncedAt,
+            error: '',
+          }))
+          markReady()
+          return
+        }
+
+        // A missing document read from cache only means we have not heard
+        // from the server yet.
+        if (fromCache) {
+          if (isBrowserOffline()) {
+            handleFirstLoadFailure()
+            setSyncState((prev) => ({ ...prev, status: SYNC_STATUSES.offline }))
+          }
+          return
+        }
+        if (hasSnapshot || sync.shadow) return
+        hasSnapshot = true
+
+        // Diffing against an empty shadow queues the seed data for upload.
+        sync.shadow = createEmptyUserData()
+        applySyncData(hasUserData(seedData) ? seedData : createEmptyUserData())
+        markReady()
+      },
+      (error, { retrying = false } = {}) => {
+        if (!isActive || syncRef.current !== sync || handleUnauthorized(error)) return
+        console.warn('Failed to subscribe to remote data', error)
+        handleFirstLoadFailure()
+        // A polling adapter recovers by itself; a closed listener does not.
+        setSyncState((prev) => ({
+          ...prev,
+          status: isBrowserOffline() ? SYNC_STATUSES.offline : SYNC_STATUSES.error,
+          error: isBrowserOffline()
+            ? ''
+            : retrying
+              ? 'Live updates interrupted. Reconnecting…'
+              : 'Live updates stopped. Reload to reconnect.',
+        }))
+      },
+    )
 
     return () => {
       isActive = false
+      unsubscribe()
     }
-  }, [user, persistUserData])
+  }, [session, applySyncData, mergeRemoteData, runSync, handleUnauthorized])
 
   useEffect(() => {
-    if (!user) {
+    if (!session) {
       setProfileOpen(false)
     }
-  }, [user])
+  }, [session])
 
   useEffect(() => {
     removeLocal(STORAGE_KEYS.handbookCacheLegacy)
@@ -629,57 +1522,85 @@ export const useDashboardDomain = () => {
 
   const loadHandbookData = useCallback(
     async ({ force = false } = {}) => {
-      if (!user) return
-      setHandbookStatus('loading')
+      if (!session) return
       setHandbookError('')
 
       const cachedMeta = loadLocal(STORAGE_KEYS.handbookMeta, null)
-      let meta = null
+      const cached = force ? null : await readCachedHandbook()
 
-      if (hasHandbookApi && !force) {
-        try {
-          meta = await fetchJson(buildApiUrl('/api/handbook/meta'))
-        } catch {
-          meta = null
+      const applyPayload = (payload) => {
+        const items = Array.isArray(payload?.items) ? payload.items : []
+        const nextMeta = {
+          version: payload?.version || null,
+          generatedAt: payload?.generatedAt || null,
+          studyPeriod: payload?.source?.studyPeriod || null,
+          year: payload?.source?.year || null,
         }
+        setHandbookData(items)
+        setHandbookMeta(nextMeta)
+        setHandbookStatus('ready')
+        saveLocal(STORAGE_KEYS.handbookMeta, {
+          ...nextMeta,
+          cachedAt: new Date().toISOString(),
+        })
+      }
+
+      // The stored copy shows straight away and is revalidated below.
+      if (cached) {
+        applyPayload(cached.payload)
+      } else {
+        setHandbookStatus('loading')
+      }
+
+      let knownEtag = cached?.etag
+      const loadFull = async (url) => {
+        const result = await fetchIfChanged(url, knownEtag)
+        if (result.notModified) return
+        const payload = {
+          ...result.payload,
+          version: result.payload?.version || result.payload?.generatedAt || null,
+        }
+        applyPayload(payload)
+        await writeCachedHandbook(payload, result.etag)
       }
 
       try {
-        let payload = null
-        if (hasHandbookApi) {
+        if (!hasHandbookApi) {
+          await loadFull(HANDBOOK_DATA_URL)
+          return
+        }
+        if (cached) {
+          let delta = null
           try {
-            payload = await fetchJson(buildApiUrl('/api/handbook'))
-          } catch {
-            payload = await fetchJson(HANDBOOK_DATA_URL)
+            const deltaUrl = `/api/handbook/delta?since=${encodeURIComponent(cached.version)}`
+            delta = (await fetchIfChanged(buildApiUrl(deltaUrl))).payload
+          } catch (error) {
+            // 410: the server no longer knows our version, so start over.
+            if (error.status !== 410) throw error
+          }
+          if (delta) {
+            // Stored even when nothing changed, so the next start asks from
+            // the server's current version rather than repeating this delta.
+            const payload = await applyCachedHandbookDelta(delta, toEtag(delta.version))
+            if (payload) {
+              if (delta.changed.length || delta.removed.length || delta.version !== cached.version) {
+                applyPayload(payload)
+              }
+              return
+            }
+            // The stored copy is gone (evicted or unreadable), so download it
+            // whole rather than applying nothing.
+            knownEtag = null
           }
-        } else {
-          payload = await fetchJson(HANDBOOK_DATA_URL)
         }
-
-        const items = Array.isArray(payload?.items) ? payload.items : []
-        const version = payload?.version || meta?.version || null
-        const generatedAt = payload?.generatedAt || meta?.generatedAt || null
-        const studyPeriod = payload?.source?.studyPeriod || null
-        const year = payload?.source?.year || null
-
-        setHandbookData(items)
-        setHandbookMeta({
-          version,
-          generatedAt,
-          studyPeriod,
-          year,
-        })
-        setHandbookStatus('ready')
-
-        saveLocal(STORAGE_KEYS.handbookMeta, {
-          version,
-          generatedAt,
-          studyPeriod,
-          year,
-          cachedAt: new Date().toISOString(),
-        })
+        try {
+          await loadFull(buildApiUrl('/api/handbook'))
+        } catch {
+          await loadFull(HANDBOOK_DATA_URL)
+        }
       } catch (error) {
         console.warn('Failed to load handbook data', error)
+        if (cached) return
         if (cachedMeta) {
           setHandbookMeta(cachedMeta)
           setHandbookStatus('error')
@@ -691,21 +1612,71 @@ export const useDashboardDomain = () => {
         }
       }
     },
-    [user],
+    [session],
   )
 
   useEffect(() => {
-    if (!user) return
+    if (!session) return
     loadHandbookData()
-  }, [user, loadHandbookData])
+  }, [session, loadHandbookData])
+
+  // The served calendars are cached so relative dates still resolve offline.
+  useEffect(() => {
+    if (!session) return undefined
+    let cancelled = false
+    const loadCalendars = async (url) => {
+      const response = await fetch(url, { cache: 'no-cache' })
+      if (!response.ok) throw new Error(`Request failed: ${response.status}`)
+      const payload = await response.json()
+      return (payload.calendars || []).map(normalizeTeachingCalendar).filter(Boolean)
+    }
+    const load = async () => {
+      let calendars = null
+      if (hasHandbookApi) {
+        try {
+          calendars = await loadCalendars(buildApiUrl('/api/handbook/teaching-calendar'))
+        } catch (error) {
+          console.warn('Teaching calendar API unavailable, using the bundled file', error)
+        }
+      }
+      try {
+        calendars = calendars || (await loadCalendars(TEACHING_CALENDAR_URL))
+      } catch (error) {
+        console.warn('Failed to load teaching calendars', error)
+        return
+      }
+      if (cancelled) return
+      setTeachingCalendars(calendars)
+      saveLocal(STORAGE_KEYS.teachingCalendars, calendars)
+    }
+    load()
+    return () => {
+      cancelled = true
+    }
+  }, [session])
+
+  useEffect(() => {
+    latestSyncDataRef.current = {
+      semesters,
+      activeSemesterId,
+      courses,
+      assessments,
+      wamGoal,
+      wamGoalScope,
+      settings,
+    }
+  }, [semesters, activeSemesterId, courses, assessments, wamGoal, wamGoalScope, settings])
 
   useEffect(() => {
-    if (!user || !hasFirebaseConfig || !db || !hasLoadedRemoteRef.current) return
+    if (!session || !hasLoadedRemoteRef.current) return
     if (saveTimeoutRef.current) {
       clearTimeout(saveTimeoutRef.current)
     }
     saveTimeoutRef.current = setTimeout(() => {
-      persistUserData({ courses, assessments, wamGoal })
+      enqueueLocalChanges()
+      if (syncRef.current.queue.length) {
+        runSync()
+      }
     }, 500)
 
     return () => {
@@ -713,13 +1684,83 @@ export const useDashboardDomain = () => {
         clearTimeout(saveTimeoutRef.current)
       }
     }
-  }, [courses, assessments, wamGoal, user, persistUserData])
+  }, [
+    semesters,
+    activeSemesterId,
+    courses,
+    assessments,
+    wamGoal,
+    wamGoalScope,
+    settings,
+    session,
+    enqueueLocalChanges,
+    runSync,
+  ])
+
+  // Data saved before semesters existed has no semester records and courses
+  // without a semesterId; file those under a semester derived from their
+  // assessments' due dates. Every choice here is deterministic so devices
+  // agree once they sync.
+  useEffect(() => {
+    const orphans = courses.filter((course) => !course.semesterId)
+    const hasOrphans = orphans.length > 0
+    if (semesters.length && !hasOrphans) return
+    const derived = getFallbackSemester(
+      getFallbackSemesterDate(hasOrphans ? orphans : courses, assessments),
+    )
+    const fallback =
+      semesters.find((semester) => semester.id === derived.id) ||
+      semesters.find(
+        (semester) =>
+          Number(semester.year) === derived.year && semester.studyPeriod === derived.studyPeriod,
+      ) ||
+      sortSemesters(semesters)[0] ||
+      derived
+    if (!semesters.length) {
+      setSemesters([fallback])
+    }
+    if (hasOrphans) {
+      setCourses((prev) =>
+        prev.map((course) =>
+          course.semesterId ? course : { ...course, semesterId: fallback.id },
+        ),
+      )
+    }
+  }, [assessments, courses, semesters])
+
+  const sortedSemesters = useMemo(() => sortSemesters(semesters), [semesters])
+
+  const activeSemester =
+    semesters.find((semester) => semester.id === activeSemesterId) ||
+    sortedSemesters[sortedSemesters.length - 1] ||
+    null
+
+  const semesterCourses = useMemo(
+    () =>
+      activeSemester
+        ? courses.filter((course) => course.semesterId === activeSemester.id)
+        : [],
+    [activeSemester, courses],
+  )
+
+  const semesterCourseCounts = useMemo(() => {
+    const counts = new Map()
+    courses.forEach((course) => {
+      counts.set(course.semesterId, (counts.get(course.semesterId) || 0) + 1)
+    })
+    return counts
+  }, [courses])
 
   const courseMap = useMemo(
     () => new Map(courses.map((course) => [course.id, course])),
     [courses],
   )
 
+  const semesterAssessments = useMemo(() => {
+    const courseIds = new Set(semesterCourses.map((course) => course.id))
+    return assessments.filter((assessment) => courseIds.has(assessment.courseId))
+  }, [assessments, semesterCourses])
+
   const handbookIndex = useMemo(() => {
     const map = new Map()
     handbookData.forEach((item) => {
@@ -742,24 +1783,107 @@ export const useDashboardDomain = () => {
     [handbookIndex],
   )
 
-  const normalizedHandbookQuery = normalizeCourseCode(handbookQuery)
-  const handbookResult = normalizedHandbookQuery
-    ? handbookIndex.get(normalizedHandbookQuery)
-    : null
+  const handbookSearchIndex = useMemo(
+    () => buildHandbookSearchIndex(handbookData),
+    [handbookData],
+  )
 
-  useEffect(() => {
-    if (!handbookResult || !handbookResultRef.current) return
-    handbookResultRef.current.scrollIntoView({
-      behavior: 'smooth',
-      block: 'start',
-    })
-  }, [handbookResult])
+  // Until the dataset has loaded, the API answers searches so the lookup is
+  // usable on a first visit.
+  const searchHandbookRemotely = hasHandbookApi && handbookStatus !== 'ready'
+  const hasHandbookSearch =
+    Boolean(handbookQuery.trim()) || Object.values(handbookFilters).some(Boolean)
 
   useEffect(() => {
-    if (!handbookResult) {
-      setHandbookDetail(null)
+    if (!searchHandbookRemotely || !hasHandbookSearch) {
+      setRemoteHandbookSearch(null)
+      return undefined
+    }
+    const controller = new AbortController()
+    const timer = setTimeout(async () => {
+      const params = new URLSearchParams({ q: handbookQuery.trim() })
+      Object.entries(handbookFilters).forEach(([key, value]) => {
+        if (value) params.set(key, value)
+      })
+      try {
+        const response = await fetch(buildApiUrl(`/api/handbook/search?${params}`), {
+          signal: controller.signal,
+        })
+        if (!response.ok) throw new Error(`Request failed: ${response.status}`)
+        const payload = await response.json()
+        setRemoteHandbookSearch({
+          facets: payload.facets,
+          results: (payload.items || []).map(
+            ({ highlights, level, score, studyPeriods, ...subject }) => ({
+              subject,
+              score,
+              level,
+              studyPeriods,
+              highlights,
+            }),
+          ),
+        })
+      } catch (error) {
+        if (error.name !== 'AbortError') setRemoteHandbookSearch(null)
+      }
+    }, HANDBOOK_SEARCH_DEBOUNCE_MS)
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [handbookFilters, handbookQuery, hasHandbookSearch, searchHandbookRemotely])
+
+  const handbookFacets = useMemo(
+    () =>
+      searchHandbookRemotely && remoteHandbookSearch?.facets
+        ? remoteHandbookSearch.facets
+        : getHandbookSearchFacets(handbookSearchIndex),
+    [handbookSearchIndex, remoteHandbookSearch, searchHandbookRemotely],
+  )
+
+  const handbookResults = useMemo(() => {
+    if (searchHandbookRemotely) return remoteHandbookSearch?.results || []
+    return searchHandbook(handbookSearchIndex, handbookQuery, handbookFilters)
+  }, [
+    handbookFilters,
+    handbookQuery,
+    handbookSearchIndex,
+    remoteHandbookSearch,
+    searchHandbookRemotely,
+  ])
+
+  const updateHandbookFilters = (updates) => {
+    setHandbookFilters((prev) => ({ ...prev, ...updates }))
+  }
+
+  const resetHandbookSearch = () => {
+    setHandbookQuery('')
+    setHandbookFilters(DEFAULT_HANDBOOK_FILTERS)
+  }
+
+  // Remote results only carry a summary, so the full subject is fetched when
+  // it is not in the local dataset yet.
+  const openHandbookSubject = async (code) => {
+    const normalizedCode = normalizeCourseCode(code)
+    const local = handbookIndex.get(normalizedCode)
+    if (local) {
+      setHandbookDetail(local)
+      return true
     }
-  }, [handbookResult])
+    if (!hasHandbookApi) return false
+    try {
+      const response = await fetch(
+        buildApiUrl(`/api/handbook?code=${encodeURIComponent(normalizedCode)}`),
+      )
+      if (!response.ok) return false
+      const payload = await response.json()
+      if (!payload.item) return false
+      setHandbookDetail(payload.item)
+      return true
+    } catch {
+      return false
+    }
+  }
 
   const assessmentsByCourse = useMemo(() => {
     const grouped = new Map()
@@ -788,41 +1912,110 @@ export const useDashboardDomain = () => {
     return averages
   }, [assessmentsByCourse, courses])
 
+  // The official mark of a finalised course always wins over the computed average.
+  const courseMarks = useMemo(() => {
+    const marks = new Map()
+    courses.forEach((course) => {
+      marks.set(
+        course.id,
+        isCourseFinalised(course) ? Number(course.finalMark) : courseAverages.get(course.id),
+      )
+    })
+    return marks
+  }, [courseAverages, courses])
+
   const wamGoalNumber = toNumberOrNull(wamGoal)
 
   const wamData = useMemo(() => {
+    const { wam, totalCredits } = getCreditWeightedAverage(semesterCourses, (course) =>
+      courseMarks.get(course.id),
+    )
+    return { wam, totalCredits }
+  }, [courseMarks, semesterCourses])
+
+  const semesterBreakdown = useMemo(
+    () =>
+      sortedSemesters.map((semester) => {
+        const semesterCourseList = courses.filter(
+          (course) => course.semesterId === semester.id,
+        )
+        return {
+          semester,
+          courseCount: semesterCourseList.length,
+          ...getCreditWeightedAverage(semesterCourseList, (course) =>
+            courseMarks.get(course.id),
+          ),
+        }
+      }),
+    [courseMarks, courses, sortedSemesters],
+  )
+
+  // "Prior" marks are the semesters before the one on screen, so planning an
+  // older semester never counts work that came after it.
+  const cumulativeWamData = useMemo(() => {
     let weightedSum = 0
     let totalCredits = 0
-    courses.forEach((course) => {
-      const average = courseAverages.get(course.id)
-      if (average === null || Number.isNaN(average)) return
-      const credits = Number(course.creditPoints || 0)
-      if (!credits) return
-      weightedSum += average * credits
-      totalCredits += credits
+    let priorWeightedSum = 0
+    let priorCredits = 0
+    let reachedActive = false
+    semesterBreakdown.forEach((entry) => {
+      weightedSum += entry.weightedSum
+      totalCredits += entry.totalCredits
+      if (entry.semester.id === activeSemester?.id) reachedActive = true
+      if (reachedActive) return
+      priorWeightedSum += entry.weightedSum
+      priorCredits += entry.totalCredits
     })
     return {
       wam: totalCredits ? weightedSum / totalCredits : null,
       totalCredits,
+      priorWeightedSum,
+      priorCredits,
     }
-  }, [courseAverages, courses])
+  }, [activeSemester, semesterBreakdown])
 
-  const projectedWam = useMemo(() => {
-    let weightedSum = 0
-    let totalCredits = 0
-    courses.forEach((course) => {
-      const target = toNumberOrNull(course.targetMark ?? wamGoalNumber)
-      if (target === null || Number.isNaN(target)) return
-      const credits = Number(course.creditPoints || 0)
-      if (!credits) return
-      weightedSum += target * credits
-      totalCredits += credits
-    })
-    return totalCredits ? weightedSum / totalCredits : null
-  }, [courses, wamGoalNumber])
+  const semesterCreditPoints = useMemo(
+    () =>
+      semesterCourses.reduce((sum, course) => sum + Number(course.creditPoints || 0), 0),
+    [semesterCourses],
+  )
 
-  const semesterTitle =
-    handbookMeta?.studyPeriod && handbookMeta?.year
+  // A cumulative goal is turned into the average this semester has to reach
+  // for the career WAM to land on the goal, given the marks already banked.
+  const semesterGoalNumber = useMemo(() => {
+    if (wamGoalNumber === null) return null
+    if (wamGoalScope !== WAM_GOAL_SCOPES.cumulative) return wamGoalNumber
+    if (!semesterCreditPoints) return wamGoalNumber
+    const { priorWeightedSum, priorCredits } = cumulativeWamData
+    return (
+      (wamGoalNumber * (priorCredits + semesterCreditPoints) - priorWeightedSum) /
+      semesterCreditPoints
+    )
+  }, [cumulativeWamData, semesterCreditPoints, wamGoalNumber, wamGoalScope])
+
+  const getProjectedMark = useCallback(
+    (course) =>
+      isCourseFinalised(course)
+        ? Number(course.finalMark)
+        : toNumberOrNull(course.targetMark ?? semesterGoalNumber),
+    [semesterGoalNumber],
+  )
+
+  const projectedWam = useMemo(
+    () => getCreditWeightedAverage(semesterCourses, getProjectedMark).wam,
+    [getProjectedMark, semesterCourses],
+  )
+
+  const projectedCumulativeWam = useMemo(() => {
+    const projected = getCreditWeightedAverage(semesterCourses, getProjectedMark)
+    const { priorWeightedSum, priorCredits } = cumulativeWamData
+    const totalCredits = priorCredits + projected.totalCredits
+    return totalCredits ? (priorWeightedSum + projected.weightedSum) / totalCredits : null
+  }, [cumulativeWamData, getProjectedMark, semesterCourses])
+
+  const semesterTitle = activeSemester
+    ? formatSemesterLabel(activeSemester)
+    : handbookMeta?.studyPeriod && handbookMeta?.year
       ? `${handbookMeta.studyPeriod}, ${handbookMeta.year}`
       : 'Current Semester'
   const handbookSubtitle =
@@ -833,44 +2026,142 @@ export const useDashboardDomain = () => {
   const plannerSnapshot = useMemo(() => {
     const overdue = []
     const dueSoon = []
+    const opensSoon = []
     const atRiskCourses = []
+    let dueWithinDay = 0
 
-    assessments.forEach((assessment) => {
+    getScheduledItems(semesterAssessments).forEach((assessment) => {
       if (assessment.completed || !assessment.dueDate) return
-      const daysUntil = getDaysUntilDue(assessment.dueDate)
-      if (daysUntil === null) return
-      const item = { assessment, daysUntil }
-      if (daysUntil < 0) {
+      const countdown = getDueCountdown(assessment, now)
+      if (!countdown) return
+      const item = { assessment, ...countdown }
+      if (countdown.msUntil < 0) {
         overdue.push(item)
-      } else if (daysUntil <= DUE_SOON_DAYS) {
+      } else if (countdown.daysUntil <= DUE_SOON_DAYS) {
+        if (countdown.msUntil < DAY_MS) dueWithinDay += 1
         dueSoon.push(item)
+      } else if (hasDueWindow(assessment)) {
+        // The deadline is far off but the window to sit or start it is not.
+        const daysUntilOpen =
+          countdown.daysUntil -
+          differenceInCalendarDays(parseISO(assessment.dueDate), parseISO(assessment.startDate))
+        if (daysUntilOpen > 0 && daysUntilOpen <= DUE_SOON_DAYS) {
+          opensSoon.push({ ...item, daysUntilOpen })
+        }
       }
     })
 
-    courses.forEach((course) => {
+    semesterCourses.forEach((course) => {
+      if (isCourseFinalised(course)) return
+      const courseAssessments = assessmentsByCourse.get(course.id) || []
       const goalStats = getGoalRequirement(
-        assessmentsByCourse.get(course.id) || [],
-        toNumberOrNull(course.targetMark ?? wamGoalNumber),
+        courseAssessments,
+        toNumberOrNull(course.targetMark ?? semesterGoalNumber),
       )
-      if (goalStats.status === 'active' && goalStats.required > 100) {
+      const goalOutOfReach = goalStats.status === 'active' && goalStats.required > 100
+      // A failed hurdle fails the subject regardless of the weighted average.
+      const hurdleIssues = getHurdleIssues(courseAssessments)
+      if (goalOutOfReach || hurdleIssues.length) {
         atRiskCourses.push({
           course,
-          required: goalStats.required,
+          required: goalOutOfReach ? goalStats.required : null,
           remainingWeight: goalStats.remainingWeight,
+          hurdleIssues,
         })
       }
     })
 
-    overdue.sort((a, b) => a.daysUntil - b.daysUntil)
-    dueSoon.sort((a, b) => a.daysUntil - b.daysUntil)
-    atRiskCourses.sort((a, b) => b.required - a.required)
+    overdue.sort((a, b) => a.msUntil - b.msUntil)
+    dueSoon.sort((a, b) => a.msUntil - b.msUntil)
+    opensSoon.sort((a, b) => a.daysUntilOpen - b.daysUntilOpen)
+    atRiskCourses.sort(
+      (a, b) =>
+        b.hurdleIssues.length - a.hurdleIssues.length || (b.required ?? 0) - (a.required ?? 0),
+    )
 
     return {
       overdue,
       dueSoon,
+      opensSoon,
+      dueWithinDay,
       atRiskCourses,
     }
-  }, [assessments, assessmentsByCourse, courses, wamGoalNumber])
+  }, [assessmentsByCourse, now, semesterAssessments, semesterCourses, semesterGoalNumber])
+
+  const typePerformance = useMemo(() => getTypePerformance(assessments), [assessments])
+
+  const scorePlans = useMemo(() => {
+    const plans = new Map()
+    semesterCourses.forEach((course) => {
+      if (isCourseFinalised(course)) return
+      plans.set(
+        course.id,
+        getScorePlan(
+          assessmentsByCourse.get(course.id) || [],
+          toNumberOrNull(course.targetMark ?? semesterGoalNumber),
+          { mode: settings.plannerMode, performance: typePerformance },
+        ),
+      )
+    })
+    return plans
+  }, [
+    assessmentsByCourse,
+    semesterCourses,
+    semesterGoalNumber,
+    settings.plannerMode,
+    typePerformance,
+  ])
+
+  const upcomingScoreTargets = useMemo(() => {
+    const targets = []
+    scorePlans.forEach((plan, courseId) => {
+      plan.items.forEach((item) => targets.push({ ...item, courseId }))
+    })
+    return targets.sort(
+      (a, b) =>
+        (getDueSortKey(a) || '9999').localeCompare(getDueSortKey(b) || '9999') ||
+        b.weight - a.weight,
+    )
+  }, [scorePlans])
+
+  const simulateSemesterWam = useCallback(
+    (courseId, mark) =>
+      getCreditWeightedAverage(semesterCourses, (course) =>
+        course.id === courseId && mark !== null ? mark : courseMarks.get(course.id),
+      ).wam,
+    [courseMarks, semesterCourses],
+  )
+
+  const reminderSettings = useMemo(() => getReminderSettings(settings), [settings])
+
+  // Built from every semester, not the one on screen, so browsing an old
+  // semester never cancels the current one's reminders.
+  const reminderSchedule = useMemo(
+    () =>
+      buildReminderSchedule({
+        courses,
+        assessments,
+        reminders: reminderSettings,
+      }),
+    [assessments, courses, reminderSettings],
+  )
+
+  // Republishes only when the content changes, not on every new array from a
+  // sync merge.
+  const publishedScheduleRef = useRef('')
+  useEffect(() => {
+    const serialized = JSON.stringify(reminderSchedule)
+    if (serialized === publishedScheduleRef.current) return
+    publishedScheduleRef.current = serialized
+    publishReminderSchedule(reminderSchedule).catch(() => {
+      publishedScheduleRef.current = ''
+    })
+  }, [reminderSchedule])
+
+  // The minute tick asks the service worker to look for reminders that came due.
+  useEffect(() => {
+    checkReminders().catch(() => {})
+  }, [now])
 
   const primaryUrgentItem =
     plannerSnapshot.overdue[0] || plannerSnapshot.dueSoon[0] || null
@@ -878,7 +2169,7 @@ export const useDashboardDomain = () => {
 
   const assessmentsByDate = useMemo(() => {
     const grouped = new Map()
-    assessments.forEach((assessment) => {
+    getScheduledItems(semesterAssessments).forEach((assessment) => {
       if (!assessment.dueDate) return
       const list = grouped.get(assessment.dueDate)
       if (list) {
@@ -887,31 +2178,128 @@ export const useDashboardDomain = () => {
         grouped.set(assessment.dueDate, [assessment])
       }
     })
+    grouped.forEach((list, key) => grouped.set(key, sortByDueDate(list)))
+    return grouped
+  }, [semesterAssessments])
+
+  // Every day inside a window, except its due day, which assessmentsByDate
+  // already covers. Entries keep the window order so spans line up across days.
+  const windowsByDate = useMemo(() => {
+    const grouped = new Map()
+    const windows = getScheduledItems(semesterAssessments)
+      .filter(hasDueWindow)
+      .sort(
+        (a, b) =>
+          a.startDate.localeCompare(b.startDate) || a.dueDate.localeCompare(b.dueDate),
+      )
+    windows.forEach((assessment) => {
+      const end = parseISO(assessment.dueDate)
+      for (let day = parseISO(assessment.startDate); day <= end; day = addDays(day, 1)) {
+        const key = format(day, 'yyyy-MM-dd')
+        const list = grouped.get(key)
+        const entry = {
+          assessment,
+          isStart: key === assessment.startDate,
+          isEnd: key === assessment.dueDate,
+        }
+        if (list) {
+          list.push(entry)
+        } else {
+          grouped.set(key, [entry])
+        }
+      }
+    })
     return grouped
-  }, [assessments])
+  }, [semesterAssessments])
 
   const selectedDateAssessments = assessmentsByDate.get(selectedDate) || []
+  const selectedDateWindows = (windowsByDate.get(selectedDate) || [])
+    .filter((entry) => !entry.isEnd)
+    .map((entry) => entry.assessment)
   const completedAssessmentCount = useMemo(
-    () => assessments.filter((assessment) => assessment.completed).length,
-    [assessments],
+    () => semesterAssessments.filter((assessment) => assessment.completed).length,
+    [semesterAssessments],
   )
-  const upcomingAssessmentCount = assessments.length - completedAssessmentCount
+  const upcomingAssessmentCount = semesterAssessments.length - completedAssessmentCount
 
   const handleSaveCourse = (payload) => {
     const { mode: payloadMode, ...courseData } = payload
     if (payloadMode === 'edit') {
       setCourses((prev) =>
-        prev.map((course) => (course.id === courseData.id ? courseData : course)),
+        prev.map((course) =>
+          course.id === courseData.id ? { ...course, ...courseData } : course,
+        ),
       )
     } else {
-      if (courses.length >= MAX_COURSES) {
+      if (!activeSemester) return
+      if (semesterCourses.length >= MAX_COURSES) {
         window.alert(`Limit reached: up to ${MAX_COURSES} courses per semester.`)
         return
       }
-      setCourses((prev) => [...prev, courseData])
+      setCourses((prev) => [...prev, { ...courseData, semesterId: activeSemester.id }])
     }
   }
 
+  const handleFinaliseCourse = (courseId, result) => {
+    setCourses((prev) =>
+      prev.map((course) => {
+        if (course.id !== courseId) return course
+        if (!result) {
+          return { ...course, finalMark: null, finalGrade: null, finalisedAt: null }
+        }
+        return {
+          ...course,
+          finalMark: result.finalMark,
+          finalGrade: result.finalGrade,
+          finalisedAt: new Date().toISOString(),
+        }
+      }),
+    )
+  }
+
+  const updateSettings = useCallback((patch) => {
+    setSettings((prev) => ({ ...prev, ...patch }))
+  }, [])
+
+  const updateReminderSettings = useCallback((patch) => {
+    setSettings((prev) => ({ ...prev, reminders: { ...getReminderSettings(prev), ...patch } }))
+  }, [])
+
+  const handleSaveSemester = (payload) => {
+    const { mode: payloadMode, ...semesterData } = payload
+    if (payloadMode === 'edit') {
+      setSemesters((prev) =>
+        prev.map((semester) =>
+          semester.id === semesterData.id ? { ...semester, ...semesterData } : semester,
+        ),
+      )
+    } else {
+      setSemesters((prev) => [...prev, semesterData])
+    }
+    setActiveSemesterId(semesterData.id)
+  }
+
+  const handleDeleteSemester = (semesterId) => {
+    if (semesterCourseCounts.get(semesterId)) {
+      window.alert('Remove the courses in this semester before deleting it.')
+      return false
+    }
+    setSemesters((prev) => prev.filter((semester) => semester.id !== semesterId))
+    if (activeSemesterId === semesterId) {
+      setActiveSemesterId('')
+    }
+    return true
+  }
+
+  const openAddSemester = () => {
+    setSemesterModal({ open: true, mode: 'add', semester: null })
+  }
+
+  const openEditSemester = (semester) => {
+    if (!semester) return
+    setSemesterModal({ open: true, mode: 'edit', semester })
+  }
+
   const handleDeleteCourse = (courseId) => {
     setCourses((prev) => prev.filter((course) => course.id !== courseId))
     setAssessments((prev) =>
@@ -963,6 +2351,18 @@ export const useDashboardDomain = () => {
     }
   }
 
+  const applySimulatedScores = (courseId, scores) => {
+    setAssessments((prev) =>
+      prev.map((assessment) => {
+        if (assessment.courseId !== courseId) return assessment
+        const [simulated] = applyHypotheticalScores([assessment], scores)
+        if (!isAssessmentGroup(simulated)) return simulated
+        const { dueDate, dueTime } = summarizeGroupItems(simulated.items)
+        return { ...simulated, dueDate, dueTime }
+      }),
+    )
+  }
+
   const handleDeleteAssessment = (assessmentId) => {
     setAssessments((prev) =>
       prev.filter((assessment) => assessment.id !== assessmentId),
@@ -987,7 +2387,13 @@ export const useDashboardDomain = () => {
         }
       }
 
-      const drafts = mapHandbookSubjectToAssessments(subject)
+      const semester = semesters.find((entry) => entry.id === course.semesterId)
+      const calendar = semester
+        ? getSemesterTeachingCalendar(semester, teachingCalendars)
+        : normalizeTeachingCalendar(
+            findTeachingCalendar(teachingCalendars, subject.year, subject.studyPeriod),
+          )
+      const drafts = mapHandbookSubjectToAssessments(subject, calendar)
       if (!drafts.length) {
         return {
           status: 'no-importable-rows',
@@ -1016,6 +2422,25 @@ export const useDashboardDomain = () => {
           weight: draft.weight,
           score: null,
           completed: false,
+          hurdle: draft.hurdle,
+          hurdleThreshold: draft.hurdleThreshold,
+        }
+        if (draft.startDate) candidate.startDate = draft.startDate
+        if (draft.group) {
+          // "Weekly quizzes, weeks 2-11" puts one quiz at the end of each week.
+          const perWeek = draft.weeks.length === draft.group.total
+          candidate.groupRule = draft.group.groupRule
+          candidate.items = Array.from({ length: draft.group.total }, (_, index) => ({
+            id: createId(),
+            title: `${draft.group.itemLabel} ${index + 1}`,
+            dueDate: perWeek ? draft.weeks[index].end : '',
+            score: null,
+            completed: false,
+          }))
+          if (perWeek) {
+            delete candidate.startDate
+            candidate.dueDate = summarizeGroupItems(candidate.items).dueDate
+          }
         }
 
         const signature = assessmentSignature(candidate)
@@ -1043,18 +2468,88 @@ export const useDashboardDomain = () => {
         imported: imported.length,
         skipped: drafts.length - imported.length,
         total: drafts.length,
+        undated: imported.filter((assessment) => !assessment.dueDate).length,
+        hasCalendar: Boolean(calendar),
         courseCode: course.code,
       }
     },
-    [assessments, courseMap, handbookIndex],
+    [assessments, courseMap, handbookIndex, semesters, teachingCalendars],
   )
 
+  const backupSource = {
+    semesters,
+    activeSemesterId,
+    courses,
+    assessments,
+    wamGoal,
+    wamGoalScope,
+    settings,
+  }
+
+  const getBackupBundle = () => createBackupBundle(backupSource)
+
+  const getAssessmentsCsv = () => buildAssessmentsCsv(backupSource)
+
+  const previewBackupImport = (bundle, mode) => planBackupImport(backupSource, bundle, mode)
+
+  const applyBackupImport = (plan) => {
+    const { next } = plan
+    setSemesters(next.semesters)
+    setCourses(next.courses)
+    setAssessments(next.assessments)
+    setWamGoal(next.wamGoal)
+    if (plan.mode === BACKUP_IMPORT_MODES.replace) {
+      setActiveSemesterId(next.activeSemesterId)
+      setWamGoalScope(next.wamGoalScope)
+      setSettings(next.settings)
+      setCourseDetailId(null)
+    }
+  }
+
+  // Returns null when the file has no dated events.
+  const previewCalendarImport = (text) => {
+    const events = parseCalendar(text)
+    if (!events.length) return null
+    return planCalendarImport({ events, courses, assessments, activeSemesterId })
+  }
+
+  const applyCalendarImport = (rows) => {
+    setAssessments((prev) => applyCalendarImportRows(prev, rows))
+  }
+
+  const getCalendarFile = () =>
+    buildCalendar({
+      name: 'UniTracker assessments',
+      events: getCalendarEvents({ courses, assessments }),
+    })
+
+  // Feeds are served from the user document, so only the self-hosted API has
+  // the data to build them.
+  const calendarFeedEnabled = Boolean(user && session?.adapter === restAdapter)
+
+  const getCalendarFeedUrl = (options) =>
+    fetchCalendarFeedUrl(loadLocal(STORAGE_KEYS.selfHostedSession, null)?.token, options)
+
   const handleAuthSubmit = async ({ email, password, mode }) => {
-    if (!hasFirebaseConfig || !auth) return
+    if (!accountAdapter) return
     setAuthError('')
     setAuthNotice('')
     setAuthBusy(true)
 
+    if (restAdapter) {
+      try {
+        const isSignUp = mode === AUTH_VIEWS.signUp
+        const result = await signInSelfHosted({ email, password, isSignUp })
+        saveLocal(STORAGE_KEYS.selfHostedSession, result)
+        setUser(toSessionUser(result.user))
+        if (isSignUp) setAuthNotice('Account created. You are now signed in.')
+      } catch (error) {
+        setAuthError(error?.status ? error.message : 'Unable to reach the server.')
+      }
+      setAuthBusy(false)
+      return
+    }
+
     try {
       const isSignUp = mode === AUTH_VIEWS.signUp
       if (isSignUp) {
@@ -1078,13 +2573,36 @@ export const useDashboardDomain = () => {
     setAuthNotice('')
   }
 
+  const enterGuestMode = () => {
+    setGuestMode(true)
+    saveLocal(STORAGE_KEYS.guestMode, true)
+  }
+
   const handleSignOut = async () => {
-    if (!hasFirebaseConfig || !auth) return
+    if (!user) {
+      // Guests leave for the sign-in screen; their data stays on the device.
+      if (!accountAdapter) return
+      setGuestMode(false)
+      saveLocal(STORAGE_KEYS.guestMode, false)
+      return
+    }
+    if (restAdapter) {
+      const stored = loadLocal(STORAGE_KEYS.selfHostedSession, null)
+      removeLocal(STORAGE_KEYS.selfHostedSession)
+      setUser(null)
+      if (stored?.token) {
+        signOutSelfHosted(stored.token).catch((error) =>
+          console.warn('Failed to end server session', error),
+        )
+      }
+      return
+    }
+    if (!auth) return
     await signOut(auth)
   }
 
   const openAddCourse = () => {
-    if (courses.length >= MAX_COURSES) {
+    if (semesterCourses.length >= MAX_COURSES) {
       window.alert(`Limit reached: up to ${MAX_COURSES} courses per semester.`)
       return
     }
@@ -1105,11 +2623,15 @@ export const useDashboardDomain = () => {
   }
 
   const openEditAssessment = (assessment) => {
+    // Group children are edited through their parent group.
+    const target = assessment.groupId
+      ? assessments.find((entry) => entry.id === assessment.groupId) || assessment
+      : assessment
     setAssessmentModal({
       open: true,
       mode: 'edit',
-      assessment,
-      courseId: assessment.courseId,
+      assessment: target,
+      courseId: target.courseId,
     })
   }
 
@@ -1129,6 +2651,79 @@ export const useDashboardDomain = () => {
     return { monthStart: start, calendarDays: days }
   }, [monthCursor])
 
+  const calendarView = Object.values(CALENDAR_VIEWS).includes(settings.calendarView)
+    ? settings.calendarView
+    : CALENDAR_VIEWS.month
+
+  const weekDays = useMemo(() => {
+    const start = startOfWeek(parseISO(selectedDate), { weekStartsOn: 1 })
+    return Array.from({ length: 7 }, (_, index) => addDays(start, index))
+  }, [selectedDate])
+
+  const activeTeachingCalendar = useMemo(
+    () => getSemesterTeachingCalendar(activeSemester, teachingCalendars),
+    [activeSemester, teachingCalendars],
+  )
+
+  // Scheduled classes of the semester's courses on each day of the week view.
+  const weekClassSessions = useMemo(
+    () =>
+      getClassSessionsByDate(
+        semesterCourses,
+        weekDays.map((day) => format(day, 'yyyy-MM-dd')),
+        activeTeachingCalendar,
+      ),
+    [activeTeachingCalendar, semesterCourses, weekDays],
+  )
+
+  const timetableClashes = useMemo(
+    () => getTimetableClashes(semesterCourses),
+    [semesterCourses],
+  )
+
+  // Dated items grouped by the Monday of their week, labelled with the
+  // teaching week (or break) when the semester has a calendar.
+  const agendaWeeks = useMemo(() => {
+    const weeks = new Map()
+    for (const key of [...assessmentsByDate.keys()].sort()) {
+      const date = parseISO(key)
+      if (!isValid(date)) continue
+      const monday = format(startOfWeek(date, { weekStartsOn: 1 }), 'yyyy-MM-dd')
+      if (!weeks.has(monday)) {
+        const period = describeTeachingDate(activeTeachingCalendar, monday)
+        weeks.set(monday, {
+          key: monday,
+          label: period?.label || `Week of ${format(parseISO(monday), 'MMM d')}`,
+          kind: period?.kind || '',
+          start: monday,
+          end: format(addDays(parseISO(monday), 6), 'yyyy-MM-dd'),
+          days: [],
+        })
+      }
+      weeks.get(monday).days.push({ date: key, items: assessmentsByDate.get(key) })
+    }
+    return [...weeks.values()]
+  }, [activeTeachingCalendar, assessmentsByDate])
+
+  const setCalendarView = (calendarView) => updateSettings({ calendarView })
+
+  // Month view pages by month; week view moves the selected day a week.
+  const shiftCalendar = (step) => {
+    if (calendarView === CALENDAR_VIEWS.week) {
+      const next = addDays(parseISO(selectedDate), step * 7)
+      setSelectedDate(format(next, 'yyyy-MM-dd'))
+      setMonthCursor(next)
+      return
+    }
+    setMonthCursor(new Date(monthCursor.getFullYear(), monthCursor.getMonth() + step, 1))
+  }
+
+  const showCalendarToday = () => {
+    const today = new Date()
+    setMonthCursor(today)
+    if (calendarView !== CALENDAR_VIEWS.month) setSelectedDate(format(today, 'yyyy-MM-dd'))
+  }
+
   const displayName = getSafeDisplayName(user)
   const showDisplayName = displayName && displayName !== 'Student'
 
@@ -1142,13 +2737,42 @@ export const useDashboardDomain = () => {
     authNotice,
     authBusy,
     user,
+    hasSession: Boolean(session),
+    isGuest: Boolean(session?.adapter.isLocal),
+    canUseAccounts: Boolean(accountAdapter),
+    enterGuestMode,
     dataStatus,
+    syncState,
+    syncNow: runSync,
+    semesters: sortedSemesters,
+    activeSemester,
+    setActiveSemesterId,
+    semesterCourseCounts,
+    semesterModal,
+    setSemesterModal,
     courses,
     assessments,
+    semesterCourses,
+    semesterAssessments,
     wamGoal,
     setWamGoal,
+    wamGoalScope,
+    setWamGoalScope,
+    settings,
+    updateSettings,
+    reminderSettings,
+    updateReminderSettings,
     monthCursor,
     setMonthCursor,
+    calendarView,
+    setCalendarView,
+    shiftCalendar,
+    showCalendarToday,
+    weekDays,
+    activeTeachingCalendar,
+    weekClassSessions,
+    timetableClashes,
+    agendaWeeks,
     selectedDate,
     setSelectedDate,
     courseModal,
@@ -1161,6 +2785,10 @@ export const useDashboardDomain = () => {
     setAssessmentModal,
     profileOpen,
     setProfileOpen,
+    calendarImportOpen,
+    setCalendarImportOpen,
+    previewCalendarImport,
+    applyCalendarImport,
     handbookDetail,
     setHandbookDetail,
     handbookStatus,
@@ -1168,23 +2796,35 @@ export const useDashboardDomain = () => {
     handbookMeta,
     handbookQuery,
     setHandbookQuery,
-    handbookResultRef,
-    normalizedHandbookQuery,
-    handbookResult,
+    teachingCalendars,
+    handbookFilters,
+    updateHandbookFilters,
+    resetHandbookSearch,
+    handbookFacets,
+    hasHandbookSearch,
+    handbookResults,
+    openHandbookSubject,
     courseMap,
     handbookIndex,
     assessmentsByCourse,
     courseAverages,
+    courseMarks,
     wamGoalNumber,
+    semesterGoalNumber,
     wamData,
+    cumulativeWamData,
+    semesterBreakdown,
     projectedWam,
+    projectedCumulativeWam,
     semesterTitle,
     handbookSubtitle,
     plannerSnapshot,
     primaryUrgentItem,
     primaryRiskCourse,
     assessmentsByDate,
+    windowsByDate,
     selectedDateAssessments,
+    selectedDateWindows,
     completedAssessmentCount,
     upcomingAssessmentCount,
     monthStart,
@@ -1201,9 +2841,26 @@ export const useDashboardDomain = () => {
     cancelDeleteCourse,
     confirmDeleteCourse,
     handleSaveCourse,
+    handleFinaliseCourse,
+    handleSaveSemester,
+    handleDeleteSemester,
+    openAddSemester,
+    openEditSemester,
     handleSaveAssessment,
     handleDeleteAssessment,
+    simulateSemesterWam,
+    applySimulatedScores,
+    typePerformance,
+    scorePlans,
+    upcomingScoreTargets,
     openHandbookDetailFromCourse,
     importHandbookAssessmentsForCourse,
+    getBackupBundle,
+    getAssessmentsCsv,
+    previewBackupImport,
+    applyBackupImport,
+    getCalendarFile,
+    calendarFeedEnabled,
+    getCalendarFeedUrl,
   }
 }
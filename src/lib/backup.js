@@ -0,0 +1,315 @@
+// JSON backups and CSV export of semesters, courses and assessments: building
+// the bundle, validating one before import and planning a merge or replace
+// without touching state, so the panel can preview the counts first.
+
+import {
+  DEFAULT_SETTINGS,
+  MAX_COURSES,
+  STUDY_PERIODS,
+  WAM_GOAL_SCOPES,
+  assessmentSignature,
+  createId,
+  formatGroupRule,
+  formatSemesterLabel,
+  getAssessmentPercent,
+  hasDueWindow,
+  isAssessmentGroup,
+  normalizeCourseCode,
+  normalizeText,
+} from './domain'
+import { resolveTimezone } from './timezone'
+
+export const BACKUP_FORMAT = 'unitracker-backup'
+export const BACKUP_VERSION = 1
+export const BACKUP_IMPORT_MODES = {
+  merge: 'merge',
+  replace: 'replace',
+}
+
+// Sync stamps are device bookkeeping; an imported record gets fresh ones.
+const stripSyncStamp = (record) => {
+  const { updatedAt: _updatedAt, rev: _rev, ...rest } = record
+  return rest
+}
+
+export const createBackupBundle = ({
+  semesters,
+  activeSemesterId,
+  courses,
+  assessments,
+  wamGoal,
+  wamGoalScope,
+  settings,
+}) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  data: {
+    semesters: semesters.map(stripSyncStamp),
+    activeSemesterId,
+    courses: courses.map(stripSyncStamp),
+    assessments: assessments.map(stripSyncStamp),
+    goals: { wamGoal, wamGoalScope },
+    settings,
+  },
+})
+
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export const buildAssessmentsCsv = ({ semesters, courses, assessments }) => {
+  const semesterMap = new Map(semesters.map((semester) => [semester.id, semester]))
+  const courseMap = new Map(courses.map((course) => [course.id, course]))
+  const header = [
+    'semester',
+    'course_code',
+    'course_name',
+    'title',
+    'type',
+    'start_date',
+    'due_date',
+    'due_time',
+    'timezone',
+    'weight',
+    'score_percent',
+    'points_earned',
+    'points_possible',
+    'completed',
+    'hurdle_threshold',
+    'group_rule',
+    'group_items',
+  ]
+  const rows = assessments.map((assessment) => {
+    const course = courseMap.get(assessment.courseId)
+    const semester = course ? semesterMap.get(course.semesterId) : null
+    const percent = getAssessmentPercent(assessment)
+    return [
+      semester ? formatSemesterLabel(semester) : '',
+      course?.code || '',
+      course?.name || '',
+      assessment.title,
+      assessment.type,
+      hasDueWindow(assessment) ? assessment.startDate : '',
+      assessment.dueDate || '',
+      assessment.dueTime || '',
+      assessment.dueTime ? resolveTimezone(assessment.timezone) : '',
+      assessment.weight ?? '',
+      percent === null ? '' : Number(percent.toFixed(2)),
+      assessment.pointsEarned ?? '',
+      assessment.pointsPossible ?? '',
+      assessment.completed ? 'yes' : 'no',
+      assessment.hurdle ? assessment.hurdleThreshold : '',
+      isAssessmentGroup(assessment) ? formatGroupRule(assessment) : '',
+      isAssessmentGroup(assessment) ? assessment.items.length : '',
+    ]
+  })
+  return [header, ...rows].map((row) => row.map(escapeCsvValue).join(',')).join('\r\n')
+}
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+
+export const parseBackupBundle = (text) => {
+  let bundle = null
+  try {
+    bundle = JSON.parse(text)
+  } catch {
+    return { status: 'invalid', error: 'This file is not valid JSON.' }
+  }
+
+  if (!isPlainObject(bundle) || bundle.format !== BACKUP_FORMAT) {
+    return { status: 'invalid', error: 'This file is not a UniTracker backup.' }
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version > BACKUP_VERSION) {
+    return {
+      status: 'invalid',
+      error: 'This backup was made by a newer version of UniTracker.',
+    }
+  }
+
+  const data = bundle.data
+  if (
+    !isPlainObject(data) ||
+    !Array.isArray(data.semesters) ||
+    !Array.isArray(data.courses) ||
+    !Array.isArray(data.assessments)
+  ) {
+    return { status: 'invalid', error: 'The backup is missing courses or assessments.' }
+  }
+
+  const semesterIds = new Set()
+  for (const semester of data.semesters) {
+    if (
+      !isPlainObject(semester) ||
+      !semester.id ||
+      !Number.isInteger(Number(semester.year)) ||
+      !STUDY_PERIODS.includes(semester.studyPeriod)
+    ) {
+      return { status: 'invalid', error: 'A semester in the backup is malformed.' }
+    }
+    semesterIds.add(semester.id)
+  }
+
+  const courseIds = new Set()
+  for (const course of data.courses) {
+    if (!isPlainObject(course) || !course.id || !normalizeText(course.code)) {
+      return { status: 'invalid', error: 'A course in the backup is malformed.' }
+    }
+    if (course.semesterId && !semesterIds.has(course.semesterId)) {
+      return {
+        status: 'invalid',
+        error: `Course ${course.code} points to a semester that is not in the backup.`,
+      }
+    }
+    courseIds.add(course.id)
+  }
+
+  for (const assessment of data.assessments) {
+    const weight = Number(assessment?.weight)
+    if (
+      !isPlainObject(assessment) ||
+      !assessment.id ||
+      !normalizeText(assessment.title) ||
+      !Number.isFinite(weight) ||
+      weight < 0 ||
+      weight > 100
+    ) {
+      return { status: 'invalid', error: 'An assessment in the backup is malformed.' }
+    }
+    if (!courseIds.has(assessment.courseId)) {
+      return {
+        status: 'invalid',
+        error: `Assessment "${assessment.title}" points to a course that is not in the backup.`,
+      }
+    }
+  }
+
+  return { status: 'ok', bundle }
+}
+
+const semesterKey = (semester) => `${Number(semester.year)}|${semester.studyPeriod}`
+const courseKey = (course) => `${course.semesterId}|${normalizeCourseCode(course.code)}`
+
+// Works out the state an import would produce without touching anything, so
+// the caller can preview the counts before applying `next`.
+export const planBackupImport = (current, bundle, mode) => {
+  const data = bundle.data
+  const incomingSemesters = data.semesters.map(stripSyncStamp)
+  const incomingCourses = data.courses.map(stripSyncStamp)
+  const incomingAssessments = data.assessments.map(stripSyncStamp)
+
+  if (mode === BACKUP_IMPORT_MODES.replace) {
+    return {
+      mode,
+      semesters: { added: incomingSemesters.length, matched: 0 },
+      courses: { added: incomingCourses.length, matched: 0, skipped: 0 },
+      assessments: { added: incomingAssessments.length, skipped: 0 },
+      removed: {
+        courses: current.courses.length,
+        assessments: current.assessments.length,
+      },
+      next: {
+        semesters: incomingSemesters,
+        activeSemesterId: data.activeSemesterId || incomingSemesters[0]?.id || '',
+        courses: incomingCourses,
+        assessments: incomingAssessments,
+        wamGoal: data.goals?.wamGoal ?? '',
+        wamGoalScope: data.goals?.wamGoalScope || WAM_GOAL_SCOPES.semester,
+        settings: { ...DEFAULT_SETTINGS, ...(data.settings || {}) },
+      },
+    }
+  }
+
+  const takenIds = new Set([
+    ...current.semesters.map((semester) => semester.id),
+    ...current.courses.map((course) => course.id),
+    ...current.assessments.map((assessment) => assessment.id),
+  ])
+  const freshId = (id) => {
+    const nextId = takenIds.has(id) ? createId() : id
+    takenIds.add(nextId)
+    return nextId
+  }
+
+  const semesters = [...current.semesters]
+  const semesterIdMap = new Map()
+  const semestersByKey = new Map(current.semesters.map((semester) => [semesterKey(semester), semester]))
+  let semestersAdded = 0
+  incomingSemesters.forEach((semester) => {
+    const existing = semestersByKey.get(semesterKey(semester))
+    if (existing) {
+      semesterIdMap.set(semester.id, existing.id)
+      return
+    }
+    const added = { ...semester, id: freshId(semester.id), year: Number(semester.year) }
+    semesterIdMap.set(semester.id, added.id)
+    semestersByKey.set(semesterKey(added), added)
+    semesters.push(added)
+    semestersAdded += 1
+  })
+
+  const courses = [...current.courses]
+  const courseIdMap = new Map()
+  const coursesByKey = new Map(current.courses.map((course) => [courseKey(course), course]))
+  const courseCounts = new Map()
+  current.courses.forEach((course) => {
+    courseCounts.set(course.semesterId, (courseCounts.get(course.semesterId) || 0) + 1)
+  })
+  let coursesAdded = 0
+  let coursesSkipped = 0
+  incomingCourses.forEach((course) => {
+    const semesterId = semesterIdMap.get(course.semesterId) || course.semesterId
+    const existing = coursesByKey.get(courseKey({ ...course, semesterId }))
+    if (existing) {
+      courseIdMap.set(course.id, existing.id)
+      return
+    }
+    if ((courseCounts.get(semesterId) || 0) >= MAX_COURSES) {
+      coursesSkipped += 1
+      return
+    }
+    const added = { ...course, id: freshId(course.id), semesterId }
+    courseIdMap.set(course.id, added.id)
+    coursesByKey.set(courseKey(added), added)
+    courseCounts.set(semesterId, (courseCounts.get(semesterId) || 0) + 1)
+    courses.push(added)
+    coursesAdded += 1
+  })
+
+  const assessments = [...current.assessments]
+  const signatures = new Set(current.assessments.map(assessmentSignature))
+  let assessmentsAdded = 0
+  let assessmentsSkipped = 0
+  incomingAssessments.forEach((assessment) => {
+    const courseId = courseIdMap.get(assessment.courseId)
+    const candidate = { ...assessment, courseId }
+    if (!courseId || signatures.has(assessmentSignature(candidate))) {
+      assessmentsSkipped += 1
+      return
+    }
+    signatures.add(assessmentSignature(candidate))
+    assessments.push({ ...candidate, id: freshId(assessment.id) })
+    assessmentsAdded += 1
+  })
+
+  return {
+    mode,
+    semesters: { added: semestersAdded, matched: incomingSemesters.length - semestersAdded },
+    courses: {
+      added: coursesAdded,
+      matched: incomingCourses.length - coursesAdded - coursesSkipped,
+      skipped: coursesSkipped,
+    },
+    assessments: { added: assessmentsAdded, skipped: assessmentsSkipped },
+    removed: { courses: 0, assessments: 0 },
+    next: {
+      ...current,
+      semesters,
+      courses,
+      assessments,
+      wamGoal: current.wamGoal === '' ? data.goals?.wamGoal ?? '' : current.wamGoal,
+    },
+  }
+}
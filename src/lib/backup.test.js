@@ -0,0 +1,145 @@
+import { describe, expect, it } from 'vitest'
+import {
+  BACKUP_FORMAT,
+  BACKUP_IMPORT_MODES,
+  BACKUP_VERSION,
+  buildAssessmentsCsv,
+  createBackupBundle,
+  parseBackupBundle,
+  planBackupImport,
+} from './backup'
+
+const semester = { id: 's1', year: 2026, studyPeriod: 'Semester 1' }
+const course = { id: 'c1', semesterId: 's1', code: 'COMP10001', name: 'Foundations' }
+const assessment = {
+  id: 'a1',
+  courseId: 'c1',
+  title: 'Project 1',
+  type: 'Project',
+  dueDate: '2026-04-10',
+  weight: 20,
+  score: null,
+  completed: false,
+}
+
+const makeBundle = (data = {}) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  data: {
+    semesters: [semester],
+    courses: [course],
+    assessments: [assessment],
+    ...data,
+  },
+})
+
+const parse = (bundle) => parseBackupBundle(JSON.stringify(bundle))
+
+describe('parseBackupBundle', () => {
+  it('accepts a bundle it created', () => {
+    const bundle = createBackupBundle({
+      semesters: [{ ...semester, updatedAt: '2026-03-01T00:00:00.000Z', rev: 2 }],
+      activeSemesterId: 's1',
+      courses: [course],
+      assessments: [assessment],
+      wamGoal: 75,
+      wamGoalScope: 'overall',
+      settings: {},
+    })
+
+    const result = parseBackupBundle(JSON.stringify(bundle))
+
+    expect(result.status).toBe('ok')
+    expect(result.bundle.data.semesters[0]).toEqual(semester)
+  })
+
+  it('rejects text that is not JSON or not a backup', () => {
+    expect(parseBackupBundle('{nope').error).toBe('This file is not valid JSON.')
+    expect(parse({ format: 'other' }).error).toBe('This file is not a UniTracker backup.')
+    expect(parse([]).status).toBe('invalid')
+  })
+
+  it('rejects backups from a newer version', () => {
+    expect(parse({ ...makeBundle(), version: BACKUP_VERSION + 1 }).error).toMatch(
+      /newer version/,
+    )
+  })
+
+  it('rejects malformed records', () => {
+    expect(parse(makeBundle({ courses: null })).status).toBe('invalid')
+    expect(parse(makeBundle({ semesters: [{ ...semester, studyPeriod: 'Term 9' }] })).error).toBe(
+      'A semester in the backup is malformed.',
+    )
+    expect(parse(makeBundle({ courses: [{ ...course, code: '  ' }] })).error).toBe(
+      'A course in the backup is malformed.',
+    )
+    expect(parse(makeBundle({ assessments: [{ ...assessment, weight: 120 }] })).error).toBe(
+      'An assessment in the backup is malformed.',
+    )
+  })
+
+  it('rejects references to records missing from the backup', () => {
+    expect(parse(makeBundle({ courses: [{ ...course, semesterId: 'gone' }] })).error).toBe(
+      'Course COMP10001 points to a semester that is not in the backup.',
+    )
+    expect(parse(makeBundle({ assessments: [{ ...assessment, courseId: 'gone' }] })).error).toBe(
+      'Assessment "Project 1" points to a course that is not in the backup.',
+    )
+  })
+
+  it('accepts assessments still waiting for a weight', () => {
+    expect(parse(makeBundle({ assessments: [{ ...assessment, weight: null }] })).status).toBe(
+      'ok',
+    )
+  })
+})
+
+describe('planBackupImport', () => {
+  const current = {
+    semesters: [{ ...semester, id: 'local-s1' }],
+    activeSemesterId: 'local-s1',
+    courses: [{ ...course, id: 'local-c1', semesterId: 'local-s1' }],
+    assessments: [{ ...assessment, id: 'local-a1', courseId: 'local-c1' }],
+    wamGoal: '',
+    wamGoalScope: 'semester',
+    settings: {},
+  }
+
+  it('merges by semester period, course code and assessment signature', () => {
+    const bundle = makeBundle({
+      assessments: [assessment, { ...assessment, id: 'a2', title: 'Project 2' }],
+      goals: { wamGoal: 80 },
+    })
+
+    const plan = planBackupImport(current, bundle, BACKUP_IMPORT_MODES.merge)
+
+    expect(plan.semesters).toEqual({ added: 0, matched: 1 })
+    expect(plan.courses).toEqual({ added: 0, matched: 1, skipped: 0 })
+    expect(plan.assessments).toEqual({ added: 1, skipped: 1 })
+    expect(plan.next.assessments.at(-1)).toMatchObject({ title: 'Project 2', courseId: 'local-c1' })
+    expect(plan.next.wamGoal).toBe(80)
+  })
+
+  it('replaces everything in replace mode', () => {
+    const plan = planBackupImport(current, makeBundle(), BACKUP_IMPORT_MODES.replace)
+
+    expect(plan.removed).toEqual({ courses: 1, assessments: 1 })
+    expect(plan.next.courses).toEqual([course])
+    expect(plan.next.activeSemesterId).toBe('s1')
+  })
+})
+
+describe('buildAssessmentsCsv', () => {
+  it('quotes values with commas and leaves missing weights blank', () => {
+    const csv = buildAssessmentsCsv({
+      semesters: [semester],
+      courses: [course],
+      assessments: [{ ...assessment, title: 'Essay, draft', weight: null }],
+    })
+
+    const [, row] = csv.split('\r\n')
+    expect(row).toBe(
+      '"Semester 1, 2026",COMP10001,Foundations,"Essay, draft",Project,,2026-04-10,,,,,,,no,,,',
+    )
+  })
+})
@@ -0,0 +1,224 @@
+// Importing due dates from an LMS calendar feed: events parsed by ics.js are
+// matched to courses by code and to assessments by title, then applied as
+// date updates or new assessments.
+
+import {
+  createId,
+  getDueAt,
+  getDueSortKey,
+  inferAssessmentType,
+  isAssessmentGroup,
+  normalizeCourseCode,
+  normalizeText,
+  summarizeGroupItems,
+} from './domain'
+
+export const CALENDAR_IMPORT_ACTIONS = {
+  update: 'update',
+  create: 'create',
+  unchanged: 'unchanged',
+}
+
+const CALENDAR_MATCH_THRESHOLD = 0.5
+const TITLE_STOPWORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'to', 'in', 'on', 'due', 'submission'])
+
+const compactText = (value) => String(value ?? '').replace(/[^a-z0-9]/gi, '').toUpperCase()
+
+// LMS events name the course in the summary ("Essay [HIST10001_2026_SM1]"),
+// the categories or the description, so any known course code will do. The
+// active semester wins when a code has been taken more than once.
+const findEventCourse = (event, courses, activeSemesterId) => {
+  const fields = [event.summary, event.categories.join(' '), event.location, event.description]
+  for (const field of fields) {
+    const haystack = compactText(field)
+    if (!haystack) continue
+    const candidates = courses.filter((course) => {
+      const code = compactText(course.code)
+      return code && haystack.includes(code)
+    })
+    if (candidates.length) {
+      return candidates.find((course) => course.semesterId === activeSemesterId) || candidates[0]
+    }
+  }
+  return null
+}
+
+// Strips the course code and any bracketed LMS section id from a summary.
+const cleanEventTitle = (summary, course) => {
+  const code = normalizeCourseCode(course?.code)
+  let text = normalizeText(summary).replace(/\[[^\]]*\]|\([^)]*\d{4}[^)]*\)/g, ' ')
+  if (code) {
+    const pattern = code
+      .split('')
+      .map((char) => char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('\\s*')
+    text = text.replace(new RegExp(pattern, 'gi'), ' ')
+  }
+  const cleaned = text
+    .replace(/^[\s:·|–-]+|[\s:·|–-]+$/g, '')
+    .replace(/\s{2,}/g, ' ')
+    .trim()
+  return cleaned || normalizeText(summary) || 'Assessment'
+}
+
+const getTitleTokens = (value) =>
+  new Set(
+    normalizeText(value)
+      .toLowerCase()
+      .replace(/(\d+)/g, ' $1 ')
+      .split(/[^a-z0-9]+/)
+      .filter((token) => token && !TITLE_STOPWORDS.has(token)),
+  )
+
+// Dice coefficient over title words. Numbered items must agree on their
+// numbers, so "Quiz 2" never lands on "Quiz 3".
+const getTitleSimilarity = (left, right) => {
+  const a = getTitleTokens(left)
+  const b = getTitleTokens(right)
+  if (!a.size || !b.size) return 0
+  const numbersA = [...a].filter((token) => /^\d+$/.test(token))
+  const numbersB = [...b].filter((token) => /^\d+$/.test(token))
+  if (numbersA.length && numbersB.length) {
+    const shared = numbersA.filter((token) => b.has(token))
+    if (shared.length !== Math.min(numbersA.length, numbersB.length)) return 0
+  }
+  const overlap = [...a].filter((token) => b.has(token)).length
+  return (2 * overlap) / (a.size + b.size)
+}
+
+const getImportTargets = (assessments, courseId) =>
+  assessments
+    .filter((assessment) => assessment.courseId === courseId)
+    .flatMap((assessment) =>
+      isAssessmentGroup(assessment)
+        ? assessment.items.map((item) => ({
+            assessmentId: assessment.id,
+            itemId: item.id,
+            title: `${assessment.title}: ${item.title}`,
+            titles: [item.title, `${assessment.title} ${item.title}`],
+            dueDate: item.dueDate || '',
+            dueTime: item.dueTime || '',
+            timezone: item.timezone || assessment.timezone || '',
+          }))
+        : [
+            {
+              assessmentId: assessment.id,
+              itemId: null,
+              title: assessment.title,
+              titles: [assessment.title],
+              dueDate: assessment.dueDate || '',
+              dueTime: assessment.dueTime || '',
+              timezone: assessment.timezone || '',
+            },
+          ],
+    )
+
+// Pairs calendar events with assessments. Matching is greedy by similarity so
+// each assessment takes at most one event; leftovers become new assessments.
+// Events that name no known course come back with `course: null` for the
+// user to assign before they can be created.
+export const planCalendarImport = ({ events, courses, assessments, activeSemesterId }) => {
+  const rows = []
+  const seenUids = new Set()
+  const candidates = []
+
+  events.forEach((event, index) => {
+    const key = event.uid || `event-${index}`
+    if (seenUids.has(key)) return
+    seenUids.add(key)
+    const course = findEventCourse(event, courses, activeSemesterId)
+    const title = cleanEventTitle(event.summary, course)
+    const row = {
+      key,
+      event,
+      course,
+      title,
+      dueDate: event.date,
+      dueTime: event.time || '',
+      timezone: event.time ? event.timezone : '',
+      target: null,
+      score: 0,
+    }
+    rows.push(row)
+    if (!course) return
+    getImportTargets(assessments, course.id).forEach((target) => {
+      const score = Math.max(...target.titles.map((value) => getTitleSimilarity(title, value)))
+      if (score >= CALENDAR_MATCH_THRESHOLD) candidates.push({ row, target, score })
+    })
+  })
+
+  const claimed = new Set()
+  candidates
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ row, target, score }) => {
+      const targetKey = `${target.assessmentId}:${target.itemId || ''}`
+      if (row.target || claimed.has(targetKey)) return
+      claimed.add(targetKey)
+      row.target = target
+      row.score = score
+    })
+
+  rows.forEach((row) => {
+    if (!row.target) row.action = CALENDAR_IMPORT_ACTIONS.create
+    else if (getDueAt(row.target)?.getTime() === getDueAt(row)?.getTime()) {
+      row.action = CALENDAR_IMPORT_ACTIONS.unchanged
+    }
+    else row.action = CALENDAR_IMPORT_ACTIONS.update
+  })
+
+  // Unassigned events sort last.
+  rows.sort(
+    (a, b) =>
+      Number(!a.course) - Number(!b.course) ||
+      normalizeCourseCode(a.course?.code).localeCompare(normalizeCourseCode(b.course?.code)) ||
+      getDueSortKey(a).localeCompare(getDueSortKey(b)),
+  )
+
+  return { rows }
+}
+
+export const applyCalendarImportRows = (assessments, rows) => {
+  const updates = new Map()
+  rows
+    .filter((row) => row.action === CALENDAR_IMPORT_ACTIONS.update && row.target)
+    .forEach((row) => {
+      const { assessmentId, itemId } = row.target
+      if (!updates.has(assessmentId)) updates.set(assessmentId, new Map())
+      updates.get(assessmentId).set(itemId, {
+        dueDate: row.dueDate,
+        dueTime: row.dueTime,
+        timezone: row.timezone,
+      })
+    })
+
+  const next = assessments.map((assessment) => {
+    const changes = updates.get(assessment.id)
+    if (!changes) return assessment
+    if (!isAssessmentGroup(assessment)) {
+      return changes.has(null) ? { ...assessment, ...changes.get(null) } : assessment
+    }
+    const items = assessment.items.map((item) =>
+      changes.has(item.id) ? { ...item, ...changes.get(item.id) } : item,
+    )
+    return { ...assessment, items, ...summarizeGroupItems(items) }
+  })
+
+  // Calendars carry no weights, so new items are left without one and the
+  // assessment dialog asks for it before they count towards the course.
+  const created = rows
+    .filter((row) => row.action === CALENDAR_IMPORT_ACTIONS.create && row.course)
+    .map((row) => ({
+      id: createId(),
+      courseId: row.course.id,
+      title: row.title,
+      type: inferAssessmentType(row.title),
+      dueDate: row.dueDate,
+      dueTime: row.dueTime,
+      timezone: row.timezone,
+      weight: null,
+      score: null,
+      completed: false,
+    }))
+
+  return [...next, ...created]
+}
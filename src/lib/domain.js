@@ -0,0 +1,198 @@
+// Pure record helpers shared by the dashboard hook and the import and export
+// libraries: settings defaults, ids, text and course code normalizers, due
+// dates, and the grading of assessments and their groups.
+
+import { zonedTimeToDate } from './timezone'
+
+export const STUDY_PERIODS = ['Summer Term', 'Semester 1', 'Winter Term', 'Semester 2']
+
+export const WAM_GOAL_SCOPES = {
+  semester: 'semester',
+  cumulative: 'cumulative',
+}
+
+export const GROUP_RULES = {
+  all: 'all',
+  best: 'best',
+  dropLowest: 'drop-lowest',
+}
+
+export const SCORE_DISPLAYS = {
+  percent: 'percent',
+  raw: 'raw',
+}
+
+export const PLANNER_MODES = {
+  uniform: 'uniform',
+  history: 'history',
+}
+
+export const CALENDAR_VIEWS = {
+  month: 'month',
+  week: 'week',
+  agenda: 'agenda',
+}
+
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  offsets: [3 * 24 * 60, 24 * 60, 2 * 60],
+  digest: false,
+  digestTime: '08:00',
+}
+
+export const DEFAULT_SETTINGS = {
+  scoreDisplay: SCORE_DISPLAYS.percent,
+  plannerMode: PLANNER_MODES.uniform,
+  calendarView: CALENDAR_VIEWS.month,
+  reminders: DEFAULT_REMINDER_SETTINGS,
+}
+
+export const MAX_COURSES = 8
+
+export const createId = () =>
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(16).slice(2)}`
+
+export const normalizeText = (value) =>
+  String(value ?? '')
+    .replace(/\s+/g, ' ')
+    .trim()
+
+export const toNumberOrNull = (value) => {
+  if (value === '' || value === null || value === undefined) return null
+  const numberValue = Number(value)
+  return Number.isFinite(numberValue) ? numberValue : null
+}
+
+export const normalizeCourseCode = (value) =>
+  value ? value.replace(/\s+/g, '').toUpperCase() : ''
+
+export const formatSemesterLabel = (semester) =>
+  semester ? `${semester.studyPeriod}, ${semester.year}` : 'Current Semester'
+
+// An assessment with a window can be done any time from `startDate`; the
+// deadline is still `dueDate` (and `dueTime`).
+export const hasDueWindow = (item) =>
+  Boolean(item?.startDate && item?.dueDate && item.startDate < item.dueDate)
+
+// Untimed items sort after anything timed on the same day.
+export const getDueSortKey = (item) =>
+  item.dueDate ? `${item.dueDate}T${item.dueTime || '24:00'}` : ''
+
+export const sortByDueDate = (items) => {
+  const sorter = (a, b) => getDueSortKey(a).localeCompare(getDueSortKey(b))
+  return Array.prototype.toSorted ? items.toSorted(sorter) : [...items].sort(sorter)
+}
+
+// Deadline instant: the due time in the item's zone, or the last second of the
+// due date there when no time is set.
+export const getDueAt = (item) => {
+  if (!item?.dueDate) return null
+  return zonedTimeToDate(item.dueDate, item.dueTime || '23:59:59', item.timezone)
+}
+
+export const hasRawMarks = (assessment) =>
+  toNumberOrNull(assessment?.pointsEarned) !== null &&
+  Number(assessment?.pointsPossible) > 0
+
+export const isAssessmentGroup = (assessment) => Array.isArray(assessment?.items)
+
+// Items imported from a calendar have no weight until the user sets one.
+export const formatAssessmentWeight = (assessment) =>
+  Number(assessment?.weight) > 0 ? `${assessment.weight}%` : 'Weight needed'
+
+// Number of child items that count towards a group's mark under its rule.
+export const getGroupCountedSlots = (group) => {
+  const total = group?.items?.length || 0
+  const count = Math.max(0, Math.floor(Number(group?.groupRule?.count) || 0))
+  if (group?.groupRule?.type === GROUP_RULES.best) {
+    return count ? Math.min(count, total) : total
+  }
+  if (group?.groupRule?.type === GROUP_RULES.dropLowest) {
+    return Math.max(total - count, Math.min(total, 1))
+  }
+  return total
+}
+
+export const formatGroupRule = (group) => {
+  const total = group?.items?.length || 0
+  const slots = getGroupCountedSlots(group)
+  if (group?.groupRule?.type === GROUP_RULES.best) return `Best ${slots} of ${total}`
+  if (group?.groupRule?.type === GROUP_RULES.dropLowest) {
+    return `Drop lowest ${total - slots}`
+  }
+  return `All ${total} count`
+}
+
+// Splits an assessment's weight into its graded and still-open portions. A
+// group spreads its weight over the counted slots and fills them with the
+// best child scores so far, so "best 8 of 10" never counts a dropped quiz.
+export const getAssessmentProgress = (assessment) => {
+  const weight = Number(assessment?.weight || 0)
+  if (!isAssessmentGroup(assessment)) {
+    const percent = getAssessmentPercent(assessment)
+    return assessment?.completed && percent !== null
+      ? { completedWeight: weight, completedScoreSum: percent * weight, remainingWeight: 0 }
+      : { completedWeight: 0, completedScoreSum: 0, remainingWeight: weight }
+  }
+
+  const slots = getGroupCountedSlots(assessment)
+  if (!slots) return { completedWeight: 0, completedScoreSum: 0, remainingWeight: weight }
+  const slotWeight = weight / slots
+  const scores = assessment.items
+    .filter((item) => item.completed)
+    .map(getAssessmentPercent)
+    .filter((percent) => percent !== null)
+    .sort((a, b) => b - a)
+    .slice(0, slots)
+  return {
+    completedWeight: slotWeight * scores.length,
+    completedScoreSum: scores.reduce((sum, percent) => sum + percent * slotWeight, 0),
+    remainingWeight: slotWeight * (slots - scores.length),
+  }
+}
+
+// Raw marks (e.g. 17.5 / 25) are the source of truth when present; `score`
+// keeps the derived percentage for older records and simple views.
+export const getAssessmentPercent = (assessment) => {
+  if (isAssessmentGroup(assessment)) {
+    const { completedWeight, completedScoreSum } = getAssessmentProgress(assessment)
+    return completedWeight ? completedScoreSum / completedWeight : null
+  }
+  if (hasRawMarks(assessment)) {
+    return (Number(assessment.pointsEarned) / Number(assessment.pointsPossible)) * 100
+  }
+  return toNumberOrNull(assessment?.score)
+}
+
+export const summarizeGroupItems = (items) => {
+  const pending = sortByDueDate(items.filter((item) => !item.completed && item.dueDate))
+  const dated = sortByDueDate(items.filter((item) => item.dueDate))
+  const next = pending[0] || dated[dated.length - 1]
+  return {
+    completed: items.length > 0 && items.every((item) => item.completed),
+    dueDate: next?.dueDate || '',
+    dueTime: next?.dueTime || '',
+  }
+}
+
+export const inferAssessmentType = (title) => {
+  const text = normalizeText(title).toLowerCase()
+  if (/\bfinal\b/.test(text)) return 'Final'
+  if (/\bmid\s*-?\s*term\b|\bmidsemester\b|\bmid\s*-?\s*semester\b/.test(text)) {
+    return 'Midterm'
+  }
+  if (/\bquiz\b|\btest\b/.test(text)) return 'Quiz'
+  if (/\bproject\b|\bportfolio\b|\bpresentation\b/.test(text)) return 'Project'
+  return 'Assignment'
+}
+
+export const assessmentSignature = (assessment) => {
+  const title = normalizeText(assessment.title).toLowerCase()
+  const type = normalizeText(assessment.type).toLowerCase()
+  const weight = Number(assessment.weight || 0).toFixed(2)
+  const dueDate = assessment.dueDate || ''
+  return `${assessment.courseId}|${title}|${type}|${weight}|${dueDate}`
+}
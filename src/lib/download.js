@@ -0,0 +1,12 @@
+// Saves generated text (backups, calendars) through a temporary object URL.
+export const downloadFile = (filename, content, type) => {
+  const blob = new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
@@ -0,0 +1,121 @@
+// Keeps the handbook dataset in IndexedDB, one record per subject, so a delta
+// from /api/handbook/delta only touches the subjects that changed. The meta
+// record remembers the version and ETag the copy corresponds to.
+
+const DB_NAME = 'unitracker-handbook'
+const DB_VERSION = 1
+const ITEMS_STORE = 'items'
+const META_STORE = 'meta'
+const META_KEY = 'dataset'
+// Cache Storage copy written by earlier builds.
+const LEGACY_CACHE = 'unitracker-handbook'
+
+const isIndexedDbAvailable = () => typeof indexedDB !== 'undefined'
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+let dbPromise = null
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(ITEMS_STORE)) {
+          db.createObjectStore(ITEMS_STORE, { keyPath: 'code' })
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE)
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch((error) => {
+      dbPromise = null
+      throw error
+    })
+    if (typeof caches !== 'undefined') caches.delete(LEGACY_CACHE).catch(() => {})
+  }
+  return dbPromise
+}
+
+const runTransaction = async (mode, work) => {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([ITEMS_STORE, META_STORE], mode)
+    const result = work(transaction.objectStore(ITEMS_STORE), transaction.objectStore(META_STORE))
+    transaction.oncomplete = () => resolve(result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+const toPayload = (meta, items) => ({
+  version: meta.version,
+  generatedAt: meta.generatedAt,
+  source: meta.source,
+  items: items.sort((a, b) => a.code.localeCompare(b.code)),
+})
+
+// Resolves to { version, etag, payload } or null when nothing is stored.
+export const readCachedHandbook = async () => {
+  if (!isIndexedDbAvailable()) return null
+  try {
+    const db = await openDb()
+    const transaction = db.transaction([ITEMS_STORE, META_STORE], 'readonly')
+    const [meta, items] = await Promise.all([
+      requestToPromise(transaction.objectStore(META_STORE).get(META_KEY)),
+      requestToPromise(transaction.objectStore(ITEMS_STORE).getAll()),
+    ])
+    if (!meta?.version) return null
+    return { version: meta.version, etag: meta.etag || null, payload: toPayload(meta, items) }
+  } catch {
+    return null
+  }
+}
+
+const toMeta = (payload, etag) => ({
+  version: payload.version,
+  generatedAt: payload.generatedAt || null,
+  source: payload.source || null,
+  etag: etag || null,
+  storedAt: new Date().toISOString(),
+})
+
+export const writeCachedHandbook = async (payload, etag) => {
+  if (!isIndexedDbAvailable() || !payload?.version) return
+  try {
+    await runTransaction('readwrite', (items, meta) => {
+      items.clear()
+      for (const item of payload.items || []) {
+        if (item?.code) items.put(item)
+      }
+      meta.put(toMeta(payload, etag), META_KEY)
+    })
+  } catch {
+    // Quota or private mode; the next load simply downloads again.
+  }
+}
+
+// Applies { version, generatedAt, source, changed, removed } on top of the
+// stored copy and resolves to the updated payload, or null when the store
+// could not be updated or read back.
+export const applyCachedHandbookDelta = async (delta, etag) => {
+  try {
+    await runTransaction('readwrite', (items, meta) => {
+      for (const code of delta.removed || []) items.delete(code)
+      for (const item of delta.changed || []) {
+        if (item?.code) items.put(item)
+      }
+      meta.put(toMeta(delta, etag), META_KEY)
+    })
+  } catch {
+    return null
+  }
+  return (await readCachedHandbook())?.payload || null
+}
@@ -0,0 +1,299 @@
+// Fuzzy search over handbook subjects. Shared by the lookup card, which
+// searches the dataset it already holds, and /api/handbook/search on the
+// server, so both rank and highlight the same way.
+
+export const HANDBOOK_SEARCH_LIMIT = 20
+
+export const STUDY_PERIODS = [
+  { value: 'Summer Term', pattern: /summer\s+term/i },
+  { value: 'Semester 1', pattern: /semester\s*1\b/i },
+  { value: 'Winter Term', pattern: /winter\s+term/i },
+  { value: 'Semester 2', pattern: /semester\s*2\b/i },
+  { value: 'Year Long', pattern: /year\s+long/i },
+]
+
+// Points per term, by where the term matched. A term that matches nowhere
+// drops the subject.
+const FIELD_SCORES = {
+  code: { exact: 120, prefix: 60, contains: 40 },
+  name: { prefix: 30, contains: 20, fuzzy: 12 },
+  overview: { prefix: 10, contains: 8, fuzzy: 4 },
+  availability: { prefix: 6, contains: 5, fuzzy: 0 },
+}
+const PHRASE_BONUS = 25
+const SNIPPET_RADIUS = 80
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu
+
+const getWords = (text) =>
+  [...text.matchAll(WORD_PATTERN)].map((match) => ({
+    word: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length,
+  }))
+
+// Levenshtein distance, giving up once it is past `max`.
+const getEditDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      rowMin = Math.min(rowMin, current[j])
+    }
+    if (rowMin > max) return max + 1
+    previous = current
+  }
+  return previous[b.length]
+}
+
+const getTypoAllowance = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0)
+
+export const getSubjectLevel = (subject) => {
+  const fromCode = /^[A-Z]{4}(\d)/.exec(subject?.code || '')
+  if (fromCode) return Number(fromCode[1])
+  const fromText = /level\s*(\d)/i.exec(subject?.availability || '')
+  return fromText ? Number(fromText[1]) : null
+}
+
+export const getSubjectStudyPeriods = (subject) => {
+  const text = `${subject?.availability || ''} ${subject?.studyPeriod || ''}`
+  return STUDY_PERIODS.filter((period) => period.pattern.test(text)).map(
+    (period) => period.value,
+  )
+}
+
+const joinOverview = (overview) =>
+  Array.isArray(overview) ? overview.join(' ') : overview || ''
+
+export const buildHandbookSearchIndex = (items = []) =>
+  items
+    .filter((item) => item?.code)
+    .map((item) => {
+      const fields = {
+        code: item.code.toUpperCase(),
+        name: item.name || '',
+        overview: joinOverview(item.overview),
+        availability: item.availability || '',
+      }
+      return {
+        subject: item,
+        fields,
+        words: {
+          name: getWords(fields.name),
+          overview: getWords(fields.overview),
+          availability: getWords(fields.availability),
+        },
+        lower: {
+          name: fields.name.toLowerCase(),
+          overview: fields.overview.toLowerCase(),
+          availability: fields.availability.toLowerCase(),
+        },
+        level: getSubjectLevel(item),
+        studyPeriods: getSubjectStudyPeriods(item),
+        creditPoints: Number.isFinite(item.creditPoints) ? item.creditPoints : null,
+      }
+    })
+
+export const getHandbookSearchFacets = (index = []) => {
+  const creditPoints = new Set()
+  const levels = new Set()
+  const periods = new Set()
+  index.forEach((entry) => {
+    if (entry.creditPoints !== null) creditPoints.add(entry.creditPoints)
+    if (entry.level !== null) levels.add(entry.level)
+    entry.studyPeriods.forEach((period) => periods.add(period))
+  })
+  return {
+    creditPoints: [...creditPoints].sort((a, b) => a - b),
+    levels: [...levels].sort((a, b) => a - b),
+    studyPeriods: STUDY_PERIODS.map((period) => period.value).filter((value) =>
+      periods.has(value),
+    ),
+  }
+}
+
+export const normalizeHandbookFilters = (filters = {}) => {
+  const creditPoints = Number(filters.creditPoints)
+  const level = Number(filters.level)
+  return {
+    creditPoints: filters.creditPoints !== '' && Number.isFinite(creditPoints) ? creditPoints : null,
+    level: filters.level !== '' && Number.isFinite(level) ? level : null,
+    studyPeriod: STUDY_PERIODS.some((period) => period.value === filters.studyPeriod)
+      ? filters.studyPeriod
+      : '',
+  }
+}
+
+const hasActiveFilters = (filters) =>
+  filters.creditPoints !== null || filters.level !== null || Boolean(filters.studyPeriod)
+
+const matchesFilters = (entry, filters) =>
+  (filters.creditPoints === null || entry.creditPoints === filters.creditPoints) &&
+  (filters.level === null || entry.level === filters.level) &&
+  (!filters.studyPeriod || entry.studyPeriods.includes(filters.studyPeriod))
+
+const getTerms = (query) =>
+  [...new Set((query || '').toLowerCase().match(WORD_PATTERN) || [])]
+
+// Best way `term` appears in a text field: a word starting with it, the
+// text containing it, or a word within typo distance of it.
+const matchTextField = (entry, field, term) => {
+  const scores = FIELD_SCORES[field]
+  const words = entry.words[field]
+  const prefixed = words.find((word) => word.word.startsWith(term))
+  if (prefixed) {
+    return { score: scores.prefix, range: [prefixed.start, prefixed.start + term.length] }
+  }
+  const at = entry.lower[field].indexOf(term)
+  if (at !== -1) return { score: scores.contains, range: [at, at + term.length] }
+
+  const allowance = getTypoAllowance(term)
+  if (!allowance || !scores.fuzzy) return null
+  let best = null
+  for (const word of words) {
+    if (word.word.length < 3) continue
+    const candidate =
+      word.word.length > term.length ? word.word.slice(0, term.length) : word.word
+    const distance = getEditDistance(term, candidate, allowance)
+    if (distance <= allowance && (!best || distance < best.distance)) {
+      best = { distance, word }
+      if (distance === 1) break
+    }
+  }
+  if (!best) return null
+  return {
+    score: scores.fuzzy - (best.distance - 1) * 2,
+    range: [best.word.start, best.word.end],
+  }
+}
+
+const matchCode = (entry, term) => {
+  const code = entry.fields.code.toLowerCase()
+  if (code === term) return { score: FIELD_SCORES.code.exact, range: [0, code.length] }
+  if (code.startsWith(term)) return { score: FIELD_SCORES.code.prefix, range: [0, term.length] }
+  const at = term.length >= 3 ? code.indexOf(term) : -1
+  if (at !== -1) return { score: FIELD_SCORES.code.contains, range: [at, at + term.length] }
+  return null
+}
+
+const mergeRanges = (ranges) => {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0])
+  const merged = []
+  sorted.forEach((range) => {
+    const last = merged[merged.length - 1]
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1])
+    else merged.push([...range])
+  })
+  return merged
+}
+
+// Cuts a window of long text around its first highlight and shifts the
+// ranges to match.
+const toSnippet = (text, ranges) => {
+  if (!ranges.length) return null
+  const start = Math.max(0, ranges[0][0] - SNIPPET_RADIUS)
+  const end = Math.min(text.length, ranges[0][1] + SNIPPET_RADIUS * 2)
+  const head = start > 0 ? '…' : ''
+  const tail = end < text.length ? '…' : ''
+  const shift = head.length - start
+  return {
+    text: `${head}${text.slice(start, end)}${tail}`,
+    ranges: ranges
+      .filter((range) => range[0] >= start && range[1] <= end)
+      .map((range) => [range[0] + shift, range[1] + shift]),
+  }
+}
+
+const scoreEntry = (entry, terms, phrase) => {
+  const ranges = { code: [], name: [], overview: [], availability: [] }
+  let score = 0
+  for (const term of terms) {
+    const matches = {
+      code: matchCode(entry, term),
+      name: matchTextField(entry, 'name', term),
+      overview: matchTextField(entry, 'overview', term),
+      availability: matchTextField(entry, 'availability', term),
+    }
+    let best = 0
+    Object.entries(matches).forEach(([field, match]) => {
+      if (!match) return
+      ranges[field].push(match.range)
+      best = Math.max(best, match.score)
+    })
+    if (!best) return null
+    score += best
+  }
+
+  // Whole-query code lookups ("mast 10006") and exact name phrases rank first.
+  const compactPhrase = phrase.replace(/\s+/g, '')
+  if (compactPhrase && entry.fields.code.toLowerCase() === compactPhrase) {
+    score += FIELD_SCORES.code.exact
+    ranges.code = [[0, entry.fields.code.length]]
+  }
+  if (terms.length > 1) {
+    const at = entry.lower.name.indexOf(phrase)
+    if (at !== -1) {
+      score += PHRASE_BONUS
+      ranges.name.push([at, at + phrase.length])
+    }
+  }
+
+  return {
+    score,
+    highlights: {
+      code: mergeRanges(ranges.code),
+      name: mergeRanges(ranges.name),
+      overview: toSnippet(entry.fields.overview, mergeRanges(ranges.overview)),
+      availability: toSnippet(entry.fields.availability, mergeRanges(ranges.availability)),
+    },
+  }
+}
+
+// Returns [{ subject, score, level, studyPeriods, highlights }], best
+// first. With no query the filters alone list subjects by code.
+export const searchHandbook = (index, query, filters = {}, limit = HANDBOOK_SEARCH_LIMIT) => {
+  const normalizedFilters = normalizeHandbookFilters(filters)
+  const terms = getTerms(query)
+  if (!terms.length && !hasActiveFilters(normalizedFilters)) return []
+  const phrase = (query || '').trim().toLowerCase().replace(/\s+/g, ' ')
+
+  const results = []
+  for (const entry of index) {
+    if (!matchesFilters(entry, normalizedFilters)) continue
+    const match = terms.length
+      ? scoreEntry(entry, terms, phrase)
+      : {
+          score: 0,
+          highlights: { code: [], name: [], overview: null, availability: null },
+        }
+    if (!match) continue
+    results.push({
+      subject: entry.subject,
+      score: match.score,
+      level: entry.level,
+      studyPeriods: entry.studyPeriods,
+      highlights: match.highlights,
+    })
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || a.subject.code.localeCompare(b.subject.code))
+    .slice(0, limit)
+}
+
+// Splits text into [{ text, match }] parts for rendering highlights.
+export const getHighlightParts = (text, ranges = []) => {
+  const value = text || ''
+  const parts = []
+  let cursor = 0
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) parts.push({ text: value.slice(cursor, start), match: false })
+    parts.push({ text: value.slice(start, end), match: true })
+    cursor = end
+  })
+  if (cursor < value.length) parts.push({ text: value.slice(cursor), match: false })
+  return parts
+}
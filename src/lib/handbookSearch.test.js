@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest'
+import {
+  buildHandbookSearchIndex,
+  getHandbookSearchFacets,
+  getHighlightParts,
+  getSubjectLevel,
+  getSubjectStudyPeriods,
+  searchHandbook,
+} from './handbookSearch'
+
+const subjects = [
+  {
+    code: 'COMP10001',
+    name: 'Foundations of Computing',
+    overview: ['An introduction to programming in Python.'],
+    availability: 'Semester 1, Semester 2',
+    creditPoints: 12.5,
+  },
+  {
+    code: 'MAST10006',
+    name: 'Calculus 2',
+    overview: 'Limits, series and multivariable calculus.',
+    availability: 'Summer Term, Semester 1',
+    creditPoints: 12.5,
+  },
+  {
+    code: 'COMP30027',
+    name: 'Machine Learning',
+    overview: 'Supervised and unsupervised learning.',
+    availability: 'Semester 1',
+    creditPoints: 12.5,
+  },
+  { name: 'No code' },
+]
+
+const index = buildHandbookSearchIndex(subjects)
+const codes = (results) => results.map((result) => result.subject.code)
+
+describe('subject facets', () => {
+  it('reads the level from the code and study periods from availability', () => {
+    expect(getSubjectLevel(subjects[2])).toBe(3)
+    expect(getSubjectLevel({ availability: 'Level 2' })).toBe(2)
+    expect(getSubjectStudyPeriods(subjects[1])).toEqual(['Summer Term', 'Semester 1'])
+  })
+
+  it('collects the filter options present in the index', () => {
+    expect(index).toHaveLength(3)
+    expect(getHandbookSearchFacets(index)).toEqual({
+      creditPoints: [12.5],
+      levels: [1, 3],
+      studyPeriods: ['Summer Term', 'Semester 1', 'Semester 2'],
+    })
+  })
+})
+
+describe('searchHandbook', () => {
+  it('ranks an exact code, also written with a space, first', () => {
+    expect(codes(searchHandbook(index, 'comp10001'))[0]).toBe('COMP10001')
+    expect(codes(searchHandbook(index, 'mast 10006'))[0]).toBe('MAST10006')
+  })
+
+  it('requires every term to match somewhere', () => {
+    expect(codes(searchHandbook(index, 'machine learning'))).toEqual(['COMP30027'])
+    expect(searchHandbook(index, 'machine biology')).toEqual([])
+  })
+
+  it('tolerates typos in longer words', () => {
+    expect(codes(searchHandbook(index, 'calculsu'))).toEqual(['MAST10006'])
+  })
+
+  it('filters by level and study period, and lists by code without a query', () => {
+    expect(codes(searchHandbook(index, '', { level: '1' }))).toEqual(['COMP10001', 'MAST10006'])
+    expect(codes(searchHandbook(index, 'comp', { studyPeriod: 'Semester 2' }))).toEqual([
+      'COMP10001',
+    ])
+    expect(searchHandbook(index, '')).toEqual([])
+  })
+
+  it('returns highlight ranges for the matched text', () => {
+    const [result] = searchHandbook(index, 'python')
+
+    expect(result.highlights.name).toEqual([])
+    const { text, ranges } = result.highlights.overview
+    expect(ranges.map(([start, end]) => text.slice(start, end))).toEqual(['Python'])
+  })
+})
+
+describe('getHighlightParts', () => {
+  it('splits text around the highlighted ranges', () => {
+    expect(getHighlightParts('Machine Learning', [[8, 13]])).toEqual([
+      { text: 'Machine ', match: false },
+      { text: 'Learn', match: true },
+      { text: 'ing', match: false },
+    ])
+  })
+})
@@ -0,0 +1,282 @@
+// iCalendar (RFC 5545) output for assessment due dates. Kept free of browser
+// and Vite APIs so the self-hosted server can build feeds with it as well.
+
+import { DEFAULT_TIMEZONE, getZonedParts, isValidTimezone, zonedTimeToDate } from './timezone.js'
+
+// RFC 7986 COLOR only accepts CSS colour names, so course colours are mapped
+// to the closest one.
+const CSS_COLORS = {
+  cornflowerblue: [100, 149, 237],
+  mediumseagreen: [60, 179, 113],
+  palevioletred: [219, 112, 147],
+  sandybrown: [244, 164, 96],
+  mediumpurple: [147, 112, 219],
+  mediumaquamarine: [102, 205, 170],
+  lightslategray: [119, 136, 153],
+  lightcoral: [240, 128, 128],
+  steelblue: [70, 130, 180],
+  goldenrod: [218, 165, 32],
+}
+
+const hexToRgb = (hex) => {
+  const match = /^#?([0-9a-f]{6})$/i.exec(String(hex || '').trim())
+  if (!match) return null
+  const value = parseInt(match[1], 16)
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+}
+
+export const toCssColorName = (hex) => {
+  const rgb = hexToRgb(hex)
+  if (!rgb) return null
+  let best = null
+  let bestDistance = Infinity
+  Object.entries(CSS_COLORS).forEach(([name, candidate]) => {
+    const distance = candidate.reduce((sum, channel, index) => sum + (channel - rgb[index]) ** 2, 0)
+    if (distance < bestDistance) {
+      best = name
+      bestDistance = distance
+    }
+  })
+  return best
+}
+
+const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+
+// Lines longer than 75 octets are folded with CRLF + space.
+const foldLine = (line) => {
+  const bytes = new TextEncoder().encode(line)
+  if (bytes.length <= 75) return line
+  const parts = []
+  let current = ''
+  let currentBytes = 0
+  for (const char of line) {
+    const size = new TextEncoder().encode(char).length
+    if (currentBytes + size > (parts.length ? 74 : 75)) {
+      parts.push(current)
+      current = ''
+      currentBytes = 0
+    }
+    current += char
+    currentBytes += size
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+const pad = (value) => String(value).padStart(2, '0')
+
+const formatDateValue = (isoDate) => isoDate.replace(/-/g, '')
+
+const formatUtcStamp = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(
+    date.getUTCHours(),
+  )}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+
+const nextIsoDate = (isoDate) => {
+  const [year, month, day] = isoDate.split('-').map(Number)
+  const next = new Date(Date.UTC(year, month - 1, day + 1))
+  return `${next.getUTCFullYear()}-${pad(next.getUTCMonth() + 1)}-${pad(next.getUTCDate())}`
+}
+
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value || ''))
+
+// Pending items with a due date, one per group child where groups exist.
+export const getCalendarEvents = ({ courses, assessments }) => {
+  const courseMap = new Map(courses.map((course) => [course.id, course]))
+  const events = []
+
+  const pushEvent = (assessment, item, titlePrefix) => {
+    if (item.completed || !isIsoDate(item.dueDate)) return
+    const course = courseMap.get(assessment.courseId)
+    const code = course?.code || 'Course'
+    events.push({
+      uid: `${item.id}@unitracker`,
+      date: item.dueDate,
+      time: item.dueTime || '',
+      timezone: item.timezone || assessment.timezone || '',
+      summary: `${code} · ${titlePrefix}${item.title}`,
+      description: [
+        course?.name,
+        assessment.type,
+        item.startDate && item.startDate < item.dueDate ? `Opens: ${item.startDate}` : '',
+        assessment.weight ? `Weight: ${assessment.weight}%` : '',
+        assessment.hurdle ? `Hurdle: ${assessment.hurdleThreshold ?? 50}%` : '',
+      ]
+        .filter(Boolean)
+        .join('\n'),
+      categories: [code, assessment.type].filter(Boolean),
+      color: toCssColorName(course?.color),
+      sequence: assessment.rev || 0,
+    })
+  }
+
+  assessments.forEach((assessment) => {
+    if (Array.isArray(assessment.items)) {
+      assessment.items.forEach((item) => pushEvent(assessment, item, `${assessment.title}: `))
+      return
+    }
+    pushEvent(assessment, assessment, '')
+  })
+
+  return events.sort(
+    (a, b) => a.date.localeCompare(b.date) || (a.time || '24:00').localeCompare(b.time || '24:00'),
+  )
+}
+
+export const buildCalendar = ({ name, events, now = new Date() }) => {
+  const stamp = formatUtcStamp(now)
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//UniTracker//Assessments//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `NAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+  ]
+
+  events.forEach((event) => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+    )
+    const dueAt = event.time ? zonedTimeToDate(event.date, event.time, event.timezone) : null
+    if (dueAt) {
+      // Deadlines are points in time, written in UTC to avoid VTIMEZONE blocks.
+      lines.push(`DTSTART:${formatUtcStamp(dueAt)}`, `DTEND:${formatUtcStamp(dueAt)}`)
+    } else {
+      lines.push(
+        `DTSTART;VALUE=DATE:${formatDateValue(event.date)}`,
+        `DTEND;VALUE=DATE:${formatDateValue(nextIsoDate(event.date))}`,
+      )
+    }
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`)
+    if (event.categories?.length) {
+      lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`)
+    }
+    if (event.color) lines.push(`COLOR:${event.color}`)
+    lines.push(`SEQUENCE:${event.sequence || 0}`, 'TRANSP:TRANSPARENT', 'END:VEVENT')
+  })
+
+  lines.push('END:VCALENDAR')
+  return `${lines.map(foldLine).join('\r\n')}\r\n`
+}
+
+const unescapeText = (value) =>
+  String(value ?? '').replace(/\\([\\;,nN])/g, (_, char) =>
+    char === 'n' || char === 'N' ? '\n' : char,
+  )
+
+// Splits a content line into name, parameters and value. Quoted parameter
+// values may contain ':' and ';'.
+const parseContentLine = (line) => {
+  let index = 0
+  let quoted = false
+  while (index < line.length) {
+    const char = line[index]
+    if (char === '"') quoted = !quoted
+    else if (char === ':' && !quoted) break
+    index += 1
+  }
+  const [name, ...rawParams] = line.slice(0, index).split(';')
+  const params = {}
+  rawParams.forEach((param) => {
+    const [key, ...rest] = param.split('=')
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '')
+  })
+  return { name: name.toUpperCase(), params, value: line.slice(index + 1) }
+}
+
+// DATE values carry no time. TZID times keep their wall clock and zone; UTC
+// times are moved into the default zone. Floating times and unknown (often
+// Windows-style) TZIDs are read as the default zone too.
+const parseDateProperty = ({ params, value }) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim())
+  if (!match) return null
+  const [, year, month, day, hours, minutes, seconds, utc] = match
+  const date = `${year}-${month}-${day}`
+  if (params.VALUE === 'DATE' || !hours) return { date, time: '', timezone: '' }
+  if (utc) {
+    const instant = new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds))
+    const zoned = getZonedParts(instant, DEFAULT_TIMEZONE)
+    return { date: zoned.date, time: zoned.time, timezone: DEFAULT_TIMEZONE }
+  }
+  return {
+    date,
+    time: `${hours}:${minutes}`,
+    timezone: isValidTimezone(params.TZID) ? params.TZID : DEFAULT_TIMEZONE,
+  }
+}
+
+// Reads the VEVENTs of an .ics file (Canvas, Moodle, Google and Outlook
+// exports). Events without a usable start date are dropped.
+export const parseCalendar = (text) => {
+  const lines = String(text ?? '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+  const events = []
+  let current = null
+
+  lines.forEach((line) => {
+    if (!line.trim()) return
+    const property = parseContentLine(line)
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+      current = { uid: '', summary: '', description: '', location: '', url: '', categories: [] }
+      return
+    }
+    if (!current) return
+    if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+      if (current.date) events.push(current)
+      current = null
+      return
+    }
+    switch (property.name) {
+      case 'UID':
+        current.uid = property.value.trim()
+        break
+      case 'SUMMARY':
+        current.summary = unescapeText(property.value).trim()
+        break
+      case 'DESCRIPTION':
+        current.description = unescapeText(property.value).trim()
+        break
+      case 'LOCATION':
+        current.location = unescapeText(property.value).trim()
+        break
+      case 'URL':
+        current.url = property.value.trim()
+        break
+      case 'CATEGORIES':
+        current.categories.push(
+          ...property.value
+            .split(/(?<!\\),/)
+            .map((value) => unescapeText(value).trim())
+            .filter(Boolean),
+        )
+        break
+      case 'DTSTART': {
+        const start = parseDateProperty(property)
+        if (start) {
+          current.date = start.date
+          current.time = start.time
+          current.timezone = start.timezone
+        }
+        break
+      }
+      default:
+        break
+    }
+  })
+
+  return events
+}
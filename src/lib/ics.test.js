@@ -0,0 +1,166 @@
+import { describe, expect, it } from 'vitest'
+import { buildCalendar, getCalendarEvents, parseCalendar, toCssColorName } from './ics'
+
+const courses = [{ id: 'c1', code: 'COMP10001', name: 'Foundations', color: '#6495ed' }]
+
+describe('getCalendarEvents', () => {
+  it('lists pending dated items, one per group child, in due order', () => {
+    const events = getCalendarEvents({
+      courses,
+      assessments: [
+        { id: 'a1', courseId: 'c1', title: 'Essay', type: 'Assignment', dueDate: '2026-05-01', weight: 30 },
+        { id: 'a2', courseId: 'c1', title: 'Done', dueDate: '2026-04-01', completed: true },
+        { id: 'a3', courseId: 'c1', title: 'Undated', dueDate: '' },
+        {
+          id: 'g1',
+          courseId: 'c1',
+          title: 'Quizzes',
+          type: 'Quiz',
+          items: [
+            { id: 'q1', title: 'Quiz 1', dueDate: '2026-03-13', dueTime: '17:00', completed: false },
+            { id: 'q2', title: 'Quiz 2', dueDate: '2026-03-20', completed: true },
+          ],
+        },
+      ],
+    })
+
+    expect(events.map((event) => event.uid)).toEqual(['q1@unitracker', 'a1@unitracker'])
+    expect(events[0].summary).toBe('COMP10001 · Quizzes: Quiz 1')
+    expect(events[1]).toMatchObject({
+      description: 'Foundations\nAssignment\nWeight: 30%',
+      categories: ['COMP10001', 'Assignment'],
+      color: 'cornflowerblue',
+    })
+  })
+})
+
+describe('toCssColorName', () => {
+  it('maps hex colours to the nearest CSS name and rejects anything else', () => {
+    expect(toCssColorName('#4682b4')).toBe('steelblue')
+    expect(toCssColorName('blue')).toBeNull()
+  })
+})
+
+describe('buildCalendar', () => {
+  const now = new Date('2026-03-01T00:00:00Z')
+
+  it('writes all-day events for dates and UTC instants for timed deadlines', () => {
+    const ics = buildCalendar({
+      name: 'UniTracker',
+      now,
+      events: [
+        { uid: 'a@unitracker', date: '2026-03-31', time: '', summary: 'Essay' },
+        {
+          uid: 'b@unitracker',
+          date: '2026-03-13',
+          time: '17:00',
+          timezone: 'Australia/Melbourne',
+          summary: 'Quiz',
+        },
+      ],
+    })
+
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true)
+    expect(ics).toContain('DTSTART;VALUE=DATE:20260331\r\nDTEND;VALUE=DATE:20260401')
+    // 17:00 AEDT is 06:00 UTC.
+    expect(ics).toContain('DTSTART:20260313T060000Z')
+    expect(ics).toContain('DTSTAMP:20260301T000000Z')
+  })
+
+  it('escapes text and folds long lines', () => {
+    const ics = buildCalendar({
+      name: 'UniTracker',
+      now,
+      events: [
+        {
+          uid: 'a@unitracker',
+          date: '2026-03-31',
+          summary: 'Report; part 1, draft',
+          description: 'x'.repeat(100),
+        },
+      ],
+    })
+
+    expect(ics).toContain('SUMMARY:Report\\; part 1\\, draft')
+    expect(ics.split('\r\n').every((line) => line.length <= 75)).toBe(true)
+  })
+})
+
+describe('parseCalendar', () => {
+  it('reads back what buildCalendar writes', () => {
+    const events = getCalendarEvents({
+      courses,
+      assessments: [
+        {
+          id: 'a1',
+          courseId: 'c1',
+          title: 'Essay, final',
+          type: 'Assignment',
+          dueDate: '2026-05-01',
+          dueTime: '23:59',
+          timezone: 'Australia/Melbourne',
+        },
+      ],
+    })
+
+    const [event] = parseCalendar(buildCalendar({ name: 'UniTracker', events }))
+
+    expect(event).toMatchObject({
+      uid: 'a1@unitracker',
+      summary: 'COMP10001 · Essay, final',
+      date: '2026-05-01',
+      time: '23:59',
+      timezone: 'Australia/Melbourne',
+      categories: ['COMP10001', 'Assignment'],
+    })
+  })
+
+  it('handles LMS exports with folded lines, TZIDs and date-only events', () => {
+    const text = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:event-1',
+      'SUMMARY:Assignment 1 [COMP10001_2026_S',
+      ' M1]',
+      'DTSTART;TZID="America/New_York":20260310T090000',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:event-2',
+      'SUMMARY:Exam',
+      'DTSTART;VALUE=DATE:20260610',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:event-3',
+      'SUMMARY:No date',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\n')
+
+    const events = parseCalendar(text)
+
+    expect(events).toHaveLength(2)
+    expect(events[0]).toMatchObject({
+      summary: 'Assignment 1 [COMP10001_2026_SM1]',
+      date: '2026-03-10',
+      time: '09:00',
+      timezone: 'America/New_York',
+    })
+    expect(events[1]).toMatchObject({ date: '2026-06-10', time: '', timezone: '' })
+  })
+
+  it('moves UTC times into the default zone and treats unknown TZIDs as it', () => {
+    const text = [
+      'BEGIN:VEVENT',
+      'DTSTART:20260313T060000Z',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART;TZID=AUS Eastern Standard Time:20260313T170000',
+      'END:VEVENT',
+    ].join('\r\n')
+
+    const [utc, windows] = parseCalendar(text)
+
+    expect(utc).toMatchObject({ date: '2026-03-13', time: '17:00', timezone: 'Australia/Melbourne' })
+    expect(windows).toMatchObject({ time: '17:00', timezone: 'Australia/Melbourne' })
+  })
+})
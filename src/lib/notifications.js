@@ -0,0 +1,88 @@
+// Page side of deadline reminders. The page works out what to remind about
+// and when; public/sw.js owns delivery and remembers what it already showed,
+// so reminders fire once whether the tab or a background sync gets there first.
+
+export const SERVICE_WORKER_URL = '/sw.js'
+export const REMINDER_CACHE = 'unitracker-reminders'
+export const REMINDER_SCHEDULE_URL = '/__reminders/schedule.json'
+
+const PERIODIC_SYNC_TAG = 'unitracker-reminders'
+const PERIODIC_SYNC_INTERVAL_MS = 60 * 60 * 1000
+
+export const isNotificationSupported = () =>
+  typeof window !== 'undefined' &&
+  'Notification' in window &&
+  'serviceWorker' in navigator &&
+  'caches' in window
+
+export const getNotificationPermission = () =>
+  isNotificationSupported() ? Notification.permission : 'unsupported'
+
+export const requestNotificationPermission = async () => {
+  if (!isNotificationSupported()) return 'unsupported'
+  if (Notification.permission !== 'default') return Notification.permission
+  return Notification.requestPermission()
+}
+
+export const registerServiceWorker = async () => {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null
+  try {
+    return await navigator.serviceWorker.register(SERVICE_WORKER_URL)
+  } catch {
+    return null
+  }
+}
+
+const getActiveWorker = async () => {
+  if (!isNotificationSupported()) return null
+  const registration = await navigator.serviceWorker.ready
+  return registration.active
+}
+
+// Periodic Background Sync only exists in Chromium for installed apps; other
+// browsers deliver reminders while a tab is open.
+const registerPeriodicCheck = async () => {
+  const registration = await navigator.serviceWorker.ready
+  if (!registration.periodicSync) return
+  try {
+    await registration.periodicSync.register(PERIODIC_SYNC_TAG, {
+      minInterval: PERIODIC_SYNC_INTERVAL_MS,
+    })
+  } catch {
+    // Not installed or permission denied; the open tab still checks.
+  }
+}
+
+export const publishReminderSchedule = async (schedule) => {
+  if (!isNotificationSupported()) return
+  const cache = await caches.open(REMINDER_CACHE)
+  await cache.put(
+    REMINDER_SCHEDULE_URL,
+    new Response(JSON.stringify(schedule), {
+      headers: { 'Content-Type': 'application/json' },
+    }),
+  )
+  // Reminder settings sync, so this device may have them on without ever
+  // granting permission; the worker would only fail to show anything.
+  if (Notification.permission !== 'granted') return
+  if (schedule.entries.length) await registerPeriodicCheck()
+  const worker = await getActiveWorker()
+  worker?.postMessage({ type: 'reminders:check' })
+}
+
+export const checkReminders = async () => {
+  if (getNotificationPermission() !== 'granted') return
+  const worker = await getActiveWorker()
+  worker?.postMessage({ type: 'reminders:check' })
+}
+
+export const showTestNotification = async () => {
+  if (getNotificationPermission() !== 'granted') return false
+  const registration = await navigator.serviceWorker.ready
+  await registration.showNotification('UniTracker reminders are on', {
+    body: 'You will be notified before assessments are due.',
+    tag: 'unitracker-test',
+    icon: '/icons/icon-192.png',
+  })
+  return true
+}
@@ -0,0 +1,63 @@
+// Token auth for the self-hosted user-data API (server/handbook-api.mjs).
+// When VITE_USER_DATA_API_BASE is set it replaces Firebase Auth and
+// Firestore entirely.
+
+export const USER_DATA_API_BASE = (import.meta.env.VITE_USER_DATA_API_BASE || '').trim()
+export const hasSelfHostedApi = Boolean(USER_DATA_API_BASE)
+
+const buildUrl = (path) => `${USER_DATA_API_BASE.replace(/\/$/, '')}${path}`
+
+const requestJson = async (path, { token, ...options } = {}) => {
+  const response = await fetch(buildUrl(path), {
+    cache: 'no-store',
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+  })
+  const payload = response.status === 204 ? null : await response.json().catch(() => null)
+  if (!response.ok) {
+    const error = new Error(payload?.error || `Request failed: ${response.status}`)
+    error.status = response.status
+    throw error
+  }
+  return payload
+}
+
+// Shapes the server's account record like a Firebase user so the profile
+// dialog and display-name helpers work unchanged.
+export const toSessionUser = (user) => ({
+  uid: user.id,
+  email: user.email,
+  displayName: null,
+  emailVerified: false,
+  providerData: [{ providerId: 'self-hosted' }],
+  metadata: {
+    creationTime: user.createdAt,
+    lastSignInTime: user.lastSignInAt,
+  },
+})
+
+export const signInSelfHosted = ({ email, password, isSignUp }) =>
+  requestJson(isSignUp ? '/api/auth/sign-up' : '/api/auth/sign-in', {
+    method: 'POST',
+    body: JSON.stringify({ email, password }),
+  })
+
+export const fetchSelfHostedUser = async (token) => {
+  const payload = await requestJson('/api/auth/me', { token })
+  return payload?.user || null
+}
+
+export const signOutSelfHosted = (token) =>
+  requestJson('/api/auth/sign-out', { method: 'POST', token })
+
+// Returns the absolute secret URL of the account's ICS feed.
+export const fetchCalendarFeedUrl = async (token, { rotate = false } = {}) => {
+  const payload = await requestJson(
+    rotate ? '/api/calendar/feed/rotate' : '/api/calendar/feed',
+    { method: rotate ? 'POST' : 'GET', token },
+  )
+  return new URL(buildUrl(payload.path), window.location.origin).toString()
+}
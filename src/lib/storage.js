@@ -0,0 +1,177 @@
+import { doc, onSnapshot, runTransaction } from 'firebase/firestore'
+
+// Storage adapters hold one user document in the same snake_case shape that
+// Firestore uses. The sync engine never writes blindly: `update` hands the
+// current document to `mutate` and persists whatever it returns, so each
+// backend only has to provide an atomic read-modify-write and a way to
+// stream changes.
+//
+//   subscribe(userId, onData, onError) -> unsubscribe
+//     onData(document | null, { fromCache })
+//     onError(error, { retrying }); `retrying` when the adapter keeps trying
+//     and will call onData again once it recovers
+//   update(userId, mutate) -> Promise<document>
+//     mutate(document | null) -> next document (return the input to skip)
+
+export const STORAGE_BACKENDS = {
+  local: 'local',
+  firebase: 'firebase',
+  rest: 'rest',
+}
+
+const REST_POLL_MS = 30000
+const REST_MAX_ATTEMPTS = 3
+
+const toRequestError = (response) => {
+  const error = new Error(`Request failed: ${response.status}`)
+  error.status = response.status
+  return error
+}
+
+export const createLocalAdapter = ({ storageKey }) => {
+  const keyFor = (userId) => `${storageKey}-${userId}`
+
+  const read = (userId) => {
+    if (typeof window === 'undefined') return null
+    try {
+      const stored = window.localStorage.getItem(keyFor(userId))
+      return stored ? JSON.parse(stored) : null
+    } catch (error) {
+      console.warn('Failed to read local data', error)
+      return null
+    }
+  }
+
+  return {
+    id: STORAGE_BACKENDS.local,
+    isLocal: true,
+    read,
+    subscribe: (userId, onData) => {
+      let isActive = true
+      Promise.resolve().then(() => {
+        if (isActive) onData(read(userId), { fromCache: false })
+      })
+      // Other tabs write the same key; the storage event keeps them in step.
+      const handleStorage = (event) => {
+        if (event.key === keyFor(userId)) onData(read(userId), { fromCache: false })
+      }
+      window.addEventListener('storage', handleStorage)
+      return () => {
+        isActive = false
+        window.removeEventListener('storage', handleStorage)
+      }
+    },
+    update: async (userId, mutate) => {
+      const current = read(userId)
+      const next = mutate(current)
+      if (next === current) return current
+      window.localStorage.setItem(keyFor(userId), JSON.stringify(next))
+      return next
+    },
+  }
+}
+
+export const createFirebaseAdapter = ({ db }) => ({
+  id: STORAGE_BACKENDS.firebase,
+  isLocal: false,
+  subscribe: (userId, onData, onError) =>
+    onSnapshot(
+      doc(db, 'user_data', userId),
+      (snapshot) => {
+        // Transaction commits arrive here too; update() already returned them.
+        if (snapshot.metadata.hasPendingWrites) return
+        onData(snapshot.exists() ? snapshot.data() || {} : null, {
+          fromCache: snapshot.metadata.fromCache,
+        })
+      },
+      onError,
+    ),
+  update: (userId, mutate) =>
+    runTransaction(db, async (transaction) => {
+      const docRef = doc(db, 'user_data', userId)
+      const snapshot = await transaction.get(docRef)
+      const current = snapshot.exists() ? snapshot.data() || {} : null
+      const next = mutate(current)
+      if (next === current) return current
+      transaction.set(docRef, next)
+      return next
+    }),
+})
+
+// Talks to a self-hosted user-data API. Writes use optimistic concurrency:
+// the server rejects a PUT whose If-Match revision is stale with 412, and we
+// re-read and re-apply the mutation.
+export const createRestAdapter = ({ baseUrl, getToken }) => {
+  const url = `${baseUrl.replace(/\/$/, '')}/api/user-data`
+
+  const request = async (options = {}) => {
+    const token = await getToken()
+    const response = await fetch(url, {
+      cache: 'no-store',
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(options.headers || {}),
+      },
+    })
+    return response
+  }
+
+  const read = async () => {
+    const response = await request()
+    if (!response.ok) throw toRequestError(response)
+    const payload = await response.json()
+    return { data: payload?.data ?? null, revision: payload?.revision ?? 0 }
+  }
+
+  return {
+    id: STORAGE_BACKENDS.rest,
+    isLocal: false,
+    subscribe: (userId, onData, onError) => {
+      let isActive = true
+      let lastRevision = null
+
+      const poll = async () => {
+        try {
+          const { data, revision } = await read()
+          if (!isActive || revision === lastRevision) return
+          lastRevision = revision
+          onData(data, { fromCache: false })
+        } catch (error) {
+          if (!isActive) return
+          // Report the next good read even if nothing changed, so the
+          // error clears.
+          lastRevision = null
+          onError(error, { retrying: true })
+        }
+      }
+
+      poll()
+      const interval = setInterval(poll, REST_POLL_MS)
+      const handleFocus = () => poll()
+      window.addEventListener('focus', handleFocus)
+      return () => {
+        isActive = false
+        clearInterval(interval)
+        window.removeEventListener('focus', handleFocus)
+      }
+    },
+    update: async (userId, mutate) => {
+      for (let attempt = 0; attempt < REST_MAX_ATTEMPTS; attempt += 1) {
+        const { data: current, revision } = await read()
+        const next = mutate(current)
+        if (next === current) return current
+        const response = await request({
+          method: 'PUT',
+          headers: { 'If-Match': String(revision) },
+          body: JSON.stringify({ data: next }),
+        })
+        if (response.status === 412) continue
+        if (!response.ok) throw toRequestError(response)
+        return next
+      }
+      throw new Error('Too many concurrent updates. Try again shortly.')
+    },
+  }
+}
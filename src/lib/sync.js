@@ -0,0 +1,185 @@
+// Offline-first sync helpers. Records in each collection carry `updatedAt`
+// and `rev`; deletions leave tombstones so they can win over stale copies.
+// Local edits are diffed into ops, queued, and replayed onto whatever the
+// remote holds, so concurrent edits on different records never collide.
+
+export const SYNC_COLLECTIONS = ['semesters', 'courses', 'assessments']
+export const SYNC_FIELDS = ['activeSemesterId', 'wamGoal', 'wamGoalScope', 'settings']
+
+export const SYNC_STATUSES = {
+  idle: 'idle',
+  syncing: 'syncing',
+  synced: 'synced',
+  offline: 'offline',
+  error: 'error',
+}
+
+// Tombstones only need to outlive the slowest device's offline window.
+const TOMBSTONE_TTL_MS = 90 * 24 * 60 * 60 * 1000
+
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`
+  }
+  return JSON.stringify(value ?? null)
+}
+
+const stripStamp = (record) => {
+  const { updatedAt: _updatedAt, rev: _rev, ...rest } = record
+  return rest
+}
+
+const isSameRecord = (a, b) => stableStringify(stripStamp(a)) === stableStringify(stripStamp(b))
+
+const isNewer = (candidate, current) => (candidate || '') >= (current || '')
+
+export const createEmptySyncMeta = () => ({
+  deleted: Object.fromEntries(SYNC_COLLECTIONS.map((collection) => [collection, {}])),
+  fields: {},
+})
+
+export const normalizeSyncMeta = (meta) => {
+  const empty = createEmptySyncMeta()
+  return {
+    deleted: Object.fromEntries(
+      SYNC_COLLECTIONS.map((collection) => [
+        collection,
+        { ...(meta?.deleted?.[collection] || {}) },
+      ]),
+    ),
+    fields: { ...empty.fields, ...(meta?.fields || {}) },
+  }
+}
+
+export const pickSyncData = (state) => ({
+  semesters: state.semesters,
+  activeSemesterId: state.activeSemesterId,
+  courses: state.courses,
+  assessments: state.assessments,
+  wamGoal: state.wamGoal,
+  wamGoalScope: state.wamGoalScope,
+  settings: state.settings,
+})
+
+// Turns the difference between two local states into queueable ops.
+export const diffSyncState = (prev, next, now = new Date().toISOString()) => {
+  const ops = []
+
+  SYNC_COLLECTIONS.forEach((collection) => {
+    const prevList = prev[collection] || []
+    const nextList = next[collection] || []
+    const prevById = new Map(prevList.map((record) => [record.id, record]))
+    const nextIds = new Set()
+
+    nextList.forEach((record) => {
+      nextIds.add(record.id)
+      const previous = prevById.get(record.id)
+      if (previous && isSameRecord(previous, record)) return
+      ops.push({
+        key: `${collection}:${record.id}`,
+        collection,
+        id: record.id,
+        record: {
+          ...record,
+          updatedAt: now,
+          rev: (previous?.rev ?? record.rev ?? 0) + 1,
+        },
+        updatedAt: now,
+      })
+    })
+
+    prevList.forEach((record) => {
+      if (nextIds.has(record.id)) return
+      ops.push({
+        key: `${collection}:${record.id}`,
+        collection,
+        id: record.id,
+        record: null,
+        updatedAt: now,
+      })
+    })
+  })
+
+  SYNC_FIELDS.forEach((field) => {
+    if (stableStringify(prev[field]) === stableStringify(next[field])) return
+    ops.push({ key: `field:${field}`, field, value: next[field], updatedAt: now })
+  })
+
+  return ops
+}
+
+// Later ops for the same record or field replace earlier ones.
+export const coalesceOps = (queue, ops) => {
+  const byKey = new Map(queue.map((op) => [op.key, op]))
+  ops.forEach((op) => {
+    byKey.delete(op.key)
+    byKey.set(op.key, op)
+  })
+  return Array.from(byKey.values())
+}
+
+// Replays ops onto a state with last-writer-wins per record or field.
+export const applySyncOps = (state, ops) => {
+  const meta = normalizeSyncMeta(state.meta)
+  const next = { ...pickSyncData(state), meta }
+  SYNC_COLLECTIONS.forEach((collection) => {
+    next[collection] = [...(state[collection] || [])]
+  })
+
+  ops.forEach((op) => {
+    if (op.field) {
+      if (!isNewer(op.updatedAt, meta.fields[op.field])) return
+      next[op.field] = op.value
+      meta.fields[op.field] = op.updatedAt
+      return
+    }
+
+    const list = next[op.collection]
+    const index = list.findIndex((record) => record.id === op.id)
+    const existing = index >= 0 ? list[index] : null
+    const tombstone = meta.deleted[op.collection][op.id]
+    if (!isNewer(op.updatedAt, existing?.updatedAt) || !isNewer(op.updatedAt, tombstone)) {
+      return
+    }
+
+    if (op.record) {
+      if (index >= 0) {
+        list[index] = op.record
+      } else {
+        list.push(op.record)
+      }
+      delete meta.deleted[op.collection][op.id]
+    } else {
+      if (index >= 0) list.splice(index, 1)
+      meta.deleted[op.collection][op.id] = op.updatedAt
+    }
+  })
+
+  return next
+}
+
+export const pruneTombstones = (meta, now = Date.now()) => {
+  const next = normalizeSyncMeta(meta)
+  SYNC_COLLECTIONS.forEach((collection) => {
+    Object.entries(next.deleted[collection]).forEach(([id, deletedAt]) => {
+      const time = new Date(deletedAt).getTime()
+      if (Number.isNaN(time) || now - time > TOMBSTONE_TTL_MS) {
+        delete next.deleted[collection][id]
+      }
+    })
+  })
+  return next
+}
+
+// Ops that were flushed are dropped; anything re-queued meanwhile stays.
+export const removeFlushedOps = (queue, flushed) => {
+  const flushedStamps = new Map(flushed.map((op) => [op.key, op.updatedAt]))
+  return queue.filter((op) => flushedStamps.get(op.key) !== op.updatedAt)
+}
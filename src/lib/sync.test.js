@@ -0,0 +1,200 @@
+import { describe, expect, it } from 'vitest'
+import {
+  applySyncOps,
+  coalesceOps,
+  createEmptySyncMeta,
+  diffSyncState,
+  pruneTombstones,
+  removeFlushedOps,
+} from './sync'
+
+const T1 = '2026-03-01T00:00:00.000Z'
+const T2 = '2026-03-02T00:00:00.000Z'
+const T3 = '2026-03-03T00:00:00.000Z'
+
+const emptyState = () => ({
+  semesters: [],
+  courses: [],
+  assessments: [],
+  activeSemesterId: null,
+  wamGoal: null,
+  wamGoalScope: 'overall',
+  settings: {},
+  meta: createEmptySyncMeta(),
+})
+
+describe('diffSyncState', () => {
+  it('stamps changed records and skips unchanged ones', () => {
+    const course = { id: 'c1', code: 'COMP10001', updatedAt: T1, rev: 1 }
+    const prev = { ...emptyState(), courses: [course] }
+    const next = {
+      ...emptyState(),
+      courses: [course, { id: 'c2', code: 'MAST10006' }],
+    }
+
+    const ops = diffSyncState(prev, next, T2)
+
+    expect(ops).toEqual([
+      {
+        key: 'courses:c2',
+        collection: 'courses',
+        id: 'c2',
+        record: { id: 'c2', code: 'MAST10006', updatedAt: T2, rev: 1 },
+        updatedAt: T2,
+      },
+    ])
+  })
+
+  it('bumps the previous revision on edits', () => {
+    const prev = { ...emptyState(), courses: [{ id: 'c1', code: 'A', updatedAt: T1, rev: 3 }] }
+    const next = { ...emptyState(), courses: [{ id: 'c1', code: 'B', updatedAt: T1, rev: 3 }] }
+
+    const [op] = diffSyncState(prev, next, T2)
+
+    expect(op.record).toMatchObject({ code: 'B', rev: 4, updatedAt: T2 })
+  })
+
+  it('emits a deletion op for removed records and a field op for changed fields', () => {
+    const prev = { ...emptyState(), courses: [{ id: 'c1', code: 'A' }], wamGoal: 75 }
+    const next = { ...emptyState(), wamGoal: 80 }
+
+    const ops = diffSyncState(prev, next, T2)
+
+    expect(ops).toEqual([
+      { key: 'courses:c1', collection: 'courses', id: 'c1', record: null, updatedAt: T2 },
+      { key: 'field:wamGoal', field: 'wamGoal', value: 80, updatedAt: T2 },
+    ])
+  })
+
+  it('ignores key order when comparing records', () => {
+    const prev = { ...emptyState(), courses: [{ id: 'c1', code: 'A', color: 'red' }] }
+    const next = { ...emptyState(), courses: [{ color: 'red', code: 'A', id: 'c1' }] }
+
+    expect(diffSyncState(prev, next, T2)).toEqual([])
+  })
+})
+
+describe('coalesceOps', () => {
+  it('keeps only the latest op per key, in the order last queued', () => {
+    const queue = [
+      { key: 'courses:c1', updatedAt: T1 },
+      { key: 'courses:c2', updatedAt: T1 },
+    ]
+
+    const merged = coalesceOps(queue, [{ key: 'courses:c1', updatedAt: T2 }])
+
+    expect(merged).toEqual([
+      { key: 'courses:c2', updatedAt: T1 },
+      { key: 'courses:c1', updatedAt: T2 },
+    ])
+  })
+})
+
+describe('applySyncOps', () => {
+  const upsert = (id, updatedAt, fields = {}) => ({
+    key: `courses:${id}`,
+    collection: 'courses',
+    id,
+    record: { id, updatedAt, ...fields },
+    updatedAt,
+  })
+  const remove = (id, updatedAt) => ({
+    key: `courses:${id}`,
+    collection: 'courses',
+    id,
+    record: null,
+    updatedAt,
+  })
+
+  it('merges edits to different records from two devices', () => {
+    const remote = { ...emptyState(), courses: [{ id: 'c1', code: 'A', updatedAt: T1 }] }
+
+    const merged = applySyncOps(remote, [upsert('c2', T2, { code: 'B' })])
+
+    expect(merged.courses.map((course) => course.id)).toEqual(['c1', 'c2'])
+  })
+
+  it('lets the newer write win on the same record', () => {
+    const remote = { ...emptyState(), courses: [{ id: 'c1', code: 'remote', updatedAt: T2 }] }
+
+    const stale = applySyncOps(remote, [upsert('c1', T1, { code: 'local' })])
+    const fresh = applySyncOps(remote, [upsert('c1', T3, { code: 'local' })])
+
+    expect(stale.courses[0].code).toBe('remote')
+    expect(fresh.courses[0].code).toBe('local')
+  })
+
+  it('records a tombstone that beats stale copies of the deleted record', () => {
+    const remote = { ...emptyState(), courses: [{ id: 'c1', code: 'A', updatedAt: T1 }] }
+
+    const deleted = applySyncOps(remote, [remove('c1', T2)])
+    const resurrected = applySyncOps(deleted, [upsert('c1', T1, { code: 'A' })])
+
+    expect(deleted.courses).toEqual([])
+    expect(deleted.meta.deleted.courses).toEqual({ c1: T2 })
+    expect(resurrected.courses).toEqual([])
+  })
+
+  it('restores a record edited after it was deleted and clears the tombstone', () => {
+    const remote = {
+      ...emptyState(),
+      meta: { ...createEmptySyncMeta(), deleted: { courses: { c1: T2 } } },
+    }
+
+    const merged = applySyncOps(remote, [upsert('c1', T3, { code: 'A' })])
+
+    expect(merged.courses).toHaveLength(1)
+    expect(merged.meta.deleted.courses).toEqual({})
+  })
+
+  it('applies field ops last-writer-wins', () => {
+    const remote = {
+      ...emptyState(),
+      wamGoal: 80,
+      meta: { ...createEmptySyncMeta(), fields: { wamGoal: T2 } },
+    }
+    const op = (updatedAt, value) => ({ key: 'field:wamGoal', field: 'wamGoal', value, updatedAt })
+
+    expect(applySyncOps(remote, [op(T1, 70)]).wamGoal).toBe(80)
+    expect(applySyncOps(remote, [op(T3, 90)]).wamGoal).toBe(90)
+  })
+
+  it('does not mutate the state it merges into', () => {
+    const remote = { ...emptyState(), courses: [{ id: 'c1', updatedAt: T1 }] }
+
+    applySyncOps(remote, [remove('c1', T2)])
+
+    expect(remote.courses).toHaveLength(1)
+    expect(remote.meta.deleted.courses).toEqual({})
+  })
+})
+
+describe('pruneTombstones', () => {
+  it('drops tombstones older than the offline window and unreadable ones', () => {
+    const meta = {
+      ...createEmptySyncMeta(),
+      deleted: {
+        courses: { old: '2025-01-01T00:00:00.000Z', recent: T2, broken: 'not a date' },
+      },
+    }
+
+    const pruned = pruneTombstones(meta, new Date(T3).getTime())
+
+    expect(pruned.deleted.courses).toEqual({ recent: T2 })
+  })
+})
+
+describe('removeFlushedOps', () => {
+  it('keeps ops re-queued after the flush started', () => {
+    const flushed = [
+      { key: 'courses:c1', updatedAt: T1 },
+      { key: 'courses:c2', updatedAt: T1 },
+    ]
+    const queue = [
+      { key: 'courses:c1', updatedAt: T1 },
+      { key: 'courses:c2', updatedAt: T2 },
+    ]
+
+    expect(removeFlushedOps(queue, flushed)).toEqual([{ key: 'courses:c2', updatedAt: T2 }])
+  })
+})
@@ -0,0 +1,215 @@
+// Teaching calendars: when week 1 starts for a year and study period, which
+// weeks are non-teaching, and when SWOTVAC and exams run. Handbook timing
+// text ("Week 6", "During the examination period") is resolved against them.
+// Dates are 'yyyy-MM-dd' strings and the arithmetic runs in UTC so it never
+// shifts with the device's zone.
+
+export const DEFAULT_TEACHING_WEEKS = 12
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+// Offset of the last teaching day (Friday) from a week's Monday.
+const WEEK_END_OFFSET = 4
+
+const toTime = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return null
+  const time = Date.parse(`${value}T00:00:00Z`)
+  return Number.isFinite(time) ? time : null
+}
+
+const fromTime = (time) => new Date(time).toISOString().slice(0, 10)
+
+export const addDaysToDate = (value, days) => {
+  const time = toTime(value)
+  return time === null ? '' : fromTime(time + days * DAY_MS)
+}
+
+// Monday on or before the given date.
+const toMonday = (value) => {
+  const time = toTime(value)
+  if (time === null) return ''
+  const weekday = (new Date(time).getUTCDay() + 6) % 7
+  return fromTime(time - weekday * DAY_MS)
+}
+
+const normalizeRange = (range) => {
+  const start = toTime(range?.start) === null ? '' : range.start
+  const end = toTime(range?.end) === null ? start : range.end
+  if (!start || end < start) return null
+  return { start, end, label: typeof range.label === 'string' ? range.label.trim() : '' }
+}
+
+const inRange = (value, range) => Boolean(range) && value >= range.start && value <= range.end
+
+export const normalizeTeachingCalendar = (calendar) => {
+  if (!calendar || typeof calendar !== 'object') return null
+  const teachingStart = toMonday(calendar.teachingStart)
+  if (!teachingStart) return null
+  const weeks = Number(calendar.teachingWeeks)
+  return {
+    year: Number(calendar.year) || Number(teachingStart.slice(0, 4)),
+    studyPeriod: calendar.studyPeriod || '',
+    teachingStart,
+    teachingWeeks:
+      Number.isInteger(weeks) && weeks > 0 && weeks <= 52 ? weeks : DEFAULT_TEACHING_WEEKS,
+    nonTeaching: (Array.isArray(calendar.nonTeaching) ? calendar.nonTeaching : [])
+      .map(normalizeRange)
+      .filter(Boolean)
+      .sort((a, b) => a.start.localeCompare(b.start)),
+    swotvac: normalizeRange(calendar.swotvac),
+    exams: normalizeRange(calendar.exams),
+  }
+}
+
+export const findTeachingCalendar = (calendars, year, studyPeriod) =>
+  (calendars || []).find(
+    (calendar) =>
+      Number(calendar.year) === Number(year) && calendar.studyPeriod === studyPeriod,
+  ) || null
+
+// The semester's own edits win over the calendar served for its period.
+export const getSemesterTeachingCalendar = (semester, calendars) => {
+  if (!semester) return null
+  if (semester.teachingCalendar) {
+    return normalizeTeachingCalendar({
+      ...semester.teachingCalendar,
+      year: semester.year,
+      studyPeriod: semester.studyPeriod,
+    })
+  }
+  return normalizeTeachingCalendar(
+    findTeachingCalendar(calendars, semester.year, semester.studyPeriod),
+  )
+}
+
+// [{ week, start, end }] with Monday starts and Friday ends. A week whose
+// Monday falls in a non-teaching period is skipped, so numbering continues
+// after the break.
+export const getTeachingWeeks = (calendar) => {
+  if (!calendar) return []
+  const weeks = []
+  let monday = calendar.teachingStart
+  // Bounded in case a non-teaching period swallows the rest of the year.
+  for (let guard = 0; weeks.length < calendar.teachingWeeks && guard < 104; guard += 1) {
+    if (!calendar.nonTeaching.some((range) => inRange(monday, range))) {
+      weeks.push({
+        week: weeks.length + 1,
+        start: monday,
+        end: addDaysToDate(monday, WEEK_END_OFFSET),
+      })
+    }
+    monday = addDaysToDate(monday, 7)
+  }
+  return weeks
+}
+
+export const getTeachingEnd = (calendar) => getTeachingWeeks(calendar).at(-1)?.end || ''
+
+// Where a date sits in the calendar: { kind: 'teaching', week, label },
+// a non-teaching period, SWOTVAC, exams, or null outside the semester.
+export const describeTeachingDate = (calendar, value) => {
+  if (!calendar || toTime(value) === null) return null
+  const monday = toMonday(value)
+  const week = getTeachingWeeks(calendar).find((entry) => entry.start === monday)
+  if (week) return { kind: 'teaching', week: week.week, label: `Week ${week.week}` }
+  const nonTeaching = calendar.nonTeaching.find((range) => inRange(value, range))
+  if (nonTeaching) {
+    return { kind: 'non-teaching', week: null, label: nonTeaching.label || 'Non-teaching period' }
+  }
+  if (inRange(value, calendar.swotvac)) return { kind: 'swotvac', week: null, label: 'SWOTVAC' }
+  if (inRange(value, calendar.exams)) return { kind: 'exams', week: null, label: 'Exam period' }
+  return null
+}
+
+const RANGE_SEPARATOR = /^(?:-|–|—|to|through|until)$/
+
+// "3", "3-5", "3, 6 and 9", "3 to week 5" -> [{ start, end }] in the order
+// written; only a range separator joins two numbers into one span.
+const parseWeekSpans = (segment) => {
+  const tokens = segment.toLowerCase().match(/\d{1,2}|-|–|—|to|through|until/g) || []
+  const spans = []
+  for (let index = 0; index < tokens.length; index += 1) {
+    const value = Number(tokens[index])
+    if (!Number.isInteger(value)) continue
+    const next = tokens[index + 1]
+    const end = Number(tokens[index + 2])
+    if (next && RANGE_SEPARATOR.test(next) && Number.isInteger(end) && end >= value) {
+      spans.push({ start: value, end })
+      index += 2
+    } else {
+      spans.push({ start: value, end: value })
+    }
+  }
+  return spans
+}
+
+// Sorted unique week numbers covered by a week list.
+export const parseWeekList = (segment) => {
+  const weeks = new Set()
+  parseWeekSpans(segment).forEach(({ start, end }) => {
+    for (let week = start; week <= end; week += 1) weeks.add(week)
+  })
+  return [...weeks].sort((a, b) => a - b)
+}
+
+const WEEK_PATTERN =
+  /\bweeks?\s*((?:\d{1,2}\s*(?:,|&|and|or|-|–|—|to|through|until)?\s*(?:weeks?\s*)?)+)/i
+const WEEKDAY_PATTERN = new RegExp(`\\b(${WEEKDAYS.join('|')})\\b`, 'i')
+const EXAM_PATTERN = /\bexam(?:ination)?s?\s+period\b|\bduring\s+(?:the\s+)?exam(?:ination)?s?\b/i
+const SWOTVAC_PATTERN = /\bswot\s*-?\s*vac\b/i
+const END_OF_SEMESTER_PATTERN =
+  /\bend\s+of\s+(?:the\s+)?(?:semester|teaching(?:\s+period)?|term|subject|study\s+period)\b/i
+
+const toRange = (range) => ({ startDate: range.start, dueDate: range.end, weeks: [] })
+
+// Turns handbook timing text into { dueDate, startDate, weeks }: a single
+// day or a list of separate weeks leaves startDate empty, a range sets both,
+// and `weeks` lists the teaching weeks it names (one per item for "weekly"
+// groups). Returns null
+// when the text names no part of the calendar it can place.
+export const resolveTeachingTiming = (text, calendar) => {
+  const value = String(text ?? '')
+  if (!calendar || !value.trim()) return null
+
+  if (EXAM_PATTERN.test(value)) return calendar.exams ? toRange(calendar.exams) : null
+  if (SWOTVAC_PATTERN.test(value)) return calendar.swotvac ? toRange(calendar.swotvac) : null
+
+  const weekMatch = WEEK_PATTERN.exec(value)
+  if (weekMatch) {
+    const numbers = parseWeekList(weekMatch[1])
+    const teachingWeeks = getTeachingWeeks(calendar)
+    const weeks = numbers.map((number) => teachingWeeks[number - 1]).filter(Boolean)
+    if (!weeks.length || weeks.length !== numbers.length) return null
+    const weekday = WEEKDAY_PATTERN.exec(value)
+    if (weekday && weeks.length === 1) {
+      const offset = WEEKDAYS.indexOf(weekday[1].toLowerCase())
+      return { dueDate: addDaysToDate(weeks[0].start, offset), startDate: '', weeks }
+    }
+    // "Week 3 and Week 5" names two separate weeks, not the span between
+    // them, so only a single range becomes a window.
+    if (parseWeekSpans(weekMatch[1]).length > 1) {
+      return { dueDate: weeks.at(-1).end, startDate: '', weeks }
+    }
+    return { startDate: weeks[0].start, dueDate: weeks.at(-1).end, weeks }
+  }
+
+  if (END_OF_SEMESTER_PATTERN.test(value)) {
+    const end = getTeachingEnd(calendar)
+    return end ? { dueDate: end, startDate: '', weeks: [] } : null
+  }
+
+  return null
+}
+
+// True when the text talks in calendar terms, so a plain date parser should
+// not guess at it.
+export const isTeachingTimingText = (text) => {
+  const value = String(text ?? '')
+  return (
+    /\bweeks?\s*\d/i.test(value) ||
+    EXAM_PATTERN.test(value) ||
+    SWOTVAC_PATTERN.test(value) ||
+    END_OF_SEMESTER_PATTERN.test(value)
+  )
+}
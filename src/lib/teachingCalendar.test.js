@@ -0,0 +1,135 @@
+import { describe, expect, it } from 'vitest'
+import {
+  describeTeachingDate,
+  getSemesterTeachingCalendar,
+  getTeachingEnd,
+  getTeachingWeeks,
+  isTeachingTimingText,
+  normalizeTeachingCalendar,
+  parseWeekList,
+  resolveTeachingTiming,
+} from './teachingCalendar'
+
+// Semester 1, 2026: teaching from 2 March with a mid-semester break over
+// Easter, then SWOTVAC and exams.
+const calendar = normalizeTeachingCalendar({
+  year: 2026,
+  studyPeriod: 'Semester 1',
+  teachingStart: '2026-03-04',
+  nonTeaching: [{ start: '2026-04-06', end: '2026-04-10', label: 'Easter break' }],
+  swotvac: { start: '2026-06-01', end: '2026-06-05' },
+  exams: { start: '2026-06-08', end: '2026-06-26' },
+})
+
+describe('normalizeTeachingCalendar', () => {
+  it('starts teaching on the Monday of the given week and defaults to 12 weeks', () => {
+    expect(calendar.teachingStart).toBe('2026-03-02')
+    expect(calendar.teachingWeeks).toBe(12)
+  })
+
+  it('rejects calendars without a start and drops malformed ranges', () => {
+    expect(normalizeTeachingCalendar({ year: 2026 })).toBeNull()
+    const normalized = normalizeTeachingCalendar({
+      teachingStart: '2026-03-02',
+      nonTeaching: [{ start: '2026-04-10', end: '2026-04-06' }, { start: 'soon' }],
+    })
+    expect(normalized.nonTeaching).toEqual([])
+  })
+
+  it("prefers a semester's own calendar over the served one", () => {
+    const semester = {
+      year: 2026,
+      studyPeriod: 'Semester 1',
+      teachingCalendar: { teachingStart: '2026-02-23' },
+    }
+
+    expect(getSemesterTeachingCalendar(semester, [calendar]).teachingStart).toBe('2026-02-23')
+    expect(
+      getSemesterTeachingCalendar({ ...semester, teachingCalendar: null }, [calendar])
+        .teachingStart,
+    ).toBe('2026-03-02')
+  })
+})
+
+describe('getTeachingWeeks', () => {
+  it('numbers Monday-to-Friday weeks and skips the break', () => {
+    const weeks = getTeachingWeeks(calendar)
+
+    expect(weeks).toHaveLength(12)
+    expect(weeks[0]).toEqual({ week: 1, start: '2026-03-02', end: '2026-03-06' })
+    expect(weeks[4]).toEqual({ week: 5, start: '2026-03-30', end: '2026-04-03' })
+    expect(weeks[5]).toEqual({ week: 6, start: '2026-04-13', end: '2026-04-17' })
+    expect(getTeachingEnd(calendar)).toBe('2026-05-29')
+  })
+})
+
+describe('describeTeachingDate', () => {
+  it('places dates in teaching weeks, the break, SWOTVAC and exams', () => {
+    expect(describeTeachingDate(calendar, '2026-03-18')).toMatchObject({ week: 3 })
+    expect(describeTeachingDate(calendar, '2026-04-08').label).toBe('Easter break')
+    expect(describeTeachingDate(calendar, '2026-06-03').kind).toBe('swotvac')
+    expect(describeTeachingDate(calendar, '2026-06-10').kind).toBe('exams')
+    expect(describeTeachingDate(calendar, '2026-08-01')).toBeNull()
+  })
+})
+
+describe('parseWeekList', () => {
+  it('expands ranges and lists into sorted unique weeks', () => {
+    expect(parseWeekList('3-5')).toEqual([3, 4, 5])
+    expect(parseWeekList('9, 3 and 6')).toEqual([3, 6, 9])
+    expect(parseWeekList('2 to week 4, 3')).toEqual([2, 3, 4])
+  })
+})
+
+describe('resolveTeachingTiming', () => {
+  it('resolves a single week to a window and a weekday to that day', () => {
+    expect(resolveTeachingTiming('Week 3', calendar)).toMatchObject({
+      startDate: '2026-03-16',
+      dueDate: '2026-03-20',
+    })
+    expect(resolveTeachingTiming('Wednesday of week 6', calendar)).toMatchObject({
+      startDate: '',
+      dueDate: '2026-04-15',
+    })
+  })
+
+  it('keeps a range as one window', () => {
+    const timing = resolveTeachingTiming('Weeks 4-6', calendar)
+
+    expect(timing).toMatchObject({ startDate: '2026-03-23', dueDate: '2026-04-17' })
+    expect(timing.weeks.map((week) => week.week)).toEqual([4, 5, 6])
+  })
+
+  it('treats a list as separate weeks rather than the span between them', () => {
+    const timing = resolveTeachingTiming('Week 3 and Week 5', calendar)
+
+    expect(timing).toMatchObject({ startDate: '', dueDate: '2026-04-03' })
+    expect(timing.weeks.map((week) => week.week)).toEqual([3, 5])
+  })
+
+  it('resolves exams, SWOTVAC and the end of semester', () => {
+    expect(resolveTeachingTiming('During the examination period', calendar)).toMatchObject({
+      startDate: '2026-06-08',
+      dueDate: '2026-06-26',
+    })
+    expect(resolveTeachingTiming('SWOTVAC', calendar).dueDate).toBe('2026-06-05')
+    expect(resolveTeachingTiming('End of semester', calendar)).toMatchObject({
+      startDate: '',
+      dueDate: '2026-05-29',
+    })
+  })
+
+  it('gives up on weeks past the calendar and text it cannot place', () => {
+    expect(resolveTeachingTiming('Week 14', calendar)).toBeNull()
+    expect(resolveTeachingTiming('15 March', calendar)).toBeNull()
+    expect(resolveTeachingTiming('Week 3', null)).toBeNull()
+  })
+})
+
+describe('isTeachingTimingText', () => {
+  it('recognises calendar phrasing but not plain dates', () => {
+    expect(isTeachingTimingText('Weeks 2-11')).toBe(true)
+    expect(isTeachingTimingText('Exam period')).toBe(true)
+    expect(isTeachingTimingText('15 March 2026')).toBe(false)
+  })
+})
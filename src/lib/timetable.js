@@ -0,0 +1,332 @@
+// Class timetables: recurring weekly lectures, tutorials and the like stored
+// on each course as `classes`. A class has an ISO weekday (1 = Monday),
+// 'HH:mm' start and end times, a location and the teaching weeks it runs in
+// (an empty list means every teaching week). Handbook dates-times data can
+// seed them, and the semester's teaching calendar places them on dates.
+
+import {
+  DEFAULT_TEACHING_WEEKS,
+  describeTeachingDate,
+  parseWeekList,
+} from './teachingCalendar.js'
+
+export const CLASS_TYPES = ['Lecture', 'Tutorial', 'Workshop', 'Practical', 'Seminar', 'Other']
+
+export const CLASS_DAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 7, label: 'Sun' },
+]
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const MAX_WEEK = 52
+
+// Keyword -> class type, first match wins.
+const TYPE_KEYWORDS = [
+  { type: 'Lecture', pattern: /\blectures?\b/i },
+  { type: 'Tutorial', pattern: /\btut(?:orial)?s?\b/i },
+  { type: 'Workshop', pattern: /\bworkshops?\b|\bstudios?\b/i },
+  { type: 'Practical', pattern: /\bpracticals?\b|\bpractice\s+class(?:es)?\b|\blab(?:oratory|oratories|s)?\b/i },
+  { type: 'Seminar', pattern: /\bseminars?\b/i },
+]
+
+const NUMBER_WORDS = {
+  a: 1,
+  an: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  half: 0.5,
+}
+
+const DAY_NAMES = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']
+
+const toNumber = (value) => {
+  if (value === undefined) return null
+  const word = NUMBER_WORDS[value.toLowerCase()]
+  if (word !== undefined) return word
+  const number = Number(value)
+  return Number.isFinite(number) ? number : null
+}
+
+export const getClassType = (text) =>
+  TYPE_KEYWORDS.find((entry) => entry.pattern.test(String(text ?? '')))?.type || 'Other'
+
+export const toMinutes = (time) => {
+  const match = TIME_PATTERN.exec(time || '')
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null
+}
+
+export const fromMinutes = (minutes) => {
+  const clamped = Math.max(0, Math.min(minutes, 23 * 60 + 59))
+  const hours = String(Math.floor(clamped / 60)).padStart(2, '0')
+  return `${hours}:${String(clamped % 60).padStart(2, '0')}`
+}
+
+// "9:00am", "14:30", "2pm" -> 'HH:mm', or '' when unreadable.
+export const parseClockTime = (text) => {
+  const match = /(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?/i.exec(String(text ?? ''))
+  if (!match) return ''
+  let hours = Number(match[1])
+  const minutes = Number(match[2] || 0)
+  const meridiem = match[3]?.toLowerCase()
+  if (meridiem === 'pm' && hours < 12) hours += 12
+  if (meridiem === 'am' && hours === 12) hours = 0
+  if (hours > 23 || minutes > 59) return ''
+  return fromMinutes(hours * 60 + minutes)
+}
+
+export const parseClassDay = (text) => {
+  const index = DAY_NAMES.indexOf(String(text ?? '').trim().slice(0, 3).toLowerCase())
+  return index === -1 ? null : index + 1
+}
+
+export const parseClassWeeks = (text) =>
+  parseWeekList(String(text ?? '')).filter((week) => week >= 1 && week <= MAX_WEEK)
+
+// [1, 2, 3, 5, 7, 8] -> "Weeks 1–3, 5, 7–8"; an empty list runs every week.
+export const formatClassWeeks = (weeks) => {
+  if (!weeks?.length) return 'All weeks'
+  const parts = []
+  let start = weeks[0]
+  let previous = weeks[0]
+  for (const week of [...weeks.slice(1), null]) {
+    if (week === previous + 1) {
+      previous = week
+      continue
+    }
+    parts.push(start === previous ? String(start) : `${start}–${previous}`)
+    start = week
+    previous = week
+  }
+  return `Week${weeks.length > 1 ? 's' : ''} ${parts.join(', ')}`
+}
+
+export const formatClassTime = (entry) =>
+  entry.startTime && entry.endTime ? `${entry.startTime}–${entry.endTime}` : 'Time not set'
+
+export const getClassDayLabel = (day) =>
+  CLASS_DAYS.find((entry) => entry.value === day)?.label || ''
+
+export const normalizeClassEvent = (entry) => {
+  if (!entry || typeof entry !== 'object') return null
+  const day = Number(entry.day)
+  const weeks = Array.isArray(entry.weeks)
+    ? [...new Set(entry.weeks.map(Number))]
+        .filter((week) => Number.isInteger(week) && week >= 1 && week <= MAX_WEEK)
+        .sort((a, b) => a - b)
+    : []
+  return {
+    id: entry.id || '',
+    type: CLASS_TYPES.includes(entry.type) ? entry.type : getClassType(entry.type),
+    day: Number.isInteger(day) && day >= 1 && day <= 7 ? day : null,
+    startTime: TIME_PATTERN.test(entry.startTime || '') ? entry.startTime : '',
+    endTime: TIME_PATTERN.test(entry.endTime || '') ? entry.endTime : '',
+    location: typeof entry.location === 'string' ? entry.location.trim() : '',
+    weeks,
+  }
+}
+
+// A class can only be placed on the calendar once it has a day and a
+// start before its end.
+export const isScheduledClass = (entry) =>
+  Boolean(entry?.day) &&
+  toMinutes(entry.startTime) !== null &&
+  toMinutes(entry.endTime) > toMinutes(entry.startTime)
+
+export const getCourseClasses = (course) =>
+  (Array.isArray(course?.classes) ? course.classes : [])
+    .map(normalizeClassEvent)
+    .filter(Boolean)
+
+const DURATION_PATTERN =
+  /(\d+(?:\.\d+)?|one|two|three|half|an?)[\s-]*(and\s+a\s+half[\s-]*)?(hours?|hrs?|minutes?|mins?)\b/gi
+const COUNT_PATTERN = /(\d+|one|two|three|four|five|six)\s*(?:x|×|\*)?\s*$/i
+const CLASS_WEEKS_PATTERN = /\b(from\s+)?weeks?\s*(\d{1,2}(?:\s*(?:-|–|—|to)\s*\d{1,2})?)/i
+
+const toDurationMinutes = (match) => {
+  const amount = toNumber(match[1]) ?? 1
+  if (/^min/i.test(match[3])) return Math.round(amount)
+  return Math.round((amount + (match[2] ? 0.5 : 0)) * 60)
+}
+
+// Weeks named in a contact hours segment, or null when it names none. "from
+// week 2" runs to the end of teaching.
+const parseSegmentWeeks = (segment) => {
+  const weeksMatch = CLASS_WEEKS_PATTERN.exec(segment)
+  if (!weeksMatch) return null
+  const weeks = parseClassWeeks(weeksMatch[2])
+  if (weeksMatch[1] && weeks.length === 1) {
+    return Array.from(
+      { length: Math.max(DEFAULT_TEACHING_WEEKS - weeks[0] + 1, 1) },
+      (_, index) => weeks[0] + index,
+    )
+  }
+  return weeks
+}
+
+// "48 hours: 3 x one hour lectures and 1 x one hour tutorial per week
+// (weeks 2-12)" -> [{ type, count, durationMinutes, weeks }], one entry per
+// activity. The duration nearest before the activity name is its length and
+// the number before that its sessions per week. A weeks clause at the end
+// covers every activity that doesn't name its own weeks.
+export const parseContactHours = (text) => {
+  const value = String(text ?? '').replace(/\s+/g, ' ')
+  if (!value.trim()) return []
+  const segments = value
+    .replace(/^[^:]*\d[^:]*:/, '')
+    .split(/;|,|\+|\band\b(?!\s+a\s+half)/i)
+  const trailingWeeks = parseSegmentWeeks(segments.at(-1))
+  return segments
+    .map((segment) => {
+      const typeEntry = TYPE_KEYWORDS.find((entry) => entry.pattern.test(segment))
+      if (!typeEntry) return null
+      const keywordAt = typeEntry.pattern.exec(segment).index
+      const durations = [...segment.matchAll(DURATION_PATTERN)]
+      const duration = durations.filter((match) => match.index < keywordAt).at(-1) || durations[0]
+      const count = duration
+        ? toNumber(COUNT_PATTERN.exec(segment.slice(0, duration.index))?.[1])
+        : null
+      return {
+        type: typeEntry.type,
+        count: Number.isInteger(count) && count > 0 ? count : 1,
+        durationMinutes: duration ? toDurationMinutes(duration) : null,
+        weeks: parseSegmentWeeks(segment) ?? trailingWeeks ?? [],
+      }
+    })
+    .filter(Boolean)
+}
+
+// Class events for a handbook subject: the scraped activity rows when the
+// dates-times page lists them, otherwise unscheduled classes from the
+// contact hours, one per weekly session, with the duration to fill in.
+export const getHandbookClasses = (subject) => {
+  const datesTimes = subject?.datesTimes
+  if (!datesTimes) return []
+  const rows = Array.isArray(datesTimes.classes) ? datesTimes.classes : []
+  if (rows.length) {
+    return rows
+      .map((row) => {
+        let startTime = parseClockTime(row.start)
+        let endTime = parseClockTime(row.end)
+        if (!endTime && startTime && /\d+\s*-\s*\d+/.test(row.start || '')) {
+          const [startText, endText] = String(row.start).split('-')
+          endTime = parseClockTime(endText)
+          // "2-3pm" puts the start in the afternoon too.
+          const afternoonStart = toMinutes(startTime) + 12 * 60
+          if (
+            !/[ap]m/i.test(startText) &&
+            /pm/i.test(endText) &&
+            afternoonStart < toMinutes(endTime)
+          ) {
+            startTime = fromMinutes(afternoonStart)
+          }
+        }
+        return {
+          ...normalizeClassEvent({
+            type: getClassType(row.activity),
+            day: parseClassDay(row.day),
+            startTime,
+            endTime,
+            location: row.location || '',
+            weeks: parseClassWeeks(row.weeks),
+          }),
+          durationMinutes: null,
+        }
+      })
+      .filter((entry) => entry.day || entry.startTime)
+  }
+  return parseContactHours(datesTimes.contactHours).flatMap((activity) =>
+    Array.from({ length: Math.min(activity.count, 7) }, () => ({
+      ...normalizeClassEvent({ type: activity.type, weeks: activity.weeks }),
+      durationMinutes: activity.durationMinutes,
+    })),
+  )
+}
+
+const getIsoWeekday = (value) => ((new Date(`${value}T00:00:00Z`).getUTCDay() + 6) % 7) + 1
+
+// Whether a class meets in the teaching week a date falls in. Without a
+// calendar every week counts, since weeks cannot be placed.
+const runsOnDate = (entry, value, calendar) => {
+  if (!calendar) return true
+  const period = describeTeachingDate(calendar, value)
+  if (period?.kind !== 'teaching') return false
+  return !entry.weeks.length || entry.weeks.includes(period.week)
+}
+
+// Map of 'yyyy-MM-dd' -> [{ course, classEvent, week }] for the given
+// dates, ordered by start time.
+export const getClassSessionsByDate = (courses, dates, calendar) => {
+  const sessions = new Map()
+  const scheduled = (courses || []).flatMap((course) =>
+    getCourseClasses(course)
+      .filter(isScheduledClass)
+      .map((classEvent) => ({ course, classEvent })),
+  )
+  if (!scheduled.length) return sessions
+  dates.forEach((value) => {
+    if (!DATE_PATTERN.test(value)) return
+    const weekday = getIsoWeekday(value)
+    const week = calendar ? describeTeachingDate(calendar, value)?.week || null : null
+    const items = scheduled
+      .filter(({ classEvent }) => classEvent.day === weekday && runsOnDate(classEvent, value, calendar))
+      .map((item) => ({ ...item, week }))
+      .sort((a, b) => a.classEvent.startTime.localeCompare(b.classEvent.startTime))
+    if (items.length) sessions.set(value, items)
+  })
+  return sessions
+}
+
+// Weeks two classes share; an empty list on both sides means every week.
+const getSharedWeeks = (a, b) => {
+  if (!a.weeks.length) return b.weeks
+  if (!b.weeks.length) return a.weeks
+  return a.weeks.filter((week) => b.weeks.includes(week))
+}
+
+// When two classes meet at the same time: { day, startTime, endTime, weeks },
+// or null if they never do.
+export const getClassOverlap = (a, b) => {
+  if (!isScheduledClass(a) || !isScheduledClass(b) || a.day !== b.day) return null
+  const start = Math.max(toMinutes(a.startTime), toMinutes(b.startTime))
+  const end = Math.min(toMinutes(a.endTime), toMinutes(b.endTime))
+  if (start >= end) return null
+  const weeks = getSharedWeeks(a, b)
+  if ((a.weeks.length || b.weeks.length) && !weeks.length) return null
+  return { day: a.day, startTime: fromMinutes(start), endTime: fromMinutes(end), weeks }
+}
+
+// [{ classEvent, otherCourse, otherClass, overlap }] for each of `classes`
+// that meets at the same time as a class of one of `courses`.
+export const findClassClashes = (classes, courses) =>
+  (classes || []).flatMap((classEvent) =>
+    (courses || []).flatMap((otherCourse) =>
+      getCourseClasses(otherCourse).flatMap((otherClass) => {
+        const overlap = getClassOverlap(classEvent, otherClass)
+        return overlap ? [{ classEvent, otherCourse, otherClass, overlap }] : []
+      }),
+    ),
+  )
+
+// Every clash between the courses, each pair reported once.
+export const getTimetableClashes = (courses) =>
+  (courses || []).flatMap((course, index) =>
+    findClassClashes(getCourseClasses(course), courses.slice(index + 1)).map((clash) => ({
+      course,
+      ...clash,
+    })),
+  )
+
+export const formatClassOverlap = (overlap) =>
+  `${getClassDayLabel(overlap.day)} ${overlap.startTime}–${overlap.endTime}${
+    overlap.weeks.length ? ` · ${formatClassWeeks(overlap.weeks)}` : ''
+  }`
@@ -0,0 +1,153 @@
+import { describe, expect, it } from 'vitest'
+import {
+  findClassClashes,
+  formatClassOverlap,
+  formatClassWeeks,
+  getClassOverlap,
+  getHandbookClasses,
+  getTimetableClashes,
+  parseClassWeeks,
+  parseClockTime,
+  parseContactHours,
+} from './timetable'
+
+const lecture = {
+  id: 'l1',
+  type: 'Lecture',
+  day: 1,
+  startTime: '10:00',
+  endTime: '11:00',
+  location: '',
+  weeks: [],
+}
+
+const makeCourse = (id, code, classes) => ({ id, code, classes })
+
+describe('getClassOverlap', () => {
+  it('reports the shared time on the same day', () => {
+    const other = { ...lecture, id: 't1', startTime: '10:30', endTime: '12:00' }
+
+    expect(getClassOverlap(lecture, other)).toEqual({
+      day: 1,
+      startTime: '10:30',
+      endTime: '11:00',
+      weeks: [],
+    })
+  })
+
+  it('ignores back-to-back classes, other days and unscheduled classes', () => {
+    expect(getClassOverlap(lecture, { ...lecture, startTime: '11:00', endTime: '12:00' })).toBeNull()
+    expect(getClassOverlap(lecture, { ...lecture, day: 2 })).toBeNull()
+    expect(getClassOverlap(lecture, { ...lecture, startTime: '' })).toBeNull()
+  })
+
+  it('only clashes in weeks both classes run', () => {
+    const odd = { ...lecture, weeks: [1, 3, 5] }
+
+    expect(getClassOverlap(odd, { ...lecture, weeks: [2, 4] })).toBeNull()
+    expect(getClassOverlap(odd, { ...lecture, weeks: [3, 4, 5] }).weeks).toEqual([3, 5])
+    expect(getClassOverlap(odd, lecture).weeks).toEqual([1, 3, 5])
+  })
+})
+
+describe('clash detection', () => {
+  const comp = makeCourse('c1', 'COMP10001', [lecture])
+  const mast = makeCourse('c2', 'MAST10006', [
+    { ...lecture, id: 'm1', startTime: '10:00', endTime: '12:00' },
+    { ...lecture, id: 'm2', day: 3 },
+  ])
+  const hist = makeCourse('c3', 'HIST10001', [{ ...lecture, id: 'h1', day: 5 }])
+
+  it('finds the classes of other courses that clash with a draft', () => {
+    const clashes = findClassClashes([lecture], [mast, hist])
+
+    expect(clashes).toHaveLength(1)
+    expect(clashes[0]).toMatchObject({ otherCourse: { code: 'MAST10006' } })
+    expect(clashes[0].otherClass.id).toBe('m1')
+    expect(formatClassOverlap(clashes[0].overlap)).toBe('Mon 10:00–11:00')
+  })
+
+  it('reports each clashing pair once across a timetable', () => {
+    const clashes = getTimetableClashes([comp, mast, hist])
+
+    expect(clashes).toHaveLength(1)
+    expect(clashes[0].course.code).toBe('COMP10001')
+    expect(clashes[0].otherCourse.code).toBe('MAST10006')
+  })
+})
+
+describe('week and time parsing', () => {
+  it('parses and formats class weeks', () => {
+    expect(parseClassWeeks('1-3, 5, 7-8')).toEqual([1, 2, 3, 5, 7, 8])
+    expect(formatClassWeeks([1, 2, 3, 5, 7, 8])).toBe('Weeks 1–3, 5, 7–8')
+    expect(formatClassWeeks([4])).toBe('Week 4')
+    expect(formatClassWeeks([])).toBe('All weeks')
+  })
+
+  it('reads 12- and 24-hour clock times', () => {
+    expect(parseClockTime('9:00am')).toBe('09:00')
+    expect(parseClockTime('2pm')).toBe('14:00')
+    expect(parseClockTime('12:30 am')).toBe('00:30')
+    expect(parseClockTime('14:30')).toBe('14:30')
+    expect(parseClockTime('soon')).toBe('')
+  })
+})
+
+describe('parseContactHours', () => {
+  it('reads sessions per week and duration for each activity', () => {
+    expect(
+      parseContactHours('36 hours: 2 x one hour lectures per week, 1 x 1.5 hour workshop'),
+    ).toEqual([
+      { type: 'Lecture', count: 2, durationMinutes: 60, weeks: [] },
+      { type: 'Workshop', count: 1, durationMinutes: 90, weeks: [] },
+    ])
+  })
+
+  it('applies a trailing weeks clause to every activity without its own', () => {
+    const activities = parseContactHours(
+      '48 hours: 3 x one hour lectures and 1 x one hour tutorial per week (weeks 2-12)',
+    )
+
+    expect(activities.map((activity) => activity.weeks[0])).toEqual([2, 2])
+    expect(activities.every((activity) => activity.weeks.length === 11)).toBe(true)
+  })
+
+  it('keeps weeks named for one activity on that activity', () => {
+    const [lectures, tutorial] = parseContactHours(
+      'One hour lecture (weeks 1-12) and a one hour tutorial from week 3',
+    )
+
+    expect(lectures.weeks).toHaveLength(12)
+    expect(tutorial.weeks[0]).toBe(3)
+  })
+})
+
+describe('getHandbookClasses', () => {
+  it('uses scraped class rows when the handbook lists them', () => {
+    const [row] = getHandbookClasses({
+      datesTimes: {
+        classes: [
+          { activity: 'Tutorial 1', day: 'Tuesday', start: '2-3pm', weeks: '2-12', location: 'B1' },
+        ],
+      },
+    })
+
+    expect(row).toMatchObject({
+      type: 'Tutorial',
+      day: 2,
+      startTime: '14:00',
+      endTime: '15:00',
+      location: 'B1',
+    })
+    expect(row.weeks).toHaveLength(11)
+  })
+
+  it('falls back to one unscheduled class per weekly session', () => {
+    const classes = getHandbookClasses({
+      datesTimes: { contactHours: '2 x one hour lectures and 1 x one hour tutorial per week' },
+    })
+
+    expect(classes.map((entry) => entry.type)).toEqual(['Lecture', 'Lecture', 'Tutorial'])
+    expect(classes[0]).toMatchObject({ day: null, durationMinutes: 60 })
+  })
+})
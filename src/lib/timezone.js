@@ -0,0 +1,117 @@
+// Wall-clock <-> instant conversion for IANA timezones using Intl only, so it
+// runs in the browser and in the self-hosted server alike.
+
+export const DEFAULT_TIMEZONE = 'Australia/Melbourne'
+
+export const TIMEZONE_OPTIONS = [
+  'Australia/Melbourne',
+  'Australia/Sydney',
+  'Australia/Brisbane',
+  'Australia/Adelaide',
+  'Australia/Darwin',
+  'Australia/Hobart',
+  'Australia/Perth',
+  'Pacific/Auckland',
+  'Asia/Singapore',
+  'UTC',
+]
+
+const formatterCache = new Map()
+
+const getPartsFormatter = (timezone) => {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(
+      timezone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      }),
+    )
+  }
+  return formatterCache.get(timezone)
+}
+
+export const isValidTimezone = (timezone) => {
+  if (!timezone) return false
+  try {
+    getPartsFormatter(timezone)
+    return true
+  } catch {
+    return false
+  }
+}
+
+export const resolveTimezone = (timezone) =>
+  isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE
+
+export const getLocalTimezone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIMEZONE
+  } catch {
+    return DEFAULT_TIMEZONE
+  }
+}
+
+const pad = (value) => String(value).padStart(2, '0')
+
+// Wall-clock fields of an instant in the given zone.
+export const getZonedParts = (date, timezone) => {
+  const parts = {}
+  getPartsFormatter(resolveTimezone(timezone))
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = value
+    })
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    seconds: Number(parts.second),
+  }
+}
+
+const getOffsetMs = (timestamp, timezone) => {
+  const { date, time, seconds } = getZonedParts(new Date(timestamp), timezone)
+  const [year, month, day] = date.split('-').map(Number)
+  const [hours, minutes] = time.split(':').map(Number)
+  return Date.UTC(year, month - 1, day, hours, minutes, seconds) - Math.floor(timestamp / 1000) * 1000
+}
+
+// Instant at which `date` `time` happens in `timezone`. Times that fall in a
+// DST gap resolve to the later offset.
+export const zonedTimeToDate = (date, time, timezone) => {
+  const [year, month, day] = String(date).split('-').map(Number)
+  const [hours = 0, minutes = 0, seconds = 0] = String(time || '00:00').split(':').map(Number)
+  if (![year, month, day, hours, minutes, seconds].every(Number.isFinite)) return null
+  const zone = resolveTimezone(timezone)
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds)
+  const firstGuess = wallClock - getOffsetMs(wallClock, zone)
+  return new Date(wallClock - getOffsetMs(firstGuess, zone))
+}
+
+// Short zone name such as "AEDT" for the given instant.
+export const getTimezoneAbbreviation = (timezone, date = new Date()) => {
+  try {
+    const part = new Intl.DateTimeFormat('en-AU', {
+      timeZone: resolveTimezone(timezone),
+      timeZoneName: 'short',
+    })
+      .formatToParts(date)
+      .find((entry) => entry.type === 'timeZoneName')
+    return part?.value || timezone
+  } catch {
+    return timezone
+  }
+}
+
+export const formatTimeLabel = (time) => {
+  const [hours, minutes] = String(time || '').split(':').map(Number)
+  if (!Number.isFinite(hours) || !Number.isFinite(minutes)) return ''
+  const suffix = hours < 12 ? 'AM' : 'PM'
+  return `${hours % 12 || 12}:${pad(minutes)} ${suffix}`
+}
@@ -2,9 +2,14 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { registerServiceWorker } from './lib/notifications'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
   </StrictMode>,
 )
+
+// Only built assets are worth caching; under `vite dev` the worker would
+// serve a stale dev shell.
+if (import.meta.env.PROD) registerServiceWorker()